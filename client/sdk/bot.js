@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * w2g-bot: a headless room member for scripted sessions and automated tests.
+ *
+ *   node sdk/bot.js --server http://localhost:4000 --room movie-night [--name Bot]
+ *     [--password secret] [--invite token] [--script session.txt] [--stay]
+ *
+ * Runs the lines of --script, then the lines typed on stdin, one at a time:
+ *   say <text>            post to chat ("/" commands run on the server)
+ *   play [m:ss]           pause [m:ss]        seek <m:ss>       rate <x>
+ *   loop <m:ss> <m:ss>    noloop
+ *   host                  ask the host for control and wait until it is handed over
+ *   wait <seconds>
+ *   expect <text>         wait (up to 30s) for a chat message containing <text>
+ *   quit
+ * Lines starting with # are comments. A failing line prints why and exits
+ * with status 1, unless --stay keeps the bot in the room; without --stay it
+ * leaves once the script and stdin are done.
+ *
+ * In chat, the bot answers !help, !ping and !time, and (while it is host)
+ * !play, !pause and !seek <m:ss>.
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import { createRoomClient } from './index.js';
+
+const EXPECT_TIMEOUT_MS = 30000;
+const HOST_TIMEOUT_MS = 60000;
+
+const { values: opts } = parseArgs({
+  options: {
+    server: { type: 'string', default: process.env.W2G_SERVER || 'http://localhost:4000' },
+    room: { type: 'string' },
+    name: { type: 'string', default: 'Bot' },
+    password: { type: 'string' },
+    invite: { type: 'string' },
+    script: { type: 'string' },
+    stay: { type: 'boolean', default: false },
+  },
+});
+if (!opts.room) {
+  console.error('usage: bot.js --room <roomId> [--server url] [--name Bot] [--password pw] [--invite token] [--script file] [--stay]');
+  process.exit(2);
+}
+
+// "90", "1:30" or "1:02:03" -> seconds
+function parseTime(text) {
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(text || '')) throw new Error(`not a time: ${text}`);
+  return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+function formatTime(sec = 0) {
+  const s = Math.floor(sec % 60).toString().padStart(2, '0');
+  return `${Math.floor(sec / 60)}:${s}`;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const client = createRoomClient({ server: opts.server, roomId: opts.room, username: opts.name, password: opts.password, invite: opts.invite });
+const nameOf = id => client.state.users.find(u => u.id === id)?.name || 'someone';
+
+client.on('chat:message', m => console.log(`[chat] ${m.username}: ${m.text}`));
+client.on('chat:reply', r => console.log(`[reply] ${r.text}`));
+client.on('chat:log', l => console.log(`[log] ${l.text}`));
+client.on('host:changed', ({ hostId }) => console.log(`[host] ${nameOf(hostId)}`));
+client.on('video:changed', ({ video }) => console.log(`[video] ${video.filename}`));
+client.on('disconnected', reason => reason !== 'io client disconnect' && console.log(`[bot] disconnected (${reason}), reconnecting…`));
+client.on('joined', ({ resumed }) => resumed && console.log('[bot] rejoined'));
+client.on('join_failed', (err) => {
+  console.error(`[bot] could not rejoin: ${err.code}`);
+  process.exit(1);
+});
+client.on('room:kicked', ({ reason }) => {
+  console.error(`[bot] ${reason} from the room`);
+  process.exit(1);
+});
+
+// chat commands the bot answers
+const CHAT_COMMANDS = {
+  help: () => 'I know !ping, !time, !play, !pause and !seek <m:ss>',
+  ping: () => 'pong',
+  time: () => `${client.state.playbackState.playing ? 'Playing' : 'Paused'} at ${formatTime(client.position())}`,
+  play: () => client.host.play().then(() => null),
+  pause: () => client.host.pause().then(() => null),
+  seek: arg => client.host.seek(parseTime(arg)).then(() => null),
+};
+
+client.on('chat:message', async (m) => {
+  if (m.userId === client.user?.id || !m.text.startsWith('!')) return;
+  const [name, ...args] = m.text.slice(1).trim().split(/\s+/);
+  const command = CHAT_COMMANDS[name.toLowerCase()];
+  if (!command) return;
+  try {
+    const answer = await command(args.join(' '));
+    if (answer) await client.chat.send(answer);
+  } catch (err) {
+    await client.chat.send(err.code === 'not_host' ? "I can't, I'm not the host" : `That didn't work: ${err.code || err.message}`).catch(() => {});
+  }
+});
+
+// resolves once the host hands control over (at once if there is no active host)
+function takeHost() {
+  if (client.isHost) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    let requestId = null;
+    const done = (err) => {
+      offChanged();
+      offResolved();
+      clearTimeout(timer);
+      if (err) reject(err);
+      else resolve();
+    };
+    const timer = setTimeout(() => done(new Error('host request timed out')), HOST_TIMEOUT_MS);
+    const offChanged = client.on('host:changed', ({ hostId }) => hostId === client.user.id && done());
+    const offResolved = client.on('host:request_resolved', r => r.requestId === requestId && r.outcome !== 'accepted' && done(new Error(`host request ${r.outcome}`)));
+    client.host.request().then((res) => { if (!res.granted) requestId = res.request.id; }, done);
+  });
+}
+
+const SCRIPT_COMMANDS = {
+  say: text => client.chat.send(text),
+  play: arg => client.host.play(arg ? parseTime(arg) : undefined),
+  pause: arg => client.host.pause(arg ? parseTime(arg) : undefined),
+  seek: arg => client.host.seek(parseTime(arg)),
+  rate: arg => client.host.rate(Number(arg)),
+  loop: (arg) => {
+    const [start, end] = arg.split(/\s+/).map(parseTime);
+    return client.host.loop(start, end);
+  },
+  noloop: () => client.host.clearLoop(),
+  host: takeHost,
+  wait: arg => sleep(parseFloat(arg) * 1000),
+  expect: text => client.waitFor('chat:message', m => m.text.includes(text), EXPECT_TIMEOUT_MS),
+  quit: () => quit(0),
+};
+
+async function runLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith('#')) return;
+  const [name] = trimmed.split(/\s+/);
+  const command = SCRIPT_COMMANDS[name];
+  if (!command) throw new Error(`unknown command: ${name}`);
+  await command(trimmed.slice(name.length).trim());
+}
+
+function quit(status) {
+  client.close();
+  process.exit(status);
+}
+
+// script lines and stdin lines run one after the other
+let queue = Promise.resolve();
+function enqueue(line) {
+  queue = queue.then(() => runLine(line)).catch((err) => {
+    console.error(`[bot] ${line.trim()}: ${err.code || err.message}`);
+    if (!opts.stay) quit(1);
+  });
+  return queue;
+}
+
+async function main() {
+  try {
+    const { user } = await client.connect();
+    console.log(`[bot] joined ${opts.room} as ${user.name}`);
+  } catch (err) {
+    console.error(`[bot] could not join: ${err.code || err.message}`);
+    process.exit(1);
+  }
+
+  if (opts.script) fs.readFileSync(opts.script, 'utf8').split('\n').forEach(enqueue);
+  if (process.stdin.isTTY || !opts.script) {
+    const input = readline.createInterface({ input: process.stdin });
+    input.on('line', enqueue);
+    await new Promise(resolve => input.on('close', resolve));
+  }
+  await queue;
+  if (!opts.stay) quit(0);
+}
+
+main();
@@ -0,0 +1,60 @@
+/**
+ * Server clock estimation over the room socket.
+ *
+ * Sends a few `clock:ping` probes (NTP style) and keeps the sample with the
+ * shortest round trip, which bounds the offset error tightest. Re-syncs
+ * periodically so long sessions don't drift.
+ */
+
+export function createServerClock(socket, { samples = 5, spacing = 200, interval = 30000 } = {}) {
+  let offset = 0; // serverTime - localTime, ms
+  let bestRtt = Infinity;
+  let timer = null;
+
+  function probe() {
+    const sentAt = Date.now();
+    socket.emit('clock:ping', sentAt, (res) => {
+      if (!res?.serverTime) return;
+      const receivedAt = Date.now();
+      const rtt = receivedAt - sentAt;
+      if (rtt <= bestRtt) {
+        bestRtt = rtt;
+        offset = res.serverTime - (sentAt + rtt / 2);
+      }
+    });
+  }
+
+  function sync() {
+    bestRtt = Infinity;
+    for (let i = 0; i < samples; i++) setTimeout(probe, i * spacing);
+  }
+
+  return {
+    // current time on the server clock, in ms
+    now: () => Date.now() + offset,
+    start() {
+      sync();
+      clearInterval(timer);
+      timer = setInterval(sync, interval);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+/**
+ * Expected playback position (seconds) for a server playback state at server
+ * time `now`: advancing at state.rate and wrapping inside an A-B state.loop
+ * (unless playback was already past its end), like Room#currentTime.
+ */
+export function expectedPosition(state, now) {
+  if (!state) return 0;
+  const base = state.time || 0;
+  if (!state.playing || !state.updatedAt) return base;
+  const t = base + (Math.max(0, now - state.updatedAt) / 1000) * (state.rate || 1);
+  const { loop } = state;
+  if (!loop || base >= loop.end || t < loop.end) return t;
+  return loop.start + ((t - loop.start) % (loop.end - loop.start));
+}
@@ -0,0 +1,124 @@
+/**
+ * The room protocol's socket events (see server/lib/eventSchemas for what
+ * the server accepts). Requests are answered through their ack with
+ * { ok: true, ... } or { ok: false, error }; broadcasts go to everyone in
+ * the room.
+ *
+ * @typedef {{ id: string, name: string, role: 'owner' | 'moderator' | 'guest', muted: boolean,
+ *   status: 'online' | 'reconnecting', player: 'loading' | 'buffering' | 'ready' | null,
+ *   localFile: 'match' | 'mismatch' | 'missing' | null, call: { audio: boolean, video: boolean } | null }} PublicUser
+ * @typedef {{ playing: boolean, time: number, updatedAt: number, rate: number,
+ *   loop: { start: number, end: number } | null, waitingFor: string[] | null }} PlaybackState
+ * @typedef {{ id: string, type: string, text: string, time: string, userId?: string, targetId?: string }} LogEntry
+ * @typedef {{ id: string, userId: string, username: string, text: string, emote?: boolean, time: string,
+ *   editedAt?: string, deleted?: boolean }} ChatMessage
+ * @typedef {{ filename: string, savedName: string, url?: string, hlsUrl?: string, entryId?: string,
+ *   duration?: number, local?: boolean, fingerprint?: string }} Video
+ * @typedef {{ id: string, video: Video, addedById: string | null, addedBy: string | null, addedAt: string }} QueueEntry
+ * @typedef {{ id: string, question: string, options: string[], votes: Object<string, number>, tallies: number[],
+ *   byId: string, createdAt: number, expiresAt: number, action: { kind: 'skip' | 'pause', entryId: string } | null,
+ *   needed: number | null }} Poll
+ * @typedef {{ roomId: string, users: PublicUser[], hostId: string | null, video: Video | null, queue: QueueEntry[],
+ *   ownerId: string | null, permissions: Object<string, string[]>, access: 'open' | 'password' | 'invite', topic: string,
+ *   hostRequest: Object | null, sync: { mode: 'free' | 'wait', maxWaitMs: number }, readyCheck: Object | null,
+ *   screenShare: { userId: string, startedAt: number } | null, polls: Poll[], voteThreshold: number,
+ *   logs: LogEntry[], playbackState: PlaybackState }} RoomState
+ *
+ * @typedef {{
+ *   'room:state': RoomState,
+ *   'room:user_list': { users: PublicUser[] },
+ *   'room:user_joined': { user: PublicUser, log: LogEntry },
+ *   'room:user_left': { userId: string, log: LogEntry | null },
+ *   'room:kicked': { roomId: string, reason: 'kicked' | 'banned' },
+ *   'room:permissions': { permissions: Object<string, string[]>, log: LogEntry },
+ *   'room:topic': { topic: string, log: LogEntry },
+ *   'room:access': { access: string, log: LogEntry },
+ *   'room:sync': { sync: { mode: 'free' | 'wait', maxWaitMs: number }, log: LogEntry },
+ *   'chat:message': ChatMessage,
+ *   'chat:message_edited': { message: ChatMessage },
+ *   'chat:message_deleted': { message: ChatMessage, log?: LogEntry },
+ *   'chat:reply': { id: string, text: string, time: string },
+ *   'chat:log': LogEntry,
+ *   'host:play': { time: number, updatedAt: number, log?: LogEntry },
+ *   'host:pause': { time: number, updatedAt: number, waitingFor?: string[], log?: LogEntry },
+ *   'host:seek': { time: number, updatedAt: number, log: LogEntry },
+ *   'host:rate': { rate: number, time: number, updatedAt: number, log: LogEntry },
+ *   'host:loop': { loop: { start: number, end: number } | null, time: number, updatedAt: number, log: LogEntry },
+ *   'host:changed': { hostId: string | null, log?: LogEntry },
+ *   'host:request': { request: { id: string, fromId: string, toId: string, expiresAt: number }, log: LogEntry },
+ *   'host:request_resolved': { requestId: string, fromId: string, outcome: string, log: LogEntry },
+ *   'video:changed': { video: Video, playbackState: PlaybackState, annotations: Object[], log: LogEntry },
+ *   'video:uploaded': { video: Video, log: LogEntry },
+ *   'video:processing': { savedName: string } & Object,
+ *   'video:download': { id: string, filename: string, size?: number, state: string },
+ *   'video:annotation': { savedName: string, annotation: Object },
+ *   'video:annotation_removed': { savedName: string, annotationId: string },
+ *   'subtitles:updated': { savedName: string, subtitles: Object[], defaultSubtitleId: string | null, log?: LogEntry },
+ *   'queue:updated': { queue: QueueEntry[], log?: LogEntry },
+ *   'ready:check': { check: { id: string, byId: string, expiresAt: number, responses: Object<string, boolean> }, log?: LogEntry },
+ *   'ready:done': { checkId: string, outcome: 'ready' | 'timeout' | 'cancelled', notReady: string[], log: LogEntry },
+ *   'poll:updated': { poll: Poll, log?: LogEntry },
+ *   'poll:closed': { pollId: string, outcome: 'passed' | 'expired' | 'closed' | 'cancelled', poll: Poll, log: LogEntry },
+ *   'poll:settings': { threshold: number, log: LogEntry },
+ *   'rtc:joined': { userId: string },
+ *   'rtc:left': { userId: string },
+ *   'rtc:screen': { screenShare: { userId: string, startedAt: number } | null, log: LogEntry },
+ *   'rtc:signal': { fromId: string, channel: 'call' | 'screen', description?: Object, candidate?: Object },
+ * }} Broadcasts
+ */
+
+// the names of REQUESTS and BROADCASTS below as constants: EVENTS.CHAT_MESSAGE is 'chat:message'
+export const EVENTS = {
+  CLOCK_PING: 'clock:ping',
+  ROOM_JOIN: 'room:join', ROOM_SYNC: 'room:sync', ROOM_SETTINGS: 'room:settings', ROOM_INVITE: 'room:invite',
+  ROOM_ACCESS: 'room:access', ROOM_STATE: 'room:state', ROOM_USER_LIST: 'room:user_list',
+  ROOM_USER_JOINED: 'room:user_joined', ROOM_USER_LEFT: 'room:user_left', ROOM_KICKED: 'room:kicked',
+  ROOM_PERMISSIONS: 'room:permissions', ROOM_TOPIC: 'room:topic',
+  CHAT_MESSAGE: 'chat:message', CHAT_HISTORY: 'chat:history', CHAT_EDIT: 'chat:edit', CHAT_DELETE: 'chat:delete',
+  CHAT_COMMANDS: 'chat:commands', CHAT_MESSAGE_EDITED: 'chat:message_edited',
+  CHAT_MESSAGE_DELETED: 'chat:message_deleted', CHAT_REPLY: 'chat:reply', CHAT_LOG: 'chat:log',
+  VIDEO_ANNOTATE: 'video:annotate', VIDEO_ANNOTATION_REMOVE: 'video:annotation_remove', VIDEO_ADD_URL: 'video:add_url',
+  VIDEO_ADD_LOCAL: 'video:add_local', VIDEO_ENDED: 'video:ended', VIDEO_CHANGED: 'video:changed',
+  VIDEO_UPLOADED: 'video:uploaded', VIDEO_PROCESSING: 'video:processing', VIDEO_DOWNLOAD: 'video:download',
+  VIDEO_ANNOTATION: 'video:annotation', VIDEO_ANNOTATION_REMOVED: 'video:annotation_removed',
+  SUBTITLES_SET_DEFAULT: 'subtitles:set_default', SUBTITLES_UPDATED: 'subtitles:updated',
+  HOST_ACTION: 'host:action', HOST_REQUEST: 'host:request', HOST_RESPOND: 'host:respond',
+  HOST_CANCEL_REQUEST: 'host:cancel_request', HOST_PASS: 'host:pass', HOST_PLAY: 'host:play', HOST_PAUSE: 'host:pause',
+  HOST_SEEK: 'host:seek', HOST_RATE: 'host:rate', HOST_LOOP: 'host:loop', HOST_CHANGED: 'host:changed',
+  HOST_REQUEST_RESOLVED: 'host:request_resolved',
+  PLAYER_STATUS: 'player:status', PLAYER_LOCAL_FILE: 'player:local_file',
+  READY_START: 'ready:start', READY_RESPOND: 'ready:respond', READY_CANCEL: 'ready:cancel', READY_CHECK: 'ready:check',
+  READY_DONE: 'ready:done',
+  RTC_JOIN: 'rtc:join', RTC_LEAVE: 'rtc:leave', RTC_SIGNAL: 'rtc:signal', RTC_SCREEN: 'rtc:screen',
+  RTC_JOINED: 'rtc:joined', RTC_LEFT: 'rtc:left',
+  POLL_CREATE: 'poll:create', POLL_VOTE: 'poll:vote', POLL_CLOSE: 'poll:close', POLL_SETTINGS: 'poll:settings',
+  POLL_UPDATED: 'poll:updated', POLL_CLOSED: 'poll:closed',
+  LIBRARY_LIST: 'library:list',
+  QUEUE_ADD: 'queue:add', QUEUE_REMOVE: 'queue:remove', QUEUE_MOVE: 'queue:move', QUEUE_SKIP: 'queue:skip',
+  QUEUE_UPDATED: 'queue:updated',
+  USER_SET_ROLE: 'user:set_role', USER_MODERATE: 'user:moderate',
+};
+
+// client -> server; every one but clock:ping and room:join needs the joined roomId
+export const REQUESTS = [
+  'clock:ping', 'room:join',
+  'chat:message', 'chat:history', 'chat:edit', 'chat:delete', 'chat:commands',
+  'video:annotate', 'video:annotation_remove', 'subtitles:set_default',
+  'host:action', 'host:request', 'host:respond', 'host:cancel_request', 'host:pass',
+  'player:status', 'player:local_file', 'room:sync', 'ready:start', 'ready:respond', 'ready:cancel',
+  'rtc:join', 'rtc:leave', 'rtc:signal', 'rtc:screen',
+  'poll:create', 'poll:vote', 'poll:close', 'poll:settings',
+  'library:list', 'queue:add', 'video:add_url', 'video:add_local', 'queue:remove', 'queue:move', 'queue:skip', 'video:ended',
+  'user:set_role', 'user:moderate', 'room:settings', 'room:invite', 'room:access',
+];
+
+// server -> client
+export const BROADCASTS = [
+  'room:state', 'room:user_list', 'room:user_joined', 'room:user_left', 'room:kicked',
+  'room:permissions', 'room:topic', 'room:access', 'room:sync',
+  'chat:message', 'chat:message_edited', 'chat:message_deleted', 'chat:reply', 'chat:log',
+  'host:play', 'host:pause', 'host:seek', 'host:rate', 'host:loop', 'host:changed', 'host:request', 'host:request_resolved',
+  'video:changed', 'video:uploaded', 'video:processing', 'video:download', 'video:annotation', 'video:annotation_removed',
+  'subtitles:updated', 'queue:updated', 'ready:check', 'ready:done', 'poll:updated', 'poll:closed', 'poll:settings',
+  'rtc:joined', 'rtc:left', 'rtc:screen', 'rtc:signal',
+];
@@ -0,0 +1,207 @@
+/**
+ * Client for the room protocol, for the browser and Node (bots, scripts,
+ * tests). It joins the room, rejoins as the same user after a dropped
+ * connection (session token), keeps a copy of the room state up to date from
+ * the broadcasts, and wraps the requests in promises.
+ *
+ * const client = createRoomClient({ server: 'http://localhost:4000', roomId: 'movie-night', username: 'bot' });
+ * const { user } = await client.connect();
+ * const off = client.on('chat:message', (message) => ...);
+ * await client.chat.send('hello');
+ * await client.host.seek(90);
+ * client.position(); // where playback is now, in seconds
+ *
+ * Requests resolve with the server's ack and reject with a RoomError whose
+ * code is the server's error (not_host, rate_limited, ...). on() takes the
+ * broadcasts listed in ./events (EVENTS has their names as constants) plus
+ * the client's own events:
+ *   joined        ({ user, session, resumed }) after every (re)join
+ *   join_failed   (RoomError) when rejoining after a reconnect fails
+ *   disconnected  (reason) when the connection drops
+ */
+
+import { io } from 'socket.io-client';
+import { createServerClock, expectedPosition } from './clock.js';
+import { BROADCASTS, EVENTS, REQUESTS } from './events.js';
+
+export { BROADCASTS, EVENTS, REQUESTS, expectedPosition };
+
+const CLIENT_EVENTS = ['joined', 'join_failed', 'disconnected'];
+
+export class RoomError extends Error {
+  constructor(code, details = {}) {
+    super(details.message || code);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * `socket` may be an existing, not yet connected Socket.IO client socket;
+ * otherwise one is opened to `server` with `socketOptions`.
+ */
+export function createRoomClient({ server, roomId, username, password, invite, session = null, socket: given, socketOptions = {}, ackTimeoutMs = 10000 }) {
+  const socket = given || io(server, { autoConnect: false, ...socketOptions });
+  const clock = createServerClock(socket);
+  const listeners = new Map(); // client event -> Set of listeners
+  let user = null;
+  let token = session;
+  let pending = null; // { resolve, reject } of connect()
+
+  /** @type {import('./events.js').RoomState} */
+  const state = { users: [], hostId: null, video: null, queue: [], playbackState: { playing: false, time: 0, updatedAt: 0, rate: 1, loop: null, waitingFor: null } };
+
+  // keep `state` current; rate and loop carry over between playback events
+  const patchPlayback = patch => Object.assign(state.playbackState, patch);
+  const tracked = {
+    'room:state': s => Object.assign(state, s),
+    'room:user_list': ({ users }) => { state.users = users; },
+    'host:changed': ({ hostId }) => { state.hostId = hostId; },
+    'video:changed': ({ video, playbackState }) => { state.video = video; if (playbackState) state.playbackState = playbackState; },
+    'queue:updated': ({ queue }) => { state.queue = queue; },
+    'host:play': ({ time, updatedAt }) => patchPlayback({ playing: true, time, updatedAt, waitingFor: null }),
+    'host:pause': ({ time, updatedAt, waitingFor }) => patchPlayback({ playing: false, time, updatedAt, waitingFor: waitingFor || null }),
+    'host:seek': ({ time, updatedAt }) => patchPlayback({ time, updatedAt }),
+    'host:rate': ({ rate, time, updatedAt }) => patchPlayback({ rate, time, updatedAt }),
+    'host:loop': ({ loop, time, updatedAt }) => patchPlayback({ loop, time, updatedAt }),
+    'room:topic': ({ topic }) => { state.topic = topic; },
+    'room:sync': ({ sync }) => { state.sync = sync; },
+    'rtc:screen': ({ screenShare }) => { state.screenShare = screenShare; },
+    'poll:updated': ({ poll }) => { state.polls = [...(state.polls || []).filter(p => p.id !== poll.id), poll]; },
+    'poll:closed': ({ pollId }) => { state.polls = (state.polls || []).filter(p => p.id !== pollId); },
+    'poll:settings': ({ threshold }) => { state.voteThreshold = threshold; },
+  };
+  Object.entries(tracked).forEach(([event, update]) => socket.on(event, update));
+
+  function emitLocal(event, payload) {
+    (listeners.get(event) || []).forEach(listener => listener(payload));
+  }
+
+  function ack(event, payload) {
+    return new Promise((resolve, reject) => {
+      socket.timeout(ackTimeoutMs).emit(event, payload, (err, res) => {
+        if (err) return reject(new RoomError('timeout'));
+        if (!res?.ok) return reject(new RoomError(res?.error || 'failed', res || {}));
+        resolve(res);
+      });
+    });
+  }
+
+  function join() {
+    ack('room:join', { roomId, username: user?.name || username, password, invite, session: token })
+      .then((res) => {
+        const resumed = !!user;
+        user = res.user;
+        token = res.session;
+        emitLocal('joined', { user, session: token, resumed });
+        if (pending) pending.resolve({ user, session: token, state });
+      })
+      .catch((err) => {
+        if (pending) pending.reject(err);
+        else emitLocal('join_failed', err);
+      })
+      .finally(() => { pending = null; });
+  }
+
+  socket.on('connect', () => {
+    clock.start();
+    join();
+  });
+  socket.on('disconnect', reason => emitLocal('disconnected', reason));
+
+  // connect and join; resolves with { user, session, state }
+  function connect() {
+    return new Promise((resolve, reject) => {
+      pending = { resolve, reject };
+      if (socket.connected) join();
+      else socket.connect();
+    });
+  }
+
+  function close() {
+    clock.stop();
+    socket.disconnect();
+  }
+
+  // listen to a broadcast or client event; returns a function that stops listening
+  function on(event, listener) {
+    if (CLIENT_EVENTS.includes(event)) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+      return () => listeners.get(event).delete(listener);
+    }
+    if (!BROADCASTS.includes(event)) throw new TypeError(`unknown room event: ${event}`);
+    socket.on(event, listener);
+    return () => socket.off(event, listener);
+  }
+
+  // resolves with the next `event` (matching `filter`), or rejects after timeoutMs
+  function waitFor(event, filter = () => true, timeoutMs = 10000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => { off(); reject(new RoomError('timeout', { event })); }, timeoutMs);
+      const off = on(event, (payload) => {
+        if (!filter(payload)) return;
+        clearTimeout(timer);
+        off();
+        resolve(payload);
+      });
+    });
+  }
+
+  // any request of the protocol, as the joined user
+  function request(event, payload = {}) {
+    if (!REQUESTS.includes(event)) return Promise.reject(new TypeError(`unknown room request: ${event}`));
+    if (!user) return Promise.reject(new RoomError('not_joined'));
+    return ack(event, { roomId, userId: user.id, ...payload });
+  }
+
+  const hostAction = (action, extra) => request('host:action', { action, ...extra });
+
+  return {
+    socket,
+    state,
+    get user() { return user; },
+    get session() { return token; },
+    get isHost() { return !!user && state.hostId === user.id; },
+    connect,
+    close,
+    on,
+    waitFor,
+    request,
+    // server clock (ms) and the current playback position (seconds)
+    now: clock.now,
+    position: () => expectedPosition(state.playbackState, clock.now()),
+    chat: {
+      send: text => request('chat:message', { text }),
+      history: ({ before, limit } = {}) => request('chat:history', { before, limit }),
+      edit: (messageId, text) => request('chat:edit', { messageId, text }),
+      remove: messageId => request('chat:delete', { messageId }),
+    },
+    // play/pause default to the current position
+    host: {
+      play: time => hostAction('play', { time }),
+      pause: time => hostAction('pause', { time }),
+      seek: time => hostAction('seek', { time }),
+      rate: rate => hostAction('rate', { rate }),
+      loop: (start, end) => hostAction('loop', { loop: { start, end } }),
+      clearLoop: () => hostAction('loop', { loop: null }),
+      request: () => request('host:request'),
+      respond: (requestId, accept) => request('host:respond', { requestId, accept }),
+      pass: targetId => request('host:pass', { targetId }),
+    },
+    queue: {
+      add: video => request('queue:add', { video }),
+      addUrl: (url, mode) => request('video:add_url', { url, mode }),
+      remove: entryId => request('queue:remove', { entryId }),
+      move: (entryId, index) => request('queue:move', { entryId, index }),
+      skip: entryId => request('queue:skip', { entryId }),
+    },
+    // option: index into poll.options (0 = yes for votes to skip/pause), null takes the vote back
+    polls: {
+      ask: (question, options, durationMs) => request('poll:create', { question, options, durationMs }),
+      voteTo: (action, durationMs) => request('poll:create', { action, durationMs }),
+      vote: (pollId, option) => request('poll:vote', { pollId, option }),
+      close: pollId => request('poll:close', { pollId }),
+    },
+  };
+}
@@ -0,0 +1,32 @@
+import React from 'react';
+
+const SHOW_SECONDS = 4; // how long an annotation stays on screen after its moment
+
+/**
+ * AnnotationOverlay: reactions and comments whose moment was just reached,
+ * laid over the video. canRemove(annotation) adds a remove button.
+ */
+export default function AnnotationOverlay({ annotations = [], currentTime, canRemove, onRemove }) {
+  const active = annotations.filter(a => currentTime >= a.time && currentTime < a.time + SHOW_SECONDS);
+  if (!active.length) return null;
+  const reactions = active.filter(a => a.kind === 'reaction');
+  const comments = active.filter(a => a.kind === 'comment');
+
+  return (
+    <div className="absolute inset-0 pointer-events-none">
+      <div className="absolute bottom-16 right-4 flex gap-1">
+        {reactions.map(a => <span key={a.id} title={a.username} className="reaction-float text-3xl">{a.emoji}</span>)}
+      </div>
+      <div className="absolute top-3 left-3 space-y-1 max-w-[60%]">
+        {comments.map(a => (
+          <div key={a.id} className="bg-black/60 text-white text-sm px-2 py-1 rounded flex gap-2 items-start">
+            <span><span className="font-medium">{a.username}:</span> {a.text}</span>
+            {canRemove && canRemove(a) && (
+              <button onClick={() => onRemove(a)} className="pointer-events-auto text-xs text-slate-300">✕</button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React from 'react';
+import StreamVideo from './StreamVideo';
+
+/**
+ * CallStrip: webcams and mics of everyone in the room's call (see lib/rtc).
+ * - media is what lib/rtc reports: our own stream (local), the others'
+ *   streams (peers: userId -> MediaStream) and our call state (call)
+ * - users (u.call: { audio, video } while in the call) name the tiles and
+ *   show who has their mic off
+ * - onJoin({ audio, video }), onLeave() and onSetMedia({ audio, video })
+ *   join, leave, or turn our mic/camera on and off
+ * - the host can share their screen with the room instead of the video
+ *   (onShareScreen; onStopShare while media.sharing)
+ */
+export default function CallStrip({ users, currentUserId, media, isHost, onJoin, onLeave, onSetMedia, onShareScreen, onStopShare }) {
+  const { call } = media;
+  const members = users.filter(u => u.call && u.id !== currentUserId);
+
+  return (
+    <div className="bg-white p-3 rounded shadow text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h4 className="font-medium">Call{members.length > 0 && <span className="ml-1 text-slate-500 font-normal">({members.length + (call ? 1 : 0)})</span>}</h4>
+        <div className="flex flex-wrap gap-2">
+          {call ? (
+            <>
+              <button onClick={() => onSetMedia({ ...call, audio: !call.audio })} className={`px-2 py-1 rounded ${call.audio ? 'bg-slate-100' : 'bg-red-50 text-red-600'}`}>{call.audio ? 'Mute mic' : 'Unmute mic'}</button>
+              <button onClick={() => onSetMedia({ ...call, video: !call.video })} className={`px-2 py-1 rounded ${call.video ? 'bg-slate-100' : 'bg-red-50 text-red-600'}`}>{call.video ? 'Camera off' : 'Camera on'}</button>
+              <button onClick={onLeave} className="px-2 py-1 bg-red-50 text-red-600 rounded">Leave</button>
+            </>
+          ) : (
+            <>
+              <button onClick={() => onJoin({ audio: true, video: true })} className="px-2 py-1 bg-indigo-600 text-white rounded">Join with camera</button>
+              <button onClick={() => onJoin({ audio: true, video: false })} className="px-2 py-1 bg-slate-100 rounded">Audio only</button>
+            </>
+          )}
+          {isHost && (media.sharing
+            ? <button onClick={onStopShare} className="px-2 py-1 bg-amber-50 text-amber-700 rounded">Stop sharing</button>
+            : <button onClick={onShareScreen} className="px-2 py-1 bg-slate-100 rounded">Share my screen</button>)}
+        </div>
+      </div>
+
+      {(call || members.length > 0) && (
+        <div className="grid grid-cols-2 gap-2">
+          {call && (
+            <Tile name="You" video={call.video} audio={call.audio}>
+              <StreamVideo stream={media.local} muted className="w-full h-full object-cover" />
+            </Tile>
+          )}
+          {members.map(u => (
+            <Tile key={u.id} name={u.name} video={u.call.video} audio={u.call.audio}>
+              {/* not muted: this is where we hear them */}
+              <StreamVideo stream={media.peers[u.id]} className="w-full h-full object-cover" />
+            </Tile>
+          ))}
+        </div>
+      )}
+      {!call && members.length === 0 && <p className="text-slate-500">Nobody is in the call yet.</p>}
+    </div>
+  );
+}
+
+function Tile({ name, video, audio, children }) {
+  return (
+    <div className="relative aspect-video bg-slate-800 rounded overflow-hidden">
+      {children}
+      {!video && <div className="absolute inset-0 flex items-center justify-center text-white text-lg">{name.slice(0, 1).toUpperCase()}</div>}
+      <div className="absolute bottom-0 left-0 right-0 px-1 bg-black/50 text-white text-xs truncate">
+        {name}{!audio && <span className="ml-1 text-red-300">mic off</span>}
+      </div>
+    </div>
+  );
+}
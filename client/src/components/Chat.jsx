@@ -1,58 +1,280 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import PollCard from './PollCard';
+import PollForm from './PollForm';
+import { EVENTS } from '../../sdk';
 
 /**
  * Chat component: sends messages via socket.emit('chat:message')
- * supports /name command
+ * Lines starting with "/" are commands run by the server; the list of
+ * commands this user may run comes from 'chat:commands' and drives the
+ * autocomplete (Tab completes, arrow keys pick). Private command output
+ * arrives as 'chat:reply'.
+ *
+ * History is fetched with 'chat:history' when joining and page by page when
+ * scrolling to the top. Authors can edit/delete their messages, moderators
+ * (canModerate) can delete any.
+ *
+ * Open polls (from room:state and poll:updated, kept by the room page) show
+ * as cards above the messages. Anyone may ask a question or start a vote to
+ * skip (canVoteSkip) or pause (canVotePause); polls are closed early by
+ * whoever opened them, the host or moderators.
  */
-export default function Chat({ socket, roomId, user }) {
-  const [messages, setMessages] = useState([]);
+export default function Chat({ socket, roomId, user, users = [], isHost, role, canModerate, polls = [], serverNow, canVoteSkip, canVotePause }) {
+  const [items, setItems] = useState([]); // chat messages and system lines ({ id, system: true, text })
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [editing, setEditing] = useState(null); // { id, text }
   const [text, setText] = useState('');
+  const [commands, setCommands] = useState([]);
+  const [selected, setSelected] = useState(0);
+  const [asking, setAsking] = useState(false); // poll form open
   const boxRef = useRef();
+  const keepScrollRef = useRef(null); // scrollHeight before older messages were prepended
+
+  const scrollToBottom = () => boxRef.current?.scrollTo({ top: boxRef.current.scrollHeight, behavior: 'smooth' });
 
   useEffect(() => {
     if (!socket) return;
-    socket.on('chat:message', (msg) => {
-      setMessages((m) => [...m, { id: msg.id, text: `${msg.username}: ${msg.text}` }]);
-      boxRef.current?.scrollTo({ top: boxRef.current.scrollHeight, behavior: 'smooth' });
-    });
-    socket.on('chat:log', (log) => {
-      setMessages((m) => [...m, { id: log.id, text: `[${new Date(log.time).toLocaleTimeString()}] ${log.text}` }]);
-      boxRef.current?.scrollTo({ top: boxRef.current.scrollHeight, behavior: 'smooth' });
-    });
+    const append = (item) => {
+      setItems((list) => (list.some(i => i.id === item.id) ? list : [...list, item]));
+      scrollToBottom();
+    };
+    const replace = ({ message }) => setItems((list) => list.map(i => (i.id === message.id ? message : i)));
+    const onLog = (log) => append({ id: log.id, system: true, text: `[${new Date(log.time).toLocaleTimeString()}] ${log.text}` });
+    const onReply = (reply) => append({ id: reply.id, system: true, private: true, text: reply.text });
+    socket.on(EVENTS.CHAT_MESSAGE, append);
+    socket.on(EVENTS.CHAT_MESSAGE_EDITED, replace);
+    socket.on(EVENTS.CHAT_MESSAGE_DELETED, replace);
+    socket.on(EVENTS.CHAT_LOG, onLog);
+    socket.on(EVENTS.CHAT_REPLY, onReply);
 
     return () => {
-      socket.off('chat:message');
-      socket.off('chat:log');
+      socket.off(EVENTS.CHAT_MESSAGE, append);
+      socket.off(EVENTS.CHAT_MESSAGE_EDITED, replace);
+      socket.off(EVENTS.CHAT_MESSAGE_DELETED, replace);
+      socket.off(EVENTS.CHAT_LOG, onLog);
+      socket.off(EVENTS.CHAT_REPLY, onReply);
     };
   }, [socket]);
 
+  // latest page of history once we are in the room (again after a reconnect)
+  useEffect(() => {
+    if (!socket || !user) return;
+    socket.emit(EVENTS.CHAT_HISTORY, { roomId, userId: user.id }, (res) => {
+      if (!res?.ok) return;
+      setItems(res.messages);
+      setHasMore(res.hasMore);
+      setTimeout(scrollToBottom);
+    });
+  }, [socket, roomId, user]);
+
+  function loadOlder() {
+    const oldest = items.find(i => !i.system);
+    if (!hasMore || loadingOlder || !oldest) return;
+    setLoadingOlder(true);
+    socket.emit(EVENTS.CHAT_HISTORY, { roomId, userId: user.id, before: oldest.id }, (res) => {
+      setLoadingOlder(false);
+      if (!res?.ok) return;
+      keepScrollRef.current = boxRef.current?.scrollHeight || 0;
+      setItems((list) => [...res.messages, ...list]);
+      setHasMore(res.hasMore);
+    });
+  }
+
+  // keep the view where it was when older messages are added above it
+  useLayoutEffect(() => {
+    if (keepScrollRef.current === null || !boxRef.current) return;
+    boxRef.current.scrollTop += boxRef.current.scrollHeight - keepScrollRef.current;
+    keepScrollRef.current = null;
+  }, [items]);
+
+  function onScroll(e) {
+    if (e.currentTarget.scrollTop < 20) loadOlder();
+  }
+
+  function messageAction(event, payload, onDone) {
+    socket.emit(event, { roomId, userId: user.id, ...payload }, (res) => {
+      if (res?.ok) return onDone && onDone();
+      alert('Message error: ' + (res?.error || 'unknown'));
+    });
+  }
+
+  function pollAction(event, payload, onDone) {
+    socket.emit(event, { roomId, userId: user.id, ...payload }, (res) => {
+      if (res?.ok) return onDone && onDone();
+      alert('Poll error: ' + (res?.error || 'unknown'));
+    });
+  }
+
+  function saveEdit() {
+    if (!editing.text.trim()) return;
+    messageAction(EVENTS.CHAT_EDIT, { messageId: editing.id, text: editing.text }, () => setEditing(null));
+  }
+
+  // what we may run depends on role and host
+  useEffect(() => {
+    if (!socket || !user) return;
+    socket.emit(EVENTS.CHAT_COMMANDS, { roomId, userId: user.id }, (res) => {
+      if (res?.ok) setCommands(res.commands);
+    });
+  }, [socket, roomId, user, isHost, role]);
+
+  const { suggestions, hint } = complete(text, commands, users);
+  useEffect(() => setSelected(0), [text]);
+
   function send() {
     if (!text.trim()) return;
-    socket.emit('chat:message', { roomId, userId: user.id, text }, (res) => {
+    socket.emit(EVENTS.CHAT_MESSAGE, { roomId, userId: user.id, text }, (res) => {
       if (res?.ok) {
         // clear if ok
         setText('');
+      } else if (res?.message || res?.error === 'rate_limited') {
+        const line = res.message || `You are sending messages too fast, wait ${Math.ceil(res.retryAfterMs / 1000)}s`;
+        setItems((list) => [...list, { id: `${Date.now()}`, system: true, private: true, text: line }]);
       } else {
         alert('Message error: ' + (res?.error || 'unknown'));
       }
     });
   }
 
+  function onKeyDown(e) {
+    if (e.key === 'Enter') return send();
+    if (!suggestions.length) return;
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      setText(suggestions[selected].value);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected((i) => (i + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected((i) => (i - 1 + suggestions.length) % suggestions.length);
+    }
+  }
+
   return (
     <div className="bg-white p-3 rounded shadow">
       <div className="flex justify-between items-center mb-2">
         <h4 className="font-medium">Chat</h4>
-        <div className="text-xs text-slate-500">Type <code>/name YourName</code> to change name</div>
+        <div className="text-xs text-slate-500">Type <code>/help</code> for commands</div>
+      </div>
+
+      <div className="flex gap-2 mb-2 text-xs">
+        <button onClick={() => setAsking(true)} disabled={asking} className="px-2 py-0.5 bg-slate-100 rounded disabled:opacity-50">Poll</button>
+        {canVoteSkip && <button onClick={() => pollAction(EVENTS.POLL_CREATE, { action: 'skip' })} className="px-2 py-0.5 bg-slate-100 rounded">Vote to skip</button>}
+        {canVotePause && <button onClick={() => pollAction(EVENTS.POLL_CREATE, { action: 'pause' })} className="px-2 py-0.5 bg-slate-100 rounded">Vote to pause</button>}
       </div>
+      {asking && <PollForm onCreate={(poll) => pollAction(EVENTS.POLL_CREATE, poll, () => setAsking(false))} onCancel={() => setAsking(false)} />}
+      {polls.map(poll => (
+        <PollCard
+          key={poll.id}
+          poll={poll}
+          userId={user?.id}
+          serverNow={serverNow}
+          onVote={(option) => pollAction(EVENTS.POLL_VOTE, { pollId: poll.id, option })}
+          onClose={poll.byId === user?.id || isHost || canModerate ? () => pollAction(EVENTS.POLL_CLOSE, { pollId: poll.id }) : undefined}
+        />
+      ))}
 
-      <div ref={boxRef} className="h-48 overflow-auto border p-2 rounded mb-2">
-        {messages.map(m => <div key={m.id} className="mb-1 text-sm">{m.text}</div>)}
+      <div ref={boxRef} onScroll={onScroll} className="h-48 overflow-auto border p-2 rounded mb-2">
+        {hasMore && (
+          <button onClick={loadOlder} className="block mx-auto mb-2 text-xs text-indigo-600">
+            {loadingOlder ? 'Loading…' : 'Load older messages'}
+          </button>
+        )}
+        {items.map(m => {
+          if (m.system) return <div key={m.id} className={`mb-1 text-sm whitespace-pre-line ${m.private ? 'text-slate-500 italic' : ''}`}>{m.text}</div>;
+          if (m.deleted) return <div key={m.id} className="mb-1 text-sm text-slate-400 italic">{m.username}: message deleted</div>;
+          const own = m.userId === user?.id;
+          if (editing?.id === m.id) {
+            return (
+              <div key={m.id} className="mb-1 flex gap-1 text-sm">
+                <input
+                  autoFocus
+                  value={editing.text}
+                  onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                  onKeyDown={(e) => { if (e.key === 'Enter') saveEdit(); if (e.key === 'Escape') setEditing(null); }}
+                  className="flex-1 px-2 py-0.5 border rounded"
+                />
+                <button onClick={saveEdit} className="text-xs text-indigo-600">Save</button>
+                <button onClick={() => setEditing(null)} className="text-xs text-slate-500">Cancel</button>
+              </div>
+            );
+          }
+          return (
+            <div key={m.id} className="group mb-1 text-sm flex justify-between gap-2">
+              <span>
+                {m.emote ? `* ${m.username} ${m.text}` : `${m.username}: ${m.text}`}
+                {m.editedAt && <span className="ml-1 text-xs text-slate-400">(edited)</span>}
+              </span>
+              <span className="hidden group-hover:flex gap-2 text-xs shrink-0">
+                {own && !m.emote && <button onClick={() => setEditing({ id: m.id, text: m.text })} className="text-slate-500">edit</button>}
+                {(own || canModerate) && <button onClick={() => messageAction(EVENTS.CHAT_DELETE, { messageId: m.id })} className="text-red-600">delete</button>}
+              </span>
+            </div>
+          );
+        })}
       </div>
 
-      <div className="flex gap-2">
-        <input value={text} onChange={(e)=>setText(e.target.value)} onKeyDown={(e)=>{ if (e.key === 'Enter') send(); }} className="flex-1 px-3 py-2 border rounded" />
-        <button onClick={send} className="px-3 py-2 bg-indigo-600 text-white rounded">Send</button>
+      <div className="relative">
+        {(suggestions.length > 0 || hint) && (
+          <div className="absolute bottom-full mb-1 left-0 right-0 bg-white border rounded shadow text-sm z-10">
+            {suggestions.map((s, i) => (
+              <button
+                key={s.value}
+                onMouseDown={(e) => { e.preventDefault(); setText(s.value); }}
+                className={`block w-full text-left px-2 py-1 ${i === selected ? 'bg-indigo-50' : ''}`}
+              >
+                {s.label}
+                {s.detail && <span className="ml-2 text-xs text-slate-500">{s.detail}</span>}
+              </button>
+            ))}
+            {hint && <div className="px-2 py-1 text-xs text-slate-500">{hint}</div>}
+          </div>
+        )}
+        <div className="flex gap-2">
+          <input value={text} onChange={(e)=>setText(e.target.value)} onKeyDown={onKeyDown} className="flex-1 px-3 py-2 border rounded" />
+          <button onClick={send} className="px-3 py-2 bg-indigo-600 text-white rounded">Send</button>
+        </div>
       </div>
     </div>
   );
 }
+
+/**
+ * Suggestions for the chat input: command names while the first word is
+ * typed, then participant names for 'user' arguments; `hint` is the usage
+ * line of the command being typed.
+ */
+function complete(text, commands, users) {
+  if (!text.startsWith('/')) return { suggestions: [] };
+  const spaceAt = text.indexOf(' ');
+  if (spaceAt === -1) {
+    const typed = text.slice(1).toLowerCase();
+    const suggestions = commands
+      .filter(c => [c.name, ...c.aliases].some(n => n.startsWith(typed)))
+      .map(c => ({ value: `/${c.name} `, label: c.usage, detail: c.description }));
+    return { suggestions: suggestions.length === 1 && suggestions[0].value.trim() === text ? [] : suggestions };
+  }
+
+  const name = text.slice(1, spaceAt).toLowerCase();
+  const command = commands.find(c => c.name === name || c.aliases.includes(name));
+  if (!command) return { suggestions: [] };
+  const hint = `${command.usage} — ${command.description}`;
+
+  // which argument is being typed; a trailing 'user'/'text' argument takes the rest of the line
+  const rest = text.slice(spaceAt + 1);
+  const words = rest.split(/\s+/);
+  const lastIndex = command.args.length - 1;
+  const index = Math.min(words.length - 1, lastIndex);
+  const arg = command.args[index];
+  if (!arg || arg.type !== 'user') return { suggestions: [], hint };
+
+  const before = index === lastIndex ? words.slice(0, index) : words.slice(0, -1);
+  const partial = (index === lastIndex ? words.slice(index).join(' ') : words[words.length - 1]).toLowerCase();
+  const prefix = `/${command.name} ${before.length ? `${before.join(' ')} ` : ''}`;
+  const suggestions = users
+    .filter(u => u.name.toLowerCase().startsWith(partial) && u.name.toLowerCase() !== partial)
+    .map(u => ({ value: `${prefix}${u.name}`, label: u.name }));
+  return { suggestions, hint };
+}
@@ -0,0 +1,28 @@
+import React, { useEffect, useState } from 'react';
+
+/**
+ * HostRequestPrompt: shown to the host while someone asks for control.
+ * Counts down to request.expiresAt (server time, via serverNow); the server
+ * closes the request itself when it runs out.
+ */
+export default function HostRequestPrompt({ request, requesterName, serverNow = Date.now, onRespond }) {
+  const [left, setLeft] = useState(0);
+
+  useEffect(() => {
+    const tick = () => setLeft(Math.max(0, Math.ceil((request.expiresAt - serverNow()) / 1000)));
+    tick();
+    const timer = setInterval(tick, 500);
+    return () => clearInterval(timer);
+  }, [request, serverNow]);
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 p-3 rounded shadow text-sm">
+      <div className="font-medium">{requesterName} wants host control</div>
+      <div className="text-slate-500 text-xs mb-2">Expires in {left}s</div>
+      <div className="flex gap-2">
+        <button onClick={() => onRespond(true)} className="px-3 py-1 bg-indigo-600 text-white rounded">Hand over</button>
+        <button onClick={() => onRespond(false)} className="px-3 py-1 bg-slate-100 rounded">Deny</button>
+      </div>
+    </div>
+  );
+}
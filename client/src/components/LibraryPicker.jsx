@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react';
+
+/**
+ * LibraryPicker: videos already on the server (uploaded in any room), most
+ * recently used first. loadLibrary(query) resolves to { videos, usage };
+ * onPick(video) queues one in this room.
+ */
+export default function LibraryPicker({ loadLibrary, onPick, onClose }) {
+  const [query, setQuery] = useState('');
+  const [library, setLibrary] = useState(null); // { videos, usage }
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let current = true;
+    const timer = setTimeout(() => {
+      loadLibrary(query)
+        .then((res) => { if (current) { setLibrary(res); setError(null); } })
+        .catch((err) => { if (current) setError(err.message); });
+    }, 200);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  return (
+    <div className="mt-3 border rounded p-2">
+      <div className="flex gap-2 mb-2">
+        <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search the library" className="flex-1 px-2 py-1 border rounded text-sm" />
+        <button onClick={onClose} className="px-2 py-1 bg-slate-100 rounded text-sm">Close</button>
+      </div>
+
+      {error && <div className="text-sm text-red-600">Could not load the library: {error}</div>}
+      {library && library.videos.length === 0 && <div className="text-sm text-slate-400">No videos found.</div>}
+      <ul className="max-h-48 overflow-auto">
+        {library?.videos.map(v => (
+          <li key={v.savedName} className="flex items-center justify-between py-1 text-sm">
+            <div className="flex items-center truncate">
+              {v.posterUrl && <img src={v.posterUrl} alt="" className="w-12 h-7 mr-2 object-cover rounded shrink-0" />}
+              <span className="font-medium truncate">{v.filename}</span>
+              <span className="ml-2 text-xs text-slate-500 shrink-0">{formatBytes(v.size)}{v.duration ? ` · ${formatDuration(v.duration)}` : ''}</span>
+            </div>
+            <button onClick={() => onPick(v)} className="shrink-0 px-2 py-0.5 text-indigo-600">Queue</button>
+          </li>
+        ))}
+      </ul>
+
+      {library?.usage && (
+        <div className="mt-2 text-xs text-slate-500">
+          This room: {formatBytes(library.usage.roomUsed)}{library.usage.roomQuota ? ` of ${formatBytes(library.usage.roomQuota)}` : ''}
+          {' · '}Server: {formatBytes(library.usage.used)}{library.usage.quota ? ` of ${formatBytes(library.usage.quota)}` : ''}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatBytes(bytes = 0) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let i = 0;
+  while (value >= 1000 && i < units.length - 1) {
+    value /= 1000;
+    i++;
+  }
+  return `${value.toFixed(i && value < 10 ? 1 : 0)} ${units[i]}`;
+}
+
+function formatDuration(sec) {
+  const m = Math.floor(sec / 60);
+  const s = Math.floor(sec % 60).toString().padStart(2, '0');
+  return `${m}:${s}`;
+}
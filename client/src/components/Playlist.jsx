@@ -0,0 +1,58 @@
+import React from 'react';
+
+/**
+ * Playlist: upcoming videos in the room queue.
+ * Host can reorder, skip to an entry, or skip the current video;
+ * anyone can remove entries they queued. Links being downloaded to the
+ * server (downloads, from 'video:download') are listed below the queue.
+ */
+export default function Playlist({ queue, downloads = [], isHost, currentUserId, onRemove, onMove, onSkip, onDismissDownload }) {
+  return (
+    <div className="bg-white p-3 rounded shadow">
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="font-medium">Up Next</h4>
+        {isHost && <button onClick={() => onSkip()} disabled={!queue.length} className="text-sm px-2 py-1 bg-slate-100 rounded disabled:opacity-50">Skip</button>}
+      </div>
+
+      {queue.length === 0 && <div className="text-sm text-slate-400">Queue is empty. Uploads are added here.</div>}
+      <ol>
+        {queue.map((entry, i) => (
+          <li key={entry.id} className="flex items-center justify-between py-1 text-sm">
+            <div className="truncate">
+              <span className="text-slate-400 mr-2">{i + 1}.</span>
+              <span className="font-medium">{entry.video.filename}</span>
+              {entry.addedBy && <span className="ml-2 text-xs text-slate-500">by {entry.addedBy}</span>}
+              {entry.video.processing?.state === 'queued' && <span className="ml-2 text-xs text-amber-600">waiting to process</span>}
+              {entry.video.processing?.state === 'running' && <span className="ml-2 text-xs text-amber-600">processing {entry.video.processing.progress}%</span>}
+            </div>
+            <div className="flex gap-1 shrink-0">
+              {isHost && (
+                <>
+                  <button onClick={() => onSkip(entry.id)} className="px-1 text-indigo-600" title="Play now">▶</button>
+                  <button onClick={() => onMove(entry.id, 0)} disabled={i === 0} className="px-1 disabled:opacity-30" title="Play next">⤒</button>
+                  <button onClick={() => onMove(entry.id, i - 1)} disabled={i === 0} className="px-1 disabled:opacity-30" title="Move up">↑</button>
+                  <button onClick={() => onMove(entry.id, i + 1)} disabled={i === queue.length - 1} className="px-1 disabled:opacity-30" title="Move down">↓</button>
+                </>
+              )}
+              {(isHost || entry.addedById === currentUserId) && (
+                <button onClick={() => onRemove(entry.id)} className="px-1 text-red-600" title="Remove">✕</button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {downloads.map(d => (
+        <div key={d.id} className="flex items-center justify-between py-1 text-sm">
+          <span className="truncate">
+            <span className="font-medium">{d.filename}</span>
+            {d.state === 'failed'
+              ? <span className="ml-2 text-xs text-red-600">download failed ({d.error})</span>
+              : <span className="ml-2 text-xs text-amber-600">downloading{d.size ? ` ${Math.floor(((d.received || 0) / d.size) * 100)}%` : '…'}</span>}
+          </span>
+          {d.state === 'failed' && <button onClick={() => onDismissDownload(d.id)} className="px-1 text-slate-500" title="Dismiss">✕</button>}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { useEffect, useState } from 'react';
+
+/**
+ * PollCard: an open poll with its live tallies (see server/lib/polls).
+ * Clicking an option votes for it (onVote(index)), clicking our own vote
+ * takes it back (onVote(null)). Votes to skip/pause show the yes votes they
+ * still need. onClose is set when we may close the poll early.
+ */
+export default function PollCard({ poll, userId, serverNow = Date.now, onVote, onClose }) {
+  const [left, setLeft] = useState(0);
+
+  useEffect(() => {
+    const tick = () => setLeft(Math.max(0, Math.ceil((poll.expiresAt - serverNow()) / 1000)));
+    tick();
+    const timer = setInterval(tick, 500);
+    return () => clearInterval(timer);
+  }, [poll.expiresAt, serverNow]);
+
+  const mine = poll.votes[userId];
+  const total = poll.tallies.reduce((sum, n) => sum + n, 0);
+
+  return (
+    <div className="mb-2 p-2 border rounded bg-indigo-50 text-sm">
+      <div className="flex justify-between gap-2">
+        <span className="font-medium">{poll.question}</span>
+        <span className="text-xs text-slate-500 shrink-0">
+          {left}s
+          {onClose && <button onClick={onClose} className="ml-2 text-slate-500">close</button>}
+        </span>
+      </div>
+      {poll.action && <div className="text-xs text-slate-500">{poll.tallies[0]} of {poll.needed} yes votes needed</div>}
+      <div className="mt-1 space-y-1">
+        {poll.options.map((option, i) => (
+          <button
+            key={option}
+            onClick={() => onVote(mine === i ? null : i)}
+            className={`relative block w-full text-left px-2 py-0.5 rounded overflow-hidden bg-white ${mine === i ? 'ring-1 ring-indigo-500' : ''}`}
+          >
+            <span className="absolute inset-y-0 left-0 bg-indigo-100" style={{ width: `${total ? (poll.tallies[i] / total) * 100 : 0}%` }} />
+            <span className="relative flex justify-between">
+              <span>{option}</span>
+              <span className="text-slate-500">{poll.tallies[i]}</span>
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+
+const MAX_OPTIONS = 6; // server/lib/eventSchemas MAX_POLL_OPTIONS
+const DURATIONS = [30, 60, 120, 300]; // seconds
+
+/**
+ * PollForm: asks the room a question with 2 to MAX_OPTIONS answers.
+ * onCreate({ question, options, durationMs }) opens the poll, onCancel
+ * closes the form.
+ */
+export default function PollForm({ onCreate, onCancel }) {
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [duration, setDuration] = useState(60);
+
+  const filled = options.map(o => o.trim()).filter(Boolean);
+  const valid = question.trim() && filled.length >= 2;
+
+  function setOption(index, value) {
+    setOptions((list) => list.map((o, i) => (i === index ? value : o)));
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    if (!valid) return;
+    onCreate({ question: question.trim(), options: filled, durationMs: duration * 1000 });
+  }
+
+  return (
+    <form onSubmit={submit} className="mb-2 p-2 border rounded text-sm space-y-1">
+      <input autoFocus value={question} onChange={e => setQuestion(e.target.value)} maxLength={200} placeholder="Question" className="w-full px-2 py-1 border rounded" />
+      {options.map((option, i) => (
+        <input key={i} value={option} onChange={e => setOption(i, e.target.value)} maxLength={100} placeholder={`Option ${i + 1}`} className="w-full px-2 py-1 border rounded" />
+      ))}
+      <div className="flex items-center gap-2">
+        {options.length < MAX_OPTIONS && <button type="button" onClick={() => setOptions([...options, ''])} className="text-xs text-indigo-600">+ option</button>}
+        <select value={duration} onChange={e => setDuration(Number(e.target.value))} className="ml-auto px-1 py-0.5 border rounded">
+          {DURATIONS.map(s => <option key={s} value={s}>{s < 60 ? `${s}s` : `${s / 60} min`}</option>)}
+        </select>
+        <button type="button" onClick={onCancel} className="text-slate-500">Cancel</button>
+        <button type="submit" disabled={!valid} className="px-2 py-0.5 bg-indigo-600 text-white rounded disabled:opacity-50">Ask</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+
+// must match REACTIONS on the server
+export const REACTIONS = ['👍', '😂', '😮', '😢', '❤️', '🔥', '👏'];
+
+/**
+ * ReactionBar: emoji buttons and a short comment box; both are pinned to
+ * the current playback position by the caller.
+ */
+export default function ReactionBar({ onReact, onComment }) {
+  const [comment, setComment] = useState('');
+
+  function submit() {
+    if (!comment.trim()) return;
+    onComment(comment.trim());
+    setComment('');
+  }
+
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-1 text-sm">
+      {REACTIONS.map(e => (
+        <button key={e} onClick={() => onReact(e)} className="px-1.5 py-0.5 rounded hover:bg-slate-100 text-lg leading-none">{e}</button>
+      ))}
+      <input
+        value={comment}
+        maxLength={140}
+        onChange={(e) => setComment(e.target.value)}
+        onKeyDown={(e) => { if (e.key === 'Enter') submit(); }}
+        placeholder="Comment at this moment…"
+        className="flex-1 min-w-[10rem] px-2 py-1 border rounded"
+      />
+      <button onClick={submit} className="px-2 py-1 bg-slate-100 rounded">Pin</button>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from 'react';
+
+const ACTIONS = [
+  { key: 'takeHost', label: 'Request host' },
+  { key: 'upload', label: 'Upload' },
+  { key: 'chat', label: 'Chat' },
+  { key: 'invite', label: 'Invite' },
+];
+const ACCESS_MODES = [
+  { key: 'open', label: 'Anyone with the link' },
+  { key: 'password', label: 'Password' },
+  { key: 'invite', label: 'Invite links only' },
+];
+const ROLES = ['moderator', 'guest'];
+const THRESHOLDS = [0.25, 0.5, 0.67, 0.75, 1];
+
+/**
+ * RoomSettings: owner/moderators choose which roles may take host, upload, chat and invite.
+ * onChange(permissions) sends the updated { action: [roles] } map.
+ * The owner also picks who may join (canChangeAccess): onAccessChange(mode, password?).
+ * Votes to skip/pause pass once voteThreshold of the viewers said yes: onVoteThresholdChange(threshold).
+ */
+export default function RoomSettings({ permissions, onChange, access, canChangeAccess, onAccessChange, voteThreshold, onVoteThresholdChange }) {
+  const [mode, setMode] = useState(access);
+  const [password, setPassword] = useState('');
+
+  useEffect(() => setMode(access), [access]);
+
+  function saveAccess() {
+    onAccessChange(mode, mode === 'password' && password ? password : undefined);
+    setPassword('');
+  }
+
+  function toggle(action, role) {
+    const current = permissions[action] || [];
+    const roles = current.includes(role) ? current.filter(r => r !== role) : [...current, role];
+    onChange({ ...permissions, [action]: roles });
+  }
+
+  return (
+    <div className="bg-white p-3 rounded shadow text-sm">
+      <h3 className="font-medium mb-2">Permissions</h3>
+      <table className="w-full">
+        <thead>
+          <tr className="text-slate-500 text-xs">
+            <th className="text-left font-normal"></th>
+            {ROLES.map(r => <th key={r} className="font-normal capitalize">{r}s</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {ACTIONS.map(a => (
+            <tr key={a.key}>
+              <td className="py-1">{a.label}</td>
+              {ROLES.map(r => (
+                <td key={r} className="text-center">
+                  <input type="checkbox" checked={(permissions[a.key] || []).includes(r)} onChange={() => toggle(a.key, r)} />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <label className="mt-3 flex items-center gap-2">
+        Votes to skip/pause pass at
+        <select value={voteThreshold} onChange={e => onVoteThresholdChange(Number(e.target.value))} className="border rounded px-1 py-0.5">
+          {[...new Set([...THRESHOLDS, voteThreshold])].sort((a, b) => a - b).map(t => <option key={t} value={t}>{Math.round(t * 100)}%</option>)}
+        </select>
+        of viewers
+      </label>
+
+      {canChangeAccess && (
+        <div className="mt-3">
+          <h3 className="font-medium mb-2">Who can join</h3>
+          <select value={mode} onChange={e => setMode(e.target.value)} className="w-full border rounded px-2 py-1">
+            {ACCESS_MODES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+          {mode === 'password' && (
+            <input
+              type="password"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              placeholder={access === 'password' ? 'New password (leave empty to keep)' : 'Password'}
+              className="w-full border rounded px-2 py-1 mt-2"
+            />
+          )}
+          <button onClick={saveAccess} className="mt-2 px-3 py-1 bg-slate-100 rounded">Save</button>
+        </div>
+      )}
+    </div>
+  );
+}
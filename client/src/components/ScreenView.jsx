@@ -0,0 +1,21 @@
+import React from 'react';
+import StreamVideo from './StreamVideo';
+
+/**
+ * ScreenView: the screen someone shares with the room, shown instead of the
+ * video player while the share runs. The sharer sees their own capture
+ * (muted, so its audio doesn't echo); they or the host can stop it (onStop).
+ */
+export default function ScreenView({ stream, sharerName, own, onStop }) {
+  return (
+    <div className="bg-white rounded shadow p-3">
+      <div className="flex justify-between items-center mb-2">
+        <div className="font-medium">{own ? 'You are sharing your screen' : `${sharerName} is sharing their screen`}</div>
+        {onStop && <button onClick={onStop} className="text-sm px-2 py-1 bg-amber-50 text-amber-700 rounded">Stop sharing</button>}
+      </div>
+      {stream
+        ? <StreamVideo stream={stream} muted={own} className="w-full rounded bg-black" />
+        : <div className="h-64 flex items-center justify-center text-slate-400 border rounded">Connecting to the shared screen…</div>}
+    </div>
+  );
+}
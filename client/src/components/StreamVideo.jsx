@@ -0,0 +1,15 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * StreamVideo: a <video> playing a MediaStream (webcams, shared screens).
+ * Our own camera preview is `muted` so we don't hear ourselves.
+ */
+export default function StreamVideo({ stream, muted = false, className = '' }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (ref.current) ref.current.srcObject = stream || null;
+  }, [stream]);
+
+  return <video ref={ref} autoPlay playsInline muted={muted} className={className} />;
+}
@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from 'react';
+
+const MAX_WAIT_OPTIONS = [10, 30, 60, 120]; // seconds
+
+/**
+ * SyncPanel: the room's wait-for-everyone mode and ready checks.
+ * - sync ({ mode: 'free' | 'wait', maxWaitMs }) can be changed by whoever
+ *   may (canChangeSync) through onSyncChange(mode, maxWaitMs)
+ * - while the room waits (waitingFor: names of stalled viewers) the host can
+ *   play anyway (onPlayAnyway)
+ * - the host starts a ready check (onStartCheck); while one runs everybody
+ *   answers with onRespond(ready), and its starter or the host can cancel it
+ */
+export default function SyncPanel({ sync, canChangeSync, waitingFor = [], isHost, readyCheck, readyCount, total, myResponse, serverNow = Date.now, onSyncChange, onPlayAnyway, onStartCheck, onRespond, onCancelCheck }) {
+  const [left, setLeft] = useState(0);
+
+  useEffect(() => {
+    if (!readyCheck) return;
+    const tick = () => setLeft(Math.max(0, Math.ceil((readyCheck.expiresAt - serverNow()) / 1000)));
+    tick();
+    const timer = setInterval(tick, 500);
+    return () => clearInterval(timer);
+  }, [readyCheck, serverNow]);
+
+  const waiting = sync.mode === 'wait';
+
+  return (
+    <div className="bg-white p-3 rounded shadow text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={waiting} disabled={!canChangeSync} onChange={(e) => onSyncChange(e.target.checked ? 'wait' : 'free', sync.maxWaitMs)} />
+          Wait for everyone
+        </label>
+        {waiting && (
+          <label className="flex items-center gap-1 text-slate-500">
+            at most
+            <select value={Math.round(sync.maxWaitMs / 1000)} disabled={!canChangeSync} onChange={(e) => onSyncChange('wait', Number(e.target.value) * 1000)} className="px-1 py-0.5 border rounded">
+              {[...new Set([...MAX_WAIT_OPTIONS, Math.round(sync.maxWaitMs / 1000)])].sort((a, b) => a - b).map(s => <option key={s} value={s}>{s}s</option>)}
+            </select>
+          </label>
+        )}
+        {isHost && !readyCheck && <button onClick={onStartCheck} className="ml-auto px-2 py-1 bg-slate-100 rounded">Ready check</button>}
+      </div>
+
+      {waitingFor.length > 0 && (
+        <div className="mt-2 flex items-center justify-between px-2 py-1 bg-amber-50 text-amber-700 rounded">
+          <span>Waiting for {waitingFor.join(', ')} to buffer…</span>
+          {isHost && <button onClick={onPlayAnyway} className="px-2 py-0.5 bg-white rounded">Play anyway</button>}
+        </div>
+      )}
+
+      {readyCheck && (
+        <div className="mt-2 flex flex-wrap items-center gap-2 px-2 py-1 bg-indigo-50 rounded">
+          <span className="font-medium">Ready check</span>
+          <span className="text-slate-500">{readyCount}/{total} ready · {left}s left</span>
+          <span className="ml-auto flex gap-2">
+            <button onClick={() => onRespond(true)} disabled={myResponse === true} className="px-2 py-0.5 bg-indigo-600 text-white rounded disabled:opacity-50">I'm ready</button>
+            <button onClick={() => onRespond(false)} disabled={myResponse === false} className="px-2 py-0.5 bg-white rounded disabled:opacity-50">Not yet</button>
+            {onCancelCheck && <button onClick={onCancelCheck} className="px-2 py-0.5 text-slate-500">Cancel</button>}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
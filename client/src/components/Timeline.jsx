@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { thumbnailAt } from '../lib/thumbnails';
+
+function formatTime(sec = 0) {
+  const s = Math.floor(sec % 60).toString().padStart(2, '0');
+  const m = Math.floor(sec / 60);
+  return `${m}:${s}`;
+}
+
+/**
+ * Timeline: seek bar with a marker per reaction/comment.
+ * Only the host can click to seek (onSeek); everyone sees the markers and,
+ * when the video has them, thumbnail previews while hovering
+ * (thumbnails: cues from lib/thumbnails). An A-B loop ({ start, end }) is
+ * shown as a band.
+ */
+export default function Timeline({ duration, currentTime, annotations = [], thumbnails = [], loop, canSeek, onSeek }) {
+  const [hoverTime, setHoverTime] = useState(null);
+  if (!duration) return null;
+  const at = (time) => `${Math.min(100, (time / duration) * 100)}%`;
+  const timeAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * duration;
+  };
+
+  function onClick(e) {
+    if (!canSeek) return;
+    onSeek(timeAt(e));
+  }
+
+  const thumb = hoverTime !== null && thumbnailAt(thumbnails, hoverTime);
+
+  return (
+    <div className="mt-6">
+      <div
+        onClick={onClick}
+        onMouseMove={(e) => setHoverTime(timeAt(e))}
+        onMouseLeave={() => setHoverTime(null)}
+        className={`relative h-3 bg-slate-100 rounded ${canSeek ? 'cursor-pointer' : ''}`}
+      >
+        <div className="absolute inset-y-0 left-0 bg-indigo-200 rounded" style={{ width: at(currentTime) }} />
+        {loop && <div className="absolute inset-y-0 border-x-2 border-emerald-500 bg-emerald-300/40" style={{ left: at(loop.start), width: `${Math.min(100, ((loop.end - loop.start) / duration) * 100)}%` }} title="A-B loop" />}
+        {hoverTime !== null && (
+          <div className="absolute bottom-full mb-6 -translate-x-1/2 z-10 pointer-events-none text-center" style={{ left: at(hoverTime) }}>
+            {thumb && (
+              <div
+                className="rounded shadow border border-white"
+                style={{ width: thumb.w, height: thumb.h, backgroundImage: `url(${thumb.url})`, backgroundPosition: `-${thumb.x}px -${thumb.y}px` }}
+              />
+            )}
+            <span className="inline-block mt-1 px-1 text-xs text-white bg-slate-800/80 rounded">{formatTime(hoverTime)}</span>
+          </div>
+        )}
+        {annotations.map(a => {
+          const title = `${formatTime(a.time)} ${a.username}: ${a.kind === 'reaction' ? a.emoji : a.text}`;
+          // reactions sit above the bar, comments are dots on it
+          return a.kind === 'reaction'
+            ? <span key={a.id} title={title} className="absolute -top-5 -translate-x-1/2 text-xs leading-none select-none" style={{ left: at(a.time) }}>{a.emoji}</span>
+            : <span key={a.id} title={title} className="absolute top-0.5 -translate-x-1/2 w-2 h-2 rounded-full bg-amber-500" style={{ left: at(a.time) }} />;
+        })}
+      </div>
+      <div className="flex justify-between text-xs text-slate-500 mt-1">
+        <span>{formatTime(currentTime)}</span>
+        <span>{formatTime(duration)}</span>
+      </div>
+    </div>
+  );
+}
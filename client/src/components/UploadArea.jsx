@@ -1,21 +1,69 @@
-import React, { useRef } from 'react';
+import React, { useRef, useState } from 'react';
+import LibraryPicker from './LibraryPicker';
 
 /**
  * UploadArea: simple drag/drop + file input
- * onUpload(file) is called with a File object
+ * onUpload(file, { onProgress, onStateChange }) is called with a File object
+ * and returns an upload handle (see lib/upload) with pause/resume/cancel.
+ * With loadLibrary/onPickFromLibrary, videos already on the server can be
+ * queued instead (see LibraryPicker); onAddUrl(url, mode) adds a direct
+ * MP4/WebM/HLS link, streamed through the server ('proxy') or copied to it
+ * ('download'), and resolves or rejects with the server's error.
+ * onAddLocal(file) queues a file without uploading it: everyone watches
+ * their own copy (local-file watch mode), resolving or rejecting the same way.
  */
-export default function UploadArea({ onUpload }) {
+export default function UploadArea({ onUpload, loadLibrary, onPickFromLibrary, onAddUrl, onAddLocal }) {
   const inputRef = useRef();
+  const localInputRef = useRef();
+  const [local, setLocal] = useState({ adding: false, error: null });
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [link, setLink] = useState({ url: '', mode: 'proxy', adding: false, error: null });
+  const [upload, setUpload] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const [status, setStatus] = useState(null); // { state, detail }
+
+  const active = status && ['uploading', 'paused', 'error'].includes(status.state);
+
+  function begin(f) {
+    if (active) return alert('An upload is already in progress.');
+    setProgress(0);
+    const handle = onUpload(f, {
+      onProgress: ({ percent }) => setProgress(percent),
+      onStateChange: (state, detail) => setStatus({ state, detail }),
+    });
+    setUpload(handle);
+    handle.start();
+  }
 
   function onFileSelected(e) {
     const f = e.target.files?.[0];
-    if (f) onUpload(f);
+    if (f) begin(f);
+    e.target.value = ''; // allow picking the same file again to resume
+  }
+
+  function addLink(e) {
+    e.preventDefault();
+    if (!link.url.trim() || link.adding) return;
+    setLink({ ...link, adding: true, error: null });
+    onAddUrl(link.url.trim(), link.mode)
+      .then(() => setLink({ ...link, url: '', adding: false, error: null }))
+      .catch((err) => setLink({ ...link, adding: false, error: err.message }));
+  }
+
+  function onLocalSelected(e) {
+    const f = e.target.files?.[0];
+    e.target.value = '';
+    if (!f || local.adding) return;
+    setLocal({ adding: true, error: null });
+    onAddLocal(f)
+      .then(() => setLocal({ adding: false, error: null }))
+      .catch((err) => setLocal({ adding: false, error: err.message }));
   }
 
   function onDrop(e) {
     e.preventDefault();
     const f = e.dataTransfer.files?.[0];
-    if (f) onUpload(f);
+    if (f) begin(f);
   }
 
   return (
@@ -26,10 +74,65 @@ export default function UploadArea({ onUpload }) {
           <p className="text-sm text-slate-500">Click or drag & drop a video file to upload to the room (visible to everyone).</p>
         </div>
         <div className="flex gap-2">
+          {loadLibrary && <button className="px-3 py-1 bg-slate-100 rounded" onClick={() => setShowLibrary((v) => !v)}>Choose from library</button>}
+          {onAddLocal && (
+            <button className="px-3 py-1 bg-slate-100 rounded disabled:opacity-50" disabled={local.adding} onClick={() => localInputRef.current.click()} title="Everyone opens their own copy of the file; nothing is uploaded">
+              {local.adding ? 'Reading file…' : 'Watch local file'}
+            </button>
+          )}
           <button className="px-3 py-1 bg-slate-100 rounded" onClick={()=> inputRef.current.click()}>Upload Video</button>
           <input type="file" accept="video/*" ref={inputRef} onChange={onFileSelected} className="hidden" />
+          <input type="file" accept="video/*" ref={localInputRef} onChange={onLocalSelected} className="hidden" />
         </div>
       </div>
+      {local.error && <div className="mt-2 text-sm text-red-600">Could not add the local file: {local.error}</div>}
+
+      {onAddUrl && (
+        <form onSubmit={addLink} className="mt-3 flex flex-wrap gap-2 text-sm">
+          <input
+            value={link.url}
+            onChange={(e) => setLink({ ...link, url: e.target.value })}
+            placeholder="…or paste a video link (MP4, WebM, HLS .m3u8)"
+            className="flex-1 min-w-0 px-2 py-1 border rounded"
+          />
+          <select value={link.mode} onChange={(e) => setLink({ ...link, mode: e.target.value })} className="px-2 py-1 border rounded" title="How the room loads it">
+            <option value="proxy">Stream via server</option>
+            <option value="download">Download to server</option>
+          </select>
+          <button type="submit" disabled={link.adding} className="px-3 py-1 bg-slate-100 rounded disabled:opacity-50">{link.adding ? 'Checking…' : 'Add'}</button>
+          {link.error && <div className="w-full text-red-600">Could not add the link: {link.error}</div>}
+        </form>
+      )}
+
+      {showLibrary && (
+        <LibraryPicker
+          loadLibrary={loadLibrary}
+          onPick={(video) => { onPickFromLibrary(video); setShowLibrary(false); }}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
+      {upload && status && (
+        <div className="mt-3 text-sm">
+          <div className="flex justify-between mb-1">
+            <span className="truncate">{upload.file.name}</span>
+            <span className="text-slate-500">
+              {status.state === 'done' ? 'Uploaded' : status.state === 'cancelled' ? 'Cancelled' : status.state === 'error' ? `Failed: ${status.detail}` : `${progress}%${status.state === 'paused' ? ' (paused)' : ''}`}
+            </span>
+          </div>
+          <div className="h-2 bg-slate-100 rounded overflow-hidden">
+            <div className={`h-full ${status.state === 'error' ? 'bg-red-500' : 'bg-indigo-600'}`} style={{ width: `${progress}%` }} />
+          </div>
+          {active && (
+            <div className="mt-2 flex gap-2">
+              {status.state === 'uploading'
+                ? <button onClick={() => upload.pause()} className="px-2 py-1 bg-slate-100 rounded">Pause</button>
+                : <button onClick={() => upload.resume()} className="px-2 py-1 bg-slate-100 rounded">Resume</button>}
+              <button onClick={() => upload.cancel()} className="px-2 py-1 bg-red-50 text-red-600 rounded">Cancel</button>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 }
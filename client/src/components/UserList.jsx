@@ -1,23 +1,60 @@
 import React from 'react';
+import { outranks } from '../lib/permissions';
 
 /**
- * Displays users and highlight host.
+ * Displays users and highlight host, with whose player is loading or
+ * buffering (u.player), their answer to a running readyCheck and, for
+ * local-file videos, whether the file they opened matches (u.localFile).
+ * Guests allowed to may request host control; the host can pass it to anyone.
+ * Owner/moderators get per-user actions for anyone they outrank:
+ * promote/demote (owner only), mute, kick and ban.
  */
-export default function UserList({ users, hostId, currentUserId, onTakeHost }) {
+export default function UserList({ users, hostId, currentUserId, myRole, isHost, onRequestHost, hostRequestPending, readyCheck, onPassHost, onSetRole, onModerate }) {
   return (
     <div className="bg-white p-3 rounded shadow">
       <div className="flex justify-between items-center mb-2">
         <h4 className="font-medium">Participants</h4>
-        <button onClick={onTakeHost} className="text-sm px-2 py-1 bg-slate-100 rounded">Take Host</button>
+        {hostRequestPending
+          ? <span className="text-xs text-amber-700">Request sent…</span>
+          : onRequestHost && <button onClick={onRequestHost} className="text-sm px-2 py-1 bg-slate-100 rounded">Request Host</button>}
       </div>
 
       <ul>
         {users.map(u => (
-          <li key={u.id} className={`flex items-center justify-between py-1 ${u.id === currentUserId ? 'bg-slate-50' : ''} rounded px-2`}>
-            <div>
-              <span className="font-medium">{u.name}</span>
-              {u.id === hostId && <span className="ml-2 text-xs text-green-600">Host</span>}
+          <li key={u.id} className={`py-1 ${u.id === currentUserId ? 'bg-slate-50' : ''} rounded px-2`}>
+            <div className="flex items-center justify-between">
+              <div>
+                <span className="font-medium">{u.name}</span>
+                {u.id === hostId && <span className="ml-2 text-xs text-green-600">Host</span>}
+                {u.role === 'owner' && <span className="ml-2 text-xs text-amber-600">Owner</span>}
+                {u.role === 'moderator' && <span className="ml-2 text-xs text-indigo-600">Mod</span>}
+                {u.muted && <span className="ml-2 text-xs text-slate-400">muted</span>}
+                {u.status === 'reconnecting' && <span className="ml-2 text-xs text-amber-600">reconnecting…</span>}
+                {u.status !== 'reconnecting' && (u.player === 'buffering' || u.player === 'loading') && (
+                  <span className="ml-2 text-xs text-amber-600 animate-pulse" title="Their player is waiting for data">buffering…</span>
+                )}
+                {u.localFile === 'mismatch' && <span className="ml-2 text-xs text-red-600" title="Their file is not the same as the room's video">different file</span>}
+                {u.localFile === 'missing' && <span className="ml-2 text-xs text-slate-400" title="They haven't opened their copy of the video yet">no file</span>}
+                {readyCheck && (readyCheck.responses[u.id] === true
+                  ? <span className="ml-2 text-xs text-green-600">✓ ready</span>
+                  : readyCheck.responses[u.id] === false
+                    ? <span className="ml-2 text-xs text-red-600">not ready</span>
+                    : <span className="ml-2 text-xs text-slate-400">?</span>)}
+              </div>
             </div>
+            {u.id !== currentUserId && (isHost || outranks(myRole, u.role)) && (
+              <div className="flex flex-wrap gap-2 text-xs mt-1">
+                {isHost && <button onClick={() => onPassHost(u.id)} className="text-green-700">Make host</button>}
+                {outranks(myRole, u.role) && <>
+                  {myRole === 'owner' && (u.role === 'moderator'
+                    ? <button onClick={() => onSetRole(u.id, 'guest')} className="text-indigo-600">Demote</button>
+                    : <button onClick={() => onSetRole(u.id, 'moderator')} className="text-indigo-600">Promote</button>)}
+                  <button onClick={() => onModerate(u.id, u.muted ? 'unmute' : 'mute')} className="text-slate-600">{u.muted ? 'Unmute' : 'Mute'}</button>
+                  <button onClick={() => onModerate(u.id, 'kick')} className="text-red-600">Kick</button>
+                  <button onClick={() => { if (confirm(`Ban ${u.name} from this room?`)) onModerate(u.id, 'ban'); }} className="text-red-600">Ban</button>
+                </>}
+              </div>
+            )}
           </li>
         ))}
       </ul>
@@ -1,41 +1,283 @@
 import React, { useEffect, useRef, useState } from 'react';
+import Hls from 'hls.js';
+import { expectedPosition } from '../../sdk/clock';
+import { loadThumbnails } from '../lib/thumbnails';
+import { fingerprintFile, openLocalFile, localFileUrl } from '../lib/localFiles';
+import Timeline from './Timeline';
+import AnnotationOverlay from './AnnotationOverlay';
+import ReactionBar from './ReactionBar';
 
 /**
  * VideoPlayer
- * - plays provided video.url
+ * - plays video.hlsUrl (adaptive HLS, via hls.js where needed) once the server
+ *   has transcoded it, otherwise the raw video.url
+ * - for local-file videos (video.local) plays the viewer's own copy instead,
+ *   opened here and reported by fingerprint (onLocalFile(fingerprint)) so the
+ *   room can tell whether it is the same file
  * - responds to playbackState prop to sync when server instructs seek/play/pause
- * - emits host controls via callbacks passed (onHostAction)
+ * - emits host controls via callbacks passed (onHostAction); guests can only
+ *   ask for control (onRequestHost), their local scrubbing is resynced
+ * - reports the end of the video (onEnded) so the server can advance the queue
+ * - renders video.subtitles as <track>s; each viewer picks a track locally,
+ *   "Room default" follows video.defaultSubtitleId which the host sets
+ * - shows reactions/comments (annotations) as overlays when playback reaches
+ *   them and as markers on the timeline; onAnnotate(kind, { emoji | text, time })
+ *   pins a new one at the local position
+ * - shows video.posterUrl until playback starts and thumbnails from
+ *   video.thumbnailsUrl when hovering the timeline
+ * - plays at the room's speed (playbackState.rate) and repeats its A-B
+ *   section (playbackState.loop, shown on the timeline); the host changes
+ *   both here (onHostAction('rate' | 'loop', time, { rate } | { loop }))
+ * - reports whether it can play (onStatus(state, time) with 'loading',
+ *   'buffering' or 'ready') on changes and every STATUS_REPORT_MS, for the
+ *   room's wait-for-everyone mode and buffering indicators
  *
- * Important: we handle small sync differences by nudging playbackTime if drift > 0.5s.
+ * Important: the expected position is extrapolated from the server-stamped
+ * playbackState using serverNow(). Small drift is corrected smoothly by nudging
+ * playbackRate; only gaps above HARD_SEEK_DRIFT jump with a seek. HLS
+ * renditions share segment boundaries, so quality switches don't move the
+ * timeline; tiny seeks hls.js makes on its own (gap skipping) are not
+ * broadcast as host seeks.
  */
 
-export default function VideoPlayer({ video, playbackState, onHostAction, isHost, onTakeHost }) {
+const HARD_SEEK_DRIFT = 1; // seconds
+const SOFT_SYNC_DRIFT = 0.05; // seconds; below this we consider ourselves in sync
+const MAX_RATE_NUDGE = 0.1; // max +/- playbackRate adjustment
+const DRIFT_CHECK_MS = 1000;
+const MIN_HOST_SEEK = 0.5; // seconds; smaller jumps are player nudges, not scrubs
+const BUFFERING_REPORT_DELAY_MS = 700; // shorter stalls are not worth pausing the room for
+const STATUS_REPORT_MS = 5000;
+const RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+function formatTime(sec = 0) {
+  const s = Math.floor(sec % 60).toString().padStart(2, '0');
+  const m = Math.floor(sec / 60);
+  return `${m}:${s}`;
+}
+
+export default function VideoPlayer({ video, playbackState, serverNow = Date.now, onHostAction, isHost, onRequestHost, hostRequestPending, onEnded, onSubtitleUpload, onSetDefaultSubtitle, annotations, onAnnotate, canRemoveAnnotation, onRemoveAnnotation, onStatus, onLocalFile }) {
   const ref = useRef(null);
+  const onStatusRef = useRef(onStatus);
+  onStatusRef.current = onStatus;
+  const subtitleInputRef = useRef(null);
+  const localFileInputRef = useRef(null);
+  const ignoreSeekRef = useRef(false); // set while we seek programmatically
+  const appliedRateRef = useRef(1); // last playbackRate we set; other changes come from the user
+  const [loopStart, setLoopStart] = useState(null); // A, while the host picks B
   const [localPlaying, setLocalPlaying] = useState(false);
+  const [subtitleChoice, setSubtitleChoice] = useState('default'); // 'default' | 'off' | track id
+  const [position, setPosition] = useState({ time: 0, duration: 0 });
+  const [thumbnails, setThumbnails] = useState([]);
+  const [localFile, setLocalFile] = useState(null); // { entryId, fingerprint, url } of the copy we play
+  const [checkingFile, setCheckingFile] = useState(false);
+  const source = video?.local ? localFile?.url : video?.hlsUrl || video?.url;
+  const localMismatch = !!(video?.local && localFile && localFile.fingerprint !== video.fingerprint);
+  const subtitles = video?.subtitles || [];
+  const activeSubtitle = subtitleChoice === 'default' ? (video?.defaultSubtitleId || null) : subtitleChoice === 'off' ? null : subtitleChoice;
 
+  // attach the source; hls.js for HLS unless the browser plays it natively (Safari)
+  useEffect(() => {
+    const v = ref.current;
+    if (!v) return;
+    if (!source) {
+      // a local file nobody opened yet: don't keep showing the previous video
+      v.removeAttribute('src');
+      v.load();
+      return;
+    }
+    if (video.hlsUrl && Hls.isSupported() && !v.canPlayType('application/vnd.apple.mpegurl')) {
+      const hls = new Hls();
+      hls.loadSource(source);
+      hls.attachMedia(v);
+      return () => hls.destroy();
+    }
+    v.src = source;
+  }, [source]);
+
+  function setRate(v, value) {
+    appliedRateRef.current = value;
+    v.playbackRate = value;
+  }
+
+  function correctDrift() {
+    const v = ref.current;
+    if (!v) return;
+    const rate = playbackState.rate || 1;
+    const drift = expectedPosition(playbackState, serverNow()) - v.currentTime;
+
+    if (Math.abs(drift) > HARD_SEEK_DRIFT || !playbackState.playing) {
+      setRate(v, rate);
+      if (Math.abs(drift) > SOFT_SYNC_DRIFT) {
+        ignoreSeekRef.current = true;
+        v.currentTime = expectedPosition(playbackState, serverNow());
+      }
+    } else if (Math.abs(drift) > SOFT_SYNC_DRIFT) {
+      // behind -> speed up, ahead -> slow down, proportional to the gap (in media seconds)
+      const nudge = Math.max(-MAX_RATE_NUDGE, Math.min(MAX_RATE_NUDGE, drift / 2));
+      setRate(v, rate * (1 + nudge));
+    } else {
+      setRate(v, rate);
+    }
+  }
+
+  function onTimeUpdate(e) {
+    const v = e.currentTarget;
+    setPosition({ time: v.currentTime, duration: v.duration || 0 });
+    // everyone jumps back to A on their own; the server clock wraps the same way
+    const { loop } = playbackState;
+    if (loop && playbackState.playing && playbackState.time < loop.end && v.currentTime >= loop.end) {
+      ignoreSeekRef.current = true;
+      v.currentTime = loop.start;
+    }
+  }
+
+  function handleEnded(e) {
+    const { loop } = playbackState;
+    // a loop that ends with the video starts over instead of moving on
+    if (loop && playbackState.time < loop.end) {
+      ignoreSeekRef.current = true;
+      e.currentTarget.currentTime = loop.start;
+      e.currentTarget.play().catch(() => {});
+      return;
+    }
+    onEnded && onEnded();
+  }
+
+  // the host picked another speed in the browser's own controls
+  function handleRateChange(e) {
+    const rate = e.currentTarget.playbackRate;
+    if (!isHost || Math.abs(rate - appliedRateRef.current) < 0.001) return;
+    onHostAction && onHostAction('rate', e.currentTarget.currentTime, { rate: Math.max(0.25, Math.min(4, rate)) });
+  }
+
+  function markLoop() {
+    const time = ref.current?.currentTime || 0;
+    if (loopStart === null || time <= loopStart) return setLoopStart(time);
+    setLoopStart(null);
+    onHostAction && onHostAction('loop', time, { loop: { start: loopStart, end: time } });
+  }
+
+  // readiness for the room: HAVE_FUTURE_DATA means we can play on from here
   useEffect(() => {
-    if (!ref.current || !video) return;
-    // if server instructs a seek
     const v = ref.current;
-    if (Math.abs(v.currentTime - (playbackState.time || 0)) > 0.5) {
-      v.currentTime = playbackState.time || 0;
+    if (!v || !source) return;
+    let reported = null;
+    let stallTimer = null;
+    const send = (state) => {
+      reported = state;
+      if (onStatusRef.current) onStatusRef.current(state, v.currentTime);
+    };
+    const check = () => {
+      const state = v.readyState >= 3 ? 'ready' : reported ? 'buffering' : 'loading';
+      if (state !== 'buffering') {
+        clearTimeout(stallTimer);
+        stallTimer = null;
+        if (state !== reported) send(state);
+      } else if (reported !== 'buffering' && !stallTimer) {
+        stallTimer = setTimeout(() => {
+          stallTimer = null;
+          if (v.readyState < 3) send('buffering');
+        }, BUFFERING_REPORT_DELAY_MS);
+      }
+    };
+    const events = ['loadstart', 'waiting', 'stalled', 'canplay', 'playing', 'seeking', 'seeked'];
+    events.forEach(e => v.addEventListener(e, check));
+    const timer = setInterval(() => reported && send(reported), STATUS_REPORT_MS);
+    check();
+    return () => {
+      events.forEach(e => v.removeEventListener(e, check));
+      clearInterval(timer);
+      clearTimeout(stallTimer);
+    };
+  }, [source, video?.entryId]);
+
+  // a local-file video plays the matching file if this tab opened it before
+  useEffect(() => {
+    const url = video?.local ? localFileUrl(video.fingerprint) : null;
+    setLocalFile(url ? { entryId: video.entryId, fingerprint: video.fingerprint, url } : null);
+  }, [video?.entryId, video?.fingerprint]);
+
+  useEffect(() => {
+    if (video?.local && localFile && localFile.entryId === video.entryId && onLocalFile) onLocalFile(localFile.fingerprint);
+  }, [localFile, video?.entryId]);
+
+  async function onLocalFileSelected(e) {
+    const f = e.target.files?.[0];
+    e.target.value = '';
+    if (!f || !video) return;
+    setCheckingFile(true);
+    try {
+      const fingerprint = await fingerprintFile(f);
+      setLocalFile({ entryId: video.entryId, fingerprint, url: openLocalFile(fingerprint, f) });
+    } catch (err) {
+      alert('Could not read the file: ' + err.message);
+    } finally {
+      setCheckingFile(false);
     }
+  }
+
+  // seek-bar previews, when the server made them
+  useEffect(() => {
+    setThumbnails([]);
+    if (!video?.thumbnailsUrl) return;
+    let current = true;
+    loadThumbnails(video.thumbnailsUrl)
+      .then((cues) => { if (current) setThumbnails(cues); })
+      .catch(() => {}); // previews are optional
+    return () => { current = false; };
+  }, [video?.thumbnailsUrl]);
+
+  // a new video starts from the room default again, with no half-picked loop
+  useEffect(() => {
+    setSubtitleChoice('default');
+    setLoopStart(null);
+  }, [video?.savedName]);
+
+  // show only the active track; TextTrack.id mirrors the <track id> attribute
+  useEffect(() => {
+    const v = ref.current;
+    if (!v) return;
+    Array.from(v.textTracks).forEach((t) => {
+      t.mode = t.id === activeSubtitle ? 'showing' : 'disabled';
+    });
+  }, [activeSubtitle, subtitles.length]);
+
+  function onSubtitleSelected(e) {
+    const f = e.target.files?.[0];
+    if (f && onSubtitleUpload) onSubtitleUpload(f);
+    e.target.value = '';
+  }
+
+  function applyState() {
+    if (!ref.current || !video) return;
+    const v = ref.current;
+    correctDrift();
 
     if (playbackState.playing) {
       v.play().catch(()=>{}); // play, but browsers may block autoplay if not user-initiated
     } else {
       v.pause();
     }
-  }, [playbackState, video]);
+  }
+
+  useEffect(applyState, [playbackState, video]);
+
+  // guests keep converging on the server clock while playing; the host is the reference
+  useEffect(() => {
+    if (!video || isHost || !playbackState.playing) return;
+    const timer = setInterval(correctDrift, DRIFT_CHECK_MS);
+    return () => {
+      clearInterval(timer);
+      if (ref.current) setRate(ref.current, playbackState.rate || 1);
+    };
+  }, [playbackState, video, isHost, serverNow]);
 
   function handlePlayPause() {
     if (!ref.current) return;
     const v = ref.current;
     const time = v.currentTime;
-    if (!isHost) {
-      // guests cannot control host - show take host option
-      return onTakeHost && onTakeHost();
-    }
+    // guests don't control playback; drift correction keeps them with the host
+    if (!isHost) return;
 
     if (v.paused) {
       onHostAction && onHostAction('play', time);
@@ -46,11 +288,14 @@ export default function VideoPlayer({ video, playbackState, onHostAction, isHost
 
   function handleSeek(e) {
     if (!ref.current) return;
-    const time = ref.current.currentTime;
-    if (!isHost) {
-      // guests cannot seek — ask to take host
-      return onTakeHost && onTakeHost();
+    if (ignoreSeekRef.current) {
+      ignoreSeekRef.current = false;
+      return;
     }
+    const time = ref.current.currentTime;
+    // a guest scrubbing locally is put back where the room is
+    if (!isHost) return correctDrift();
+    if (Math.abs(time - expectedPosition(playbackState, serverNow())) < MIN_HOST_SEEK) return;
     onHostAction && onHostAction('seek', time);
   }
 
@@ -59,24 +304,106 @@ export default function VideoPlayer({ video, playbackState, onHostAction, isHost
       <div className="flex justify-between items-center mb-2">
         <div className="font-medium">Video Player</div>
         <div>
-          {isHost ? <span className="text-sm px-2 py-1 bg-green-100 rounded">Host</span> : <button className="text-sm px-2 py-1 bg-slate-100 rounded" onClick={onTakeHost}>Take Host Control</button>}
+          {isHost ? <span className="text-sm px-2 py-1 bg-green-100 rounded">Host</span> : hostRequestPending
+            ? <span className="text-sm px-2 py-1 bg-amber-50 text-amber-700 rounded">Host request sent…</span>
+            : onRequestHost && <button className="text-sm px-2 py-1 bg-slate-100 rounded" onClick={onRequestHost}>Request Host Control</button>}
         </div>
       </div>
 
       {video ? (
         <>
-          <video
-            ref={ref}
-            src={video.url}
-            controls
-            onPlay={() => setLocalPlaying(true)}
-            onPause={() => setLocalPlaying(false)}
-            onSeeked={handleSeek}
-            className="w-full rounded"
+          {video.processing && video.processing.state !== 'ready' && (
+            <div className={`mb-2 text-sm px-2 py-1 rounded ${video.processing.state === 'failed' ? 'bg-red-50 text-red-600' : 'bg-amber-50 text-amber-700'}`}>
+              {video.processing.state === 'failed'
+                ? 'Could not convert this video for streaming; playing the original file.'
+                : `Optimizing for streaming… ${video.processing.progress || 0}% (playing the original file meanwhile)`}
+            </div>
+          )}
+          {video.local && (
+            <div className={`mb-2 flex flex-wrap items-center gap-2 text-sm px-2 py-1 rounded ${!localFile || localMismatch ? 'bg-amber-50 text-amber-700' : 'bg-slate-50 text-slate-600'}`}>
+              <span className="flex-1">
+                {!localFile
+                  ? `Local file: open your own copy of ${video.filename} to watch along.`
+                  : localMismatch
+                    ? `The file you opened is not the same as ${video.filename}; it follows the room, but may not line up.`
+                    : `Playing your own copy of ${video.filename}.`}
+              </span>
+              <button onClick={() => localFileInputRef.current.click()} disabled={checkingFile} className="px-2 py-0.5 bg-white rounded disabled:opacity-50">
+                {checkingFile ? 'Checking…' : localFile ? 'Open another file' : 'Open file'}
+              </button>
+              <input type="file" accept="video/*" ref={localFileInputRef} onChange={onLocalFileSelected} className="hidden" />
+            </div>
+          )}
+          <div className="relative">
+            <video
+              ref={ref}
+              controls
+              crossOrigin="anonymous"
+              poster={video.posterUrl}
+              onLoadedMetadata={applyState}
+              onTimeUpdate={onTimeUpdate}
+              onRateChange={handleRateChange}
+              onPlay={() => setLocalPlaying(true)}
+              onPause={() => setLocalPlaying(false)}
+              onSeeked={handleSeek}
+              onEnded={handleEnded}
+              className="w-full rounded"
+            >
+              {subtitles.map(t => <track key={t.id} id={t.id} kind="subtitles" src={t.url} srcLang={t.lang} label={t.label} />)}
+            </video>
+            <AnnotationOverlay annotations={annotations} currentTime={position.time} canRemove={canRemoveAnnotation} onRemove={onRemoveAnnotation} />
+          </div>
+          <Timeline
+            duration={position.duration}
+            currentTime={position.time}
+            annotations={annotations}
+            thumbnails={thumbnails}
+            loop={playbackState.loop}
+            canSeek={isHost}
+            onSeek={(time) => onHostAction && onHostAction('seek', time)}
           />
-          <div className="mt-2 flex gap-2">
+          {onAnnotate && (
+            <ReactionBar
+              onReact={(emoji) => onAnnotate('reaction', { emoji, time: ref.current?.currentTime })}
+              onComment={(text) => onAnnotate('comment', { text, time: ref.current?.currentTime })}
+            />
+          )}
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
             <button onClick={handlePlayPause} className="px-3 py-1 bg-indigo-600 text-white rounded">Play/Pause (Host)</button>
-            <div className="text-sm text-slate-500">Filename: {video.filename}</div>
+            <select
+              value={playbackState.rate || 1}
+              disabled={!isHost}
+              onChange={(e) => onHostAction && onHostAction('rate', ref.current?.currentTime, { rate: Number(e.target.value) })}
+              className="px-2 py-1 border rounded"
+              title="Playback speed for everyone"
+            >
+              {[...new Set([...RATES, playbackState.rate || 1])].sort((a, b) => a - b).map(r => <option key={r} value={r}>{r}x</option>)}
+            </select>
+            {playbackState.loop && <span className="text-emerald-700">Loop {formatTime(playbackState.loop.start)}–{formatTime(playbackState.loop.end)}</span>}
+            {isHost && (
+              <>
+                <button onClick={markLoop} className="px-2 py-1 bg-slate-100 rounded" title="Mark the start (A), then the end (B) of a section to repeat">
+                  {loopStart === null ? 'Loop: set A' : `Set B (A = ${formatTime(loopStart)})`}
+                </button>
+                {(playbackState.loop || loopStart !== null) && (
+                  <button onClick={() => { setLoopStart(null); if (playbackState.loop) onHostAction('loop', ref.current?.currentTime, { loop: null }); }} className="px-2 py-1 text-slate-500">Clear loop</button>
+                )}
+              </>
+            )}
+            <div className="text-slate-500">Filename: {video.filename}</div>
+          </div>
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-slate-500">Subtitles:</span>
+            <select value={subtitleChoice} onChange={(e) => setSubtitleChoice(e.target.value)} className="px-2 py-1 border rounded">
+              <option value="default">Room default{video.defaultSubtitleId ? ` (${subtitles.find(t => t.id === video.defaultSubtitleId)?.label || '?'})` : ' (off)'}</option>
+              <option value="off">Off</option>
+              {subtitles.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+            {isHost && subtitleChoice !== 'default' && (
+              <button onClick={() => onSetDefaultSubtitle && onSetDefaultSubtitle(subtitleChoice === 'off' ? null : subtitleChoice)} className="px-2 py-1 bg-slate-100 rounded">Make room default</button>
+            )}
+            <button onClick={() => subtitleInputRef.current.click()} className="px-2 py-1 bg-slate-100 rounded">Add subtitles</button>
+            <input type="file" accept=".srt,.vtt,.ass,.ssa" ref={subtitleInputRef} onChange={onSubtitleSelected} className="hidden" />
           </div>
         </>
       ) : (
@@ -0,0 +1,67 @@
+/**
+ * Local-file watch mode: everyone plays their own copy of a video, so the
+ * room only knows the file by its fingerprint, "v1:<size>:<hash>-<hash>-<hash>"
+ * with hashes of a SAMPLE_BYTES sample at the start, middle and end. Reading
+ * three samples is instant even for huge files, and the same file gives the
+ * same fingerprint on every machine. (A plain JS hash rather than
+ * crypto.subtle, which only exists on https/localhost.)
+ *
+ * Files opened in this tab are kept by fingerprint, so a video that comes
+ * back in the queue plays without picking it again.
+ */
+
+const SAMPLE_BYTES = 1024 * 1024;
+
+// cyrb53, over bytes: a fast 53-bit hash, as 14 hex digits
+function hashBytes(bytes) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < bytes.length; i++) {
+    h1 = Math.imul(h1 ^ bytes[i], 2654435761);
+    h2 = Math.imul(h2 ^ bytes[i], 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+export async function fingerprintFile(file) {
+  const starts = file.size <= SAMPLE_BYTES * 3
+    ? [0]
+    : [0, Math.floor((file.size - SAMPLE_BYTES) / 2), file.size - SAMPLE_BYTES];
+  const length = starts.length === 1 ? file.size : SAMPLE_BYTES;
+  const hashes = await Promise.all(starts.map(async (start) => {
+    const buffer = await file.slice(start, start + length).arrayBuffer();
+    return hashBytes(new Uint8Array(buffer));
+  }));
+  return `v1:${file.size}:${hashes.join('-')}`;
+}
+
+// the video's length in seconds, or null if the browser can't read it
+export function readDuration(file) {
+  return new Promise((resolve) => {
+    const v = document.createElement('video');
+    const url = URL.createObjectURL(file);
+    const done = (duration) => {
+      URL.revokeObjectURL(url);
+      resolve(Number.isFinite(duration) ? duration : null);
+    };
+    v.preload = 'metadata';
+    v.onloadedmetadata = () => done(v.duration);
+    v.onerror = () => done(null);
+    v.src = url;
+  });
+}
+
+const opened = new Map(); // fingerprint -> object URL
+
+// -> an object URL for the file, remembered under its fingerprint
+export function openLocalFile(fingerprint, file) {
+  if (!opened.has(fingerprint)) opened.set(fingerprint, URL.createObjectURL(file));
+  return opened.get(fingerprint);
+}
+
+// object URL of a file with this fingerprint opened earlier, or null
+export function localFileUrl(fingerprint) {
+  return opened.get(fingerprint) || null;
+}
@@ -0,0 +1,15 @@
+/**
+ * Client-side mirror of the server permission matrix (server/lib/permissions.js),
+ * used only to decide which controls to show; the server enforces.
+ */
+
+export const RANK = { owner: 3, moderator: 2, guest: 1 };
+
+export function can(permissions, role, action) {
+  if (role === 'owner') return true;
+  return (permissions?.[action] || []).includes(role);
+}
+
+export function outranks(role, targetRole) {
+  return (RANK[role] || 0) > (RANK[targetRole] || 0);
+}
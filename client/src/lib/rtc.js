@@ -0,0 +1,209 @@
+/**
+ * WebRTC for the room: the webcam/mic call and the host's screen share,
+ * signaled through the server (rtc:signal, see server/lib/calls). There is
+ * one RTCPeerConnection per remote user and channel:
+ *
+ *   'call'    whoever joins offers to everyone already in the call; both
+ *             sides send mic and camera. Turning them on or off swaps the
+ *             tracks on the existing connections, without renegotiating.
+ *   'screen'  each viewer offers a receive-only connection to the sharer,
+ *             who answers with the captured screen.
+ *
+ * const rtc = createRtc({ socket, roomId, userId, iceServers, onChange });
+ * await rtc.joinCall({ audio, video }); rtc.handleSignal(signal); rtc.close();
+ *
+ * onChange({ local, peers, screen, call, sharing }) after every change:
+ * local is our camera/mic stream, peers maps userId -> MediaStream, screen
+ * the shared screen (ours while sharing), call our { audio, video } or null.
+ */
+
+import { EVENTS } from '../../sdk';
+
+const key = (channel, peerId) => `${channel}:${peerId}`;
+
+export function createRtc({ socket, roomId, userId, iceServers, onChange }) {
+  const connections = new Map(); // key -> { channel, peerId, pc, stream }
+  let mic = null; // local tracks
+  let camera = null;
+  let screen = null; // our display capture while sharing
+  let inCall = false;
+  let signals = Promise.resolve(); // signals are handled one at a time, in order
+
+  function changed() {
+    const peers = {};
+    let remoteScreen = null;
+    connections.forEach(({ channel, peerId, stream }) => {
+      if (channel === 'call') peers[peerId] = stream;
+      else remoteScreen = stream;
+    });
+    onChange && onChange({
+      local: mic || camera ? new MediaStream([mic, camera].filter(Boolean)) : null,
+      peers,
+      screen: screen || remoteScreen,
+      call: inCall ? { audio: !!mic, video: !!camera } : null,
+      sharing: !!screen,
+    });
+  }
+
+  function send(targetId, channel, payload) {
+    socket.emit(EVENTS.RTC_SIGNAL, { roomId, userId, targetId, channel, ...payload }, (res) => {
+      if (!res?.ok) console.warn(EVENTS.RTC_SIGNAL, res?.error);
+    });
+  }
+
+  function connect(channel, peerId) {
+    disconnect(channel, peerId);
+    const pc = new RTCPeerConnection({ iceServers });
+    const entry = { channel, peerId, pc, stream: new MediaStream() };
+    connections.set(key(channel, peerId), entry);
+    pc.onicecandidate = ({ candidate }) => candidate && send(peerId, channel, { candidate: candidate.toJSON() });
+    // a new stream object per track, so views notice
+    pc.ontrack = ({ track }) => {
+      entry.stream = new MediaStream([...entry.stream.getTracks(), track]);
+      changed();
+    };
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === 'failed' && connections.get(key(channel, peerId)) === entry) {
+        disconnect(channel, peerId);
+        changed();
+      }
+    };
+    return entry;
+  }
+
+  function disconnect(channel, peerId) {
+    const entry = connections.get(key(channel, peerId));
+    if (!entry) return;
+    entry.pc.close();
+    connections.delete(key(channel, peerId));
+  }
+
+  function disconnectAll(channel) {
+    connections.forEach(entry => entry.channel === channel && disconnect(channel, entry.peerId));
+  }
+
+  // what we send on a transceiver of `kind`
+  function localTrack(channel, kind) {
+    if (channel === 'screen') return screen ? screen.getTracks().find(t => t.kind === kind) || null : null;
+    return kind === 'audio' ? mic : camera;
+  }
+
+  async function offer(channel, peerId) {
+    const { pc } = connect(channel, peerId);
+    const direction = channel === 'call' ? 'sendrecv' : 'recvonly';
+    pc.addTransceiver(channel === 'call' && mic ? mic : 'audio', { direction });
+    pc.addTransceiver(channel === 'call' && camera ? camera : 'video', { direction });
+    await pc.setLocalDescription(await pc.createOffer());
+    send(peerId, channel, { description: pc.localDescription.toJSON() });
+  }
+
+  async function answer(channel, peerId, description) {
+    const { pc } = connect(channel, peerId);
+    await pc.setRemoteDescription(description);
+    await Promise.all(pc.getTransceivers().map((t) => {
+      t.direction = channel === 'call' ? 'sendrecv' : 'sendonly';
+      return t.sender.replaceTrack(localTrack(channel, t.receiver.track.kind));
+    }));
+    await pc.setLocalDescription(await pc.createAnswer());
+    send(peerId, channel, { description: pc.localDescription.toJSON() });
+    changed();
+  }
+
+  async function receive({ fromId, channel, description, candidate }) {
+    if (description?.type === 'offer') return answer(channel, fromId, description);
+    const entry = connections.get(key(channel, fromId));
+    if (!entry) return;
+    if (description?.type === 'answer') await entry.pc.setRemoteDescription(description);
+    else if (candidate) await entry.pc.addIceCandidate(candidate);
+  }
+
+  function handleSignal(signal) {
+    signals = signals.then(() => receive(signal)).catch(err => console.warn('rtc', err));
+  }
+
+  // turn mic/camera on or off (asks for permission the first time)
+  async function setMedia({ audio, video }) {
+    if (audio && !mic) mic = (await navigator.mediaDevices.getUserMedia({ audio: true })).getAudioTracks()[0];
+    if (video && !camera) camera = (await navigator.mediaDevices.getUserMedia({ video: true })).getVideoTracks()[0];
+    if (!audio && mic) { mic.stop(); mic = null; }
+    if (!video && camera) { camera.stop(); camera = null; }
+    connections.forEach(({ channel, pc }) => {
+      if (channel !== 'call') return;
+      pc.getTransceivers().forEach(t => t.sender.replaceTrack(localTrack('call', t.receiver.track.kind)));
+    });
+    if (inCall) socket.emit(EVENTS.RTC_JOIN, { roomId, userId, audio: !!mic, video: !!camera });
+    changed();
+  }
+
+  async function joinCall({ audio, video }) {
+    await setMedia({ audio, video });
+    const res = await new Promise(resolve => socket.emit(EVENTS.RTC_JOIN, { roomId, userId, audio: !!mic, video: !!camera }, resolve));
+    if (!res?.ok) throw new Error(res?.error || 'join_failed');
+    inCall = true;
+    changed();
+    await Promise.all(res.peers.map(peerId => offer('call', peerId)));
+  }
+
+  function leaveCall() {
+    if (!inCall) return;
+    inCall = false;
+    disconnectAll('call');
+    [mic, camera].forEach(t => t && t.stop());
+    mic = null;
+    camera = null;
+    socket.emit(EVENTS.RTC_LEAVE, { roomId, userId });
+    changed();
+  }
+
+  async function startScreen() {
+    const capture = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+    const res = await new Promise(resolve => socket.emit(EVENTS.RTC_SCREEN, { roomId, userId, sharing: true }, resolve));
+    if (!res?.ok) {
+      capture.getTracks().forEach(t => t.stop());
+      throw new Error(res?.error || 'share_failed');
+    }
+    screen = capture;
+    // the browser's own "stop sharing" button
+    capture.getVideoTracks()[0].onended = () => stopScreen();
+    changed();
+  }
+
+  // `notify: false` when the server already ended the share
+  function stopScreen({ notify = true } = {}) {
+    if (!screen) return;
+    screen.getTracks().forEach(t => t.stop());
+    screen = null;
+    disconnectAll('screen');
+    if (notify) socket.emit(EVENTS.RTC_SCREEN, { roomId, userId, sharing: false });
+    changed();
+  }
+
+  function watchScreen(sharerId) {
+    offer('screen', sharerId).catch(err => console.warn('rtc', err));
+  }
+
+  function unwatchScreen() {
+    if (screen) return;
+    disconnectAll('screen');
+    changed();
+  }
+
+  // someone left the call (or the room)
+  function peerLeft(peerId) {
+    disconnect('call', peerId);
+    changed();
+  }
+
+  function close() {
+    connections.forEach(({ pc }) => pc.close());
+    connections.clear();
+    [mic, camera].forEach(t => t && t.stop());
+    if (screen) screen.getTracks().forEach(t => t.stop());
+    mic = null;
+    camera = null;
+    screen = null;
+    inCall = false;
+  }
+
+  return { joinCall, setMedia, leaveCall, startScreen, stopScreen, watchScreen, unwatchScreen, peerLeft, handleSignal, close };
+}
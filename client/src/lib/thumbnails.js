@@ -0,0 +1,36 @@
+/**
+ * Seek-bar thumbnails: a WebVTT file whose cues point into a sprite image,
+ *   00:00:10.000 --> 00:00:20.000
+ *   sprite.jpg#xywh=160,0,160,90
+ * Image paths are relative to the VTT file.
+ */
+
+function parseTime(value) {
+  return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// -> [{ start, end, url, x, y, w, h }]
+export function parseThumbnails(text, vttUrl) {
+  const cues = [];
+  text.replace(/\r/g, '').split(/\n\n+/).forEach((block) => {
+    const lines = block.trim().split('\n');
+    const timing = lines.findIndex(l => l.includes('-->'));
+    if (timing === -1 || !lines[timing + 1]) return;
+    const [start, end] = lines[timing].split('-->').map(t => parseTime(t.trim().split(' ')[0]));
+    const [file, hash] = lines[timing + 1].trim().split('#xywh=');
+    if (!hash) return;
+    const [x, y, w, h] = hash.split(',').map(Number);
+    cues.push({ start, end, url: new URL(file, vttUrl).href, x, y, w, h });
+  });
+  return cues;
+}
+
+export async function loadThumbnails(vttUrl) {
+  const res = await fetch(vttUrl);
+  if (!res.ok) throw new Error(`thumbnails: ${res.status}`);
+  return parseThumbnails(await res.text(), vttUrl);
+}
+
+export function thumbnailAt(cues, time) {
+  return cues.find(c => time >= c.start && time < c.end) || cues[cues.length - 1] || null;
+}
@@ -0,0 +1,148 @@
+import axios from 'axios';
+
+/**
+ * Resumable chunked upload against /upload/sessions.
+ *
+ * The session id is remembered in localStorage per file (name + size +
+ * lastModified), so picking the same file again after a reload or a dropped
+ * connection continues from the server's offset instead of starting over.
+ *
+ * const upload = createUpload(file, { server, roomId, session, onProgress, onStateChange });
+ * `session` is the token from room:join; it tells the server who uploads, and
+ * only that user can continue or cancel the upload.
+ * upload.start(); upload.pause(); upload.resume(); upload.cancel();
+ *
+ * States: idle -> uploading <-> paused -> done | cancelled | error
+ */
+
+const MAX_RETRIES = 5;
+
+function storageKey(file) {
+  return `w2g:upload:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+async function chunkChecksum(blob) {
+  if (!window.crypto?.subtle) return null; // insecure context; server skips verification
+  const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  let binary = '';
+  new Uint8Array(digest).forEach((b) => { binary += String.fromCharCode(b); });
+  return `sha256 ${btoa(binary)}`;
+}
+
+export function createUpload(file, { server, roomId, session, onProgress, onStateChange, onComplete }) {
+  const base = `${server}/upload/sessions`;
+  const auth = session ? { Authorization: `Bearer ${session}` } : {};
+  let sessionId = localStorage.getItem(storageKey(file));
+  let chunkSize = 5 * 1024 * 1024;
+  let offset = 0;
+  let state = 'idle';
+  let controller = null; // aborts the in-flight chunk
+
+  function setState(next, detail) {
+    state = next;
+    onStateChange && onStateChange(next, detail);
+  }
+
+  function report(sent) {
+    onProgress && onProgress({ loaded: sent, total: file.size, percent: Math.floor((sent / file.size) * 100) });
+  }
+
+  async function openSession() {
+    if (sessionId) {
+      try {
+        const res = await axios.get(`${base}/${sessionId}`, { headers: auth });
+        offset = res.data.offset;
+        return;
+      } catch (err) {
+        if (err.response?.status !== 404) throw err;
+        // expired or finished elsewhere: start a new session
+      }
+    }
+    const res = await axios.post(base, { filename: file.name, size: file.size, roomId }, { headers: auth });
+    sessionId = res.data.id;
+    chunkSize = res.data.chunkSize || chunkSize;
+    offset = 0;
+    localStorage.setItem(storageKey(file), sessionId);
+  }
+
+  async function sendChunk() {
+    const blob = file.slice(offset, Math.min(offset + chunkSize, file.size));
+    const headers = { ...auth, 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) };
+    const checksum = await chunkChecksum(blob);
+    if (checksum) headers['Upload-Checksum'] = checksum;
+
+    controller = new AbortController();
+    const start = offset;
+    try {
+      const res = await axios.patch(`${base}/${sessionId}`, blob, {
+        headers,
+        signal: controller.signal,
+        onUploadProgress: (e) => report(start + e.loaded),
+      });
+      offset = res.data.offset;
+      return res.data;
+    } catch (err) {
+      // server is somewhere else (e.g. a retried chunk already landed): jump there
+      if (err.response?.status === 409) {
+        offset = err.response.data.offset;
+        return { offset };
+      }
+      throw err;
+    } finally {
+      controller = null;
+    }
+  }
+
+  async function run() {
+    setState('uploading');
+    let retries = 0;
+    try {
+      await openSession(); // (re)syncs the offset with the server
+      report(offset);
+      while (state === 'uploading') {
+        try {
+          const res = await sendChunk();
+          retries = 0;
+          report(offset);
+          if (res.complete) {
+            localStorage.removeItem(storageKey(file));
+            setState('done');
+            onComplete && onComplete(res.video);
+            return;
+          }
+        } catch (err) {
+          if (axios.isCancel(err) || state !== 'uploading') return;
+          // only network errors and 5xx are worth retrying
+          if (err.response && err.response.status < 500) throw err;
+          if (++retries > MAX_RETRIES) throw err;
+          await new Promise(r => setTimeout(r, 1000 * 2 ** (retries - 1)));
+        }
+      }
+    } catch (err) {
+      setState('error', err.response?.data?.error || err.message);
+    }
+  }
+
+  return {
+    file,
+    get state() { return state; },
+    start: run,
+    pause() {
+      if (state !== 'uploading') return;
+      setState('paused');
+      controller?.abort();
+    },
+    resume() {
+      if (state === 'paused' || state === 'error') run();
+    },
+    async cancel() {
+      const wasActive = state;
+      setState('cancelled');
+      controller?.abort();
+      localStorage.removeItem(storageKey(file));
+      if (sessionId && wasActive !== 'done') {
+        await axios.delete(`${base}/${sessionId}`, { headers: auth }).catch(() => {});
+      }
+    },
+  };
+}
@@ -1,14 +1,23 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { v4 as uuidv4 } from 'uuid';
+import axios from 'axios';
+
+const SERVER = import.meta.env.VITE_SERVER_URL || 'http://localhost:4000';
 
 export default function Home() {
   const nav = useNavigate();
   const [roomName, setRoomName] = useState('');
+  const [password, setPassword] = useState('');
+  const [inviteOnly, setInviteOnly] = useState(false);
 
-  function createRoom() {
-    const id = uuidv4().split('-')[0];
-    nav(`/room/${id}`);
+  // the server picks an unguessable id and hands back an invite for the creator
+  async function createRoom() {
+    try {
+      const { data } = await axios.post(`${SERVER}/rooms`, { password: (!inviteOnly && password) || undefined, inviteOnly });
+      nav(`/room/${data.roomId}?invite=${encodeURIComponent(data.invite.token)}`);
+    } catch (err) {
+      alert('Could not create room: ' + (err.response?.data?.error || err.message));
+    }
   }
 
   function joinRoom() {
@@ -27,6 +36,14 @@ export default function Home() {
           <input value={roomName} onChange={e=>setRoomName(e.target.value)} placeholder="Room ID" className="flex-1 px-3 py-2 border rounded" />
           <button onClick={joinRoom} className="px-4 py-2 bg-green-600 text-white rounded">Join</button>
         </div>
+
+        <div className="mt-4 flex items-center gap-4 text-sm text-slate-600">
+          <input type="password" value={password} onChange={e=>setPassword(e.target.value)} placeholder="Room password (optional)" className="px-3 py-1 border rounded" disabled={inviteOnly} />
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={inviteOnly} onChange={e=>setInviteOnly(e.target.checked)} />
+            Invite-only
+          </label>
+        </div>
       </div>
     </div>
   );
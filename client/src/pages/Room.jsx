@@ -1,115 +1,442 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { useParams } from 'react-router-dom';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import io from 'socket.io-client';
 import axios from 'axios';
 import VideoPlayer from '../components/VideoPlayer';
 import Chat from '../components/Chat';
 import UploadArea from '../components/UploadArea';
 import UserList from '../components/UserList';
+import Playlist from '../components/Playlist';
+import RoomSettings from '../components/RoomSettings';
+import HostRequestPrompt from '../components/HostRequestPrompt';
+import SyncPanel from '../components/SyncPanel';
+import CallStrip from '../components/CallStrip';
+import ScreenView from '../components/ScreenView';
+import { EVENTS } from '../../sdk';
+import { createServerClock } from '../../sdk/clock';
+import { createUpload } from '../lib/upload';
+import { can } from '../lib/permissions';
+import { fingerprintFile, readDuration, openLocalFile } from '../lib/localFiles';
+import { createRtc } from '../lib/rtc';
 
 const SERVER = import.meta.env.VITE_SERVER_URL || 'http://localhost:4000';
 
+// join errors the user can't fix by retrying; password errors prompt instead
+const JOIN_ERRORS = {
+  banned: 'You are banned from this room',
+  invite_required: 'This room is invite-only. Ask someone in the room for an invite link.',
+  invite_invalid: 'This invite link is not valid for this room.',
+  invite_expired: 'This invite link has expired. Ask for a new one.',
+};
+
+// { token, name } per room, so a refresh or reconnect comes back as the same user
+const sessionKey = (roomId) => `w2g:session:${roomId}`;
+function loadSession(roomId) {
+  try {
+    return JSON.parse(localStorage.getItem(sessionKey(roomId))) || {};
+  } catch (err) {
+    return {};
+  }
+}
+function saveSession(roomId, session) {
+  localStorage.setItem(sessionKey(roomId), JSON.stringify({ ...loadSession(roomId), ...session }));
+}
+
+// One raw socket shared with <Chat> and lib/rtc rather than createRoomClient from ../../sdk:
+// the page keeps the room in React state per broadcast, and its join flow
+// (password prompt, invite links, the session saved per room) has to ask the
+// user things the client's automatic rejoin cannot. Event names still come
+// from the SDK (EVENTS) so both stay on the same protocol.
 const socket = io(SERVER, { autoConnect: false });
+const clock = createServerClock(socket);
 
 export default function Room() {
   const { roomId } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const invite = searchParams.get('invite');
   const [user, setUser] = useState(null);
   const [users, setUsers] = useState([]);
   const [hostId, setHostId] = useState(null);
+  const [ownerId, setOwnerId] = useState(null);
+  const [permissions, setPermissions] = useState({});
+  const [access, setAccess] = useState('open'); // open | password | invite
+  const [topic, setTopic] = useState('');
+  const [hostRequest, setHostRequest] = useState(null); // pending { id, fromId, toId, expiresAt }
+  const [sync, setSync] = useState({ mode: 'free', maxWaitMs: 30000 }); // wait-for-everyone mode
+  const [readyCheck, setReadyCheck] = useState(null); // running { id, byId, expiresAt, responses }
+  const [polls, setPolls] = useState([]); // open polls with their tallies (see server/lib/polls)
+  const [voteThreshold, setVoteThreshold] = useState(0.5);
   const [video, setVideo] = useState(null);
+  const [queue, setQueue] = useState([]);
+  const [downloads, setDownloads] = useState([]); // links being copied to the server (video:download)
+  const [annotations, setAnnotations] = useState({ savedName: null, list: [] }); // for the current video
   const [logs, setLogs] = useState([]);
   const [playbackState, setPlaybackState] = useState({ playing: false, time: 0 });
+  const [connected, setConnected] = useState(true);
+  const [iceServers, setIceServers] = useState([]);
+  const [screenShare, setScreenShare] = useState(null); // { userId, startedAt } while someone shares their screen
+  const [rtc, setRtc] = useState(null); // see lib/rtc
+  const [media, setMedia] = useState({ local: null, peers: {}, screen: null, call: null, sharing: false });
 
-  // connect socket once
+  // connect socket once; (re)join on every connect so a dropped connection resumes the same user
   useEffect(() => {
-    socket.connect();
-
-    // create guest
-    const guestName = `Guest-${Math.floor(100 + Math.random() * 900)}`;
-    socket.emit('room:join', { roomId, username: guestName }, (res) => {
+    const guestName = loadSession(roomId).name || `Guest-${Math.floor(100 + Math.random() * 900)}`;
+    const join = (password) => socket.emit(EVENTS.ROOM_JOIN, { roomId, username: guestName, invite, password, session: loadSession(roomId).token }, (res) => {
       if (res?.ok) {
-        setUser(res.user);
-      } else {
-        alert('Could not join room');
+        saveSession(roomId, { token: res.session, name: res.user.name });
+        return setUser(res.user);
+      }
+      if (res?.error === 'password_required' || res?.error === 'wrong_password') {
+        const entered = prompt(res.error === 'wrong_password' ? 'Wrong password, try again:' : 'This room needs a password:');
+        if (entered) return join(entered);
+        return navigate('/');
       }
+      alert(JOIN_ERRORS[res?.error] || 'Could not join room');
+      if (JOIN_ERRORS[res?.error]) navigate('/');
     });
+    const onConnect = () => {
+      setConnected(true);
+      clock.start();
+      join();
+    };
+    const onDisconnect = () => setConnected(false);
+    socket.on('connect', onConnect);
+    socket.on('disconnect', onDisconnect);
+    socket.connect();
 
-    // handlers
-    socket.on('room:state', (state) => {
+    // handlers; all removed again when the room changes, so none fire twice
+    const listeners = [];
+    const listen = (event, handler) => {
+      socket.on(event, handler);
+      listeners.push([event, handler]);
+    };
+    listen(EVENTS.ROOM_STATE, (state) => {
       setUsers(state.users || []);
       setHostId(state.hostId);
+      setOwnerId(state.ownerId || null);
+      setPermissions(state.permissions || {});
+      setAccess(state.access || 'open');
+      setTopic(state.topic || '');
+      setHostRequest(state.hostRequest || null);
+      if (state.sync) setSync(state.sync);
+      setReadyCheck(state.readyCheck || null);
+      setPolls(state.polls || []);
+      if (state.voteThreshold) setVoteThreshold(state.voteThreshold);
+      setScreenShare(state.screenShare || null);
+      setIceServers(state.iceServers || []);
       setVideo(state.video || null);
+      setAnnotations({ savedName: state.video?.savedName || null, list: state.annotations || [] });
+      setQueue(state.queue || []);
       setLogs(state.logs || []);
       setPlaybackState(state.playbackState || { playing: false, time: 0 });
     });
 
-    socket.on('room:user_list', ({ users }) => setUsers(users));
-    socket.on('room:user_joined', ({ user, log }) => {
+    listen(EVENTS.ROOM_USER_LIST, ({ users }) => setUsers(users));
+    listen(EVENTS.ROOM_USER_JOINED, ({ user, log }) => {
       setLogs((s) => [...s, log]);
       setUsers((u) => [...u, user]);
     });
-    socket.on('room:user_left', ({ userId, log }) => {
-      setLogs((s) => [...s, log]);
+    listen(EVENTS.ROOM_USER_LEFT, ({ userId, log }) => {
+      if (log) setLogs((s) => [...s, log]);
       setUsers((u) => u.filter(x => x.id !== userId));
     });
 
-    socket.on('chat:message', (msg) => setLogs((s) => [...s, { id: msg.id, type: 'chat', text: `${msg.username}: ${msg.text}`, time: new Date().toISOString() }]));
-    socket.on('chat:log', (log) => setLogs((s) => [...s, log]));
+    // chat messages live in <Chat>; moderator deletions are also activity
+    listen(EVENTS.CHAT_MESSAGE_DELETED, ({ log }) => {
+      if (log) setLogs((s) => [...s, log]);
+    });
+    listen(EVENTS.CHAT_LOG, (log) => setLogs((s) => [...s, log]));
 
-    socket.on('video:uploaded', ({ video, log }) => {
+    listen(EVENTS.VIDEO_UPLOADED, ({ log }) => {
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    listen(EVENTS.VIDEO_CHANGED, ({ video, playbackState, annotations, log }) => {
       setVideo(video);
+      setAnnotations({ savedName: video?.savedName || null, list: annotations || [] });
+      if (playbackState) setPlaybackState(playbackState);
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    // transcoding progress/result for a video that is current or queued here
+    listen(EVENTS.VIDEO_PROCESSING, ({ savedName, ...patch }) => {
+      setVideo((v) => (v?.savedName === savedName ? { ...v, ...patch } : v));
+      setQueue((q) => q.map(e => (e.video.savedName === savedName ? { ...e, video: { ...e.video, ...patch } } : e)));
+    });
+
+    listen(EVENTS.SUBTITLES_UPDATED, ({ savedName, subtitles, defaultSubtitleId, log }) => {
+      setVideo((v) => (v?.savedName === savedName ? { ...v, subtitles, defaultSubtitleId } : v));
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    listen(EVENTS.VIDEO_ANNOTATION, ({ savedName, annotation }) => {
+      setAnnotations((a) => (a.savedName === savedName ? { ...a, list: [...a.list, annotation] } : a));
+    });
+
+    listen(EVENTS.VIDEO_ANNOTATION_REMOVED, ({ savedName, annotationId }) => {
+      setAnnotations((a) => (a.savedName === savedName ? { ...a, list: a.list.filter(x => x.id !== annotationId) } : a));
+    });
+
+    listen(EVENTS.QUEUE_UPDATED, ({ queue, log }) => {
+      setQueue(queue);
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    // playback events update what they change; rate and loop carry over
+    listen(EVENTS.HOST_PLAY, ({ time, updatedAt, log }) => {
+      setPlaybackState((p) => ({ ...p, playing: true, time, updatedAt, waitingFor: null }));
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    // waitingFor: who the room paused for (wait-for-everyone mode)
+    listen(EVENTS.HOST_PAUSE, ({ time, updatedAt, waitingFor, log }) => {
+      setPlaybackState((p) => ({ ...p, playing: false, time, updatedAt, waitingFor: waitingFor || null }));
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    listen(EVENTS.HOST_SEEK, ({ time, updatedAt, log }) => {
+      setPlaybackState((p) => ({ ...p, time, updatedAt }));
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    listen(EVENTS.HOST_RATE, ({ rate, time, updatedAt, log }) => {
+      setPlaybackState((p) => ({ ...p, rate, time, updatedAt }));
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    // A-B loop: { start, end } seconds, or null
+    listen(EVENTS.HOST_LOOP, ({ loop, time, updatedAt, log }) => {
+      setPlaybackState((p) => ({ ...p, loop, time, updatedAt }));
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    listen(EVENTS.ROOM_SYNC, ({ sync, log }) => {
+      setSync(sync);
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    listen(EVENTS.READY_CHECK, ({ check, log }) => {
+      setReadyCheck(check);
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    listen(EVENTS.READY_DONE, ({ log }) => {
+      setReadyCheck(null);
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    listen(EVENTS.POLL_UPDATED, ({ poll, log }) => {
+      setPolls((list) => (list.some(p => p.id === poll.id) ? list.map(p => (p.id === poll.id ? poll : p)) : [...list, poll]));
       if (log) setLogs((s) => [...s, log]);
     });
 
-    socket.on('host:play', ({ time, log }) => {
-      setPlaybackState({ playing: true, time });
+    listen(EVENTS.POLL_CLOSED, ({ pollId, log }) => {
+      setPolls((list) => list.filter(p => p.id !== pollId));
       if (log) setLogs((s) => [...s, log]);
     });
 
-    socket.on('host:pause', ({ time, log }) => {
-      setPlaybackState({ playing: false, time });
+    listen(EVENTS.POLL_SETTINGS, ({ threshold, log }) => {
+      setVoteThreshold(threshold);
       if (log) setLogs((s) => [...s, log]);
     });
 
-    socket.on('host:seek', ({ time, log }) => {
-      setPlaybackState((p) => ({ ...p, time }));
+    listen(EVENTS.ROOM_PERMISSIONS, ({ permissions, log }) => {
+      setPermissions(permissions);
       if (log) setLogs((s) => [...s, log]);
     });
 
-    socket.on('host:changed', ({ hostId, log }) => {
+    listen(EVENTS.ROOM_TOPIC, ({ topic, log }) => {
+      setTopic(topic);
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    listen(EVENTS.ROOM_ACCESS, ({ access, log }) => {
+      setAccess(access);
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    listen(EVENTS.ROOM_KICKED, ({ reason }) => {
+      alert(reason === 'banned' ? 'You were banned from this room' : 'You were removed from this room');
+      navigate('/');
+    });
+
+    listen(EVENTS.HOST_REQUEST, ({ request, log }) => {
+      setHostRequest(request);
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    listen(EVENTS.HOST_REQUEST_RESOLVED, ({ requestId, log }) => {
+      setHostRequest((r) => (r?.id === requestId ? null : r));
+      if (log) setLogs((s) => [...s, log]);
+    });
+
+    listen(EVENTS.HOST_CHANGED, ({ hostId, log }) => {
       setHostId(hostId);
       if (log) setLogs((s) => [...s, log]);
     });
 
+    // finished downloads show up in the queue; failed ones stay until dismissed
+    listen(EVENTS.VIDEO_DOWNLOAD, (download) => {
+      setDownloads((s) => {
+        const rest = s.filter(d => d.id !== download.id);
+        return download.state === 'done' ? rest : [...rest, download];
+      });
+    });
+
+    listen(EVENTS.RTC_SCREEN, ({ screenShare, log }) => {
+      setScreenShare(screenShare);
+      if (log) setLogs((s) => [...s, log]);
+    });
+
     return () => {
+      socket.off('connect', onConnect);
+      socket.off('disconnect', onDisconnect);
+      listeners.forEach(([event, handler]) => socket.off(event, handler));
+      clock.stop();
       socket.disconnect();
     };
-  }, [roomId]);
+  }, [roomId, invite]);
+
+  // calls and screen sharing; every (re)join starts over, the server dropped our peer connections
+  useEffect(() => {
+    if (!user) return;
+    const instance = createRtc({ socket, roomId, userId: user.id, iceServers, onChange: setMedia });
+    const onSignal = (signal) => instance.handleSignal(signal);
+    const onLeft = ({ userId }) => instance.peerLeft(userId);
+    socket.on(EVENTS.RTC_SIGNAL, onSignal);
+    socket.on(EVENTS.RTC_LEFT, onLeft);
+    socket.on(EVENTS.ROOM_USER_LEFT, onLeft);
+    setRtc(instance);
+    setMedia({ local: null, peers: {}, screen: null, call: null, sharing: false });
+    return () => {
+      socket.off(EVENTS.RTC_SIGNAL, onSignal);
+      socket.off(EVENTS.RTC_LEFT, onLeft);
+      socket.off(EVENTS.ROOM_USER_LEFT, onLeft);
+      instance.close();
+    };
+  }, [user, iceServers]);
+
+  // viewers connect to whoever shares their screen; a share that ended or was taken over stops ours
+  useEffect(() => {
+    if (!rtc || !user) return;
+    if (screenShare?.userId !== user.id) rtc.stopScreen({ notify: false });
+    if (!screenShare || screenShare.userId === user.id) return;
+    rtc.watchScreen(screenShare.userId);
+    return () => rtc.unwatchScreen();
+  }, [rtc, screenShare?.userId, screenShare?.startedAt]);
 
-  // helper to copy link
+  function rtcAction(action, what) {
+    action().catch((err) => alert(`Could not ${what}: ${err.message}`));
+  }
+
+  // copy a link with a fresh signed invite; open rooms fall back to the plain link
   function copyLink() {
-    navigator.clipboard.writeText(`${window.location.origin}/room/${roomId}`);
-    alert('Link copied to clipboard');
+    const plain = `${window.location.origin}/room/${roomId}`;
+    const copy = (link) => navigator.clipboard.writeText(link).then(() => alert('Link copied to clipboard'));
+    if (!user) return copy(plain);
+    socket.emit(EVENTS.ROOM_INVITE, { roomId, userId: user.id }, (res) => {
+      if (res?.ok) return copy(`${plain}?invite=${encodeURIComponent(res.token)}`);
+      if (access === 'open') return copy(plain);
+      alert('You are not allowed to invite people to this room');
+    });
   }
 
-  // upload handler using client HTTP upload
-  async function handleUpload(file) {
+  // keep the stored name in step with /name
+  useEffect(() => {
+    const me = users.find(u => u.id === user?.id);
+    if (me) saveSession(roomId, { name: me.name });
+  }, [users, user, roomId]);
+
+  // role-based controls; the server re-checks every action
+  const myRole = users.find(u => u.id === user?.id)?.role || (ownerId && ownerId === user?.id ? 'owner' : 'guest');
+  const isHost = !!user && hostId === user.id;
+  const canRequestHost = !isHost && can(permissions, myRole, 'takeHost');
+  const myHostRequestPending = !!hostRequest && hostRequest.fromId === user?.id;
+  const requestHost = () => userAction(EVENTS.HOST_REQUEST);
+
+  function userAction(event, payload = {}) {
+    if (!user) return;
+    socket.emit(event, { roomId, userId: user.id, ...payload }, (res) => {
+      if (!res?.ok) alert(`Action failed: ${res?.error || 'unknown error'}`);
+    });
+  }
+
+  // upload handler using resumable chunked uploads; the server queues the
+  // video and broadcasts queue/video changes once the last chunk is in
+  function handleUpload(file, handlers) {
+    return createUpload(file, { server: SERVER, roomId, session: loadSession(roomId).token, ...handlers });
+  }
+
+  // media library: browse videos on the server and queue one here
+  function loadLibrary(query) {
+    return new Promise((resolve, reject) => {
+      socket.emit(EVENTS.LIBRARY_LIST, { roomId, userId: user?.id, query }, (res) => {
+        if (res?.ok) resolve({ videos: res.videos, usage: res.usage });
+        else reject(new Error(res?.error || 'unknown'));
+      });
+    });
+  }
+
+  function addVideoUrl(url, mode) {
+    return new Promise((resolve, reject) => {
+      socket.emit(EVENTS.VIDEO_ADD_URL, { roomId, userId: user?.id, url, mode }, (res) => {
+        if (res?.ok) resolve(res);
+        else reject(new Error(res?.error || 'unknown'));
+      });
+    });
+  }
+
+  // local-file watch mode: only the fingerprint goes to the server, the file stays here
+  async function addLocalVideo(file) {
+    const [fingerprint, duration] = await Promise.all([fingerprintFile(file), readDuration(file)]);
+    openLocalFile(fingerprint, file);
+    return new Promise((resolve, reject) => {
+      const payload = { roomId, userId: user?.id, filename: file.name, size: file.size, fingerprint };
+      if (duration) payload.duration = duration;
+      socket.emit(EVENTS.VIDEO_ADD_LOCAL, payload, (res) => {
+        if (res?.ok) resolve(res);
+        else reject(new Error(res?.error || 'unknown'));
+      });
+    });
+  }
+
+  function queueFromLibrary(video) {
+    socket.emit(EVENTS.QUEUE_ADD, { roomId, userId: user?.id, video }, (res) => {
+      if (!res?.ok) alert('Could not queue video: ' + (res?.error || 'unknown'));
+    });
+  }
+
+  // subtitle upload; attached to the current video and broadcast by the server
+  async function handleSubtitleUpload(file) {
     const fd = new FormData();
-    fd.append('video', file);
+    fd.append('subtitle', file);
     fd.append('roomId', roomId);
-    const res = await axios.post(`${SERVER}/upload`, fd, { headers: { 'Content-Type': 'multipart/form-data' }});
-    if (res.data?.video) {
-      // server will broadcast, but set local too
-      setVideo(res.data.video);
+    try {
+      await axios.post(`${SERVER}/subtitles`, fd, { headers: { 'Content-Type': 'multipart/form-data', Authorization: `Bearer ${loadSession(roomId).token}` }});
+    } catch (err) {
+      alert('Subtitle upload failed: ' + (err.response?.data?.error || err.message));
     }
   }
 
+  // queue actions: queue:remove / queue:move / queue:skip
+  function queueAction(event, payload = {}) {
+    if (!user) return;
+    socket.emit(event, { roomId, userId: user.id, ...payload }, (res) => {
+      if (!res?.ok) console.warn(res?.error);
+    });
+  }
+
   return (
     <div className="min-h-screen p-4">
       <div className="max-w-6xl mx-auto">
+        {!connected && (
+          <div className="mb-4 px-3 py-2 rounded bg-amber-50 text-amber-700 text-sm">Connection lost — reconnecting…</div>
+        )}
         <div className="flex justify-between items-center mb-4">
           <div>
             <h2 className="text-xl font-semibold">Room: {roomId}</h2>
+            {topic && <p className="text-sm text-slate-700">{topic}</p>}
             <p className="text-sm text-slate-600">Share link: <button className="text-indigo-600 underline" onClick={copyLink}>Copy Link</button></p>
           </div>
           <div className="flex items-center gap-3">
@@ -121,27 +448,120 @@ export default function Room() {
         <div className="grid grid-cols-12 gap-4">
           {/* Video + chat */}
           <div className="col-span-8 space-y-4">
-            <VideoPlayer
-              video={video}
-              playbackState={playbackState}
-              onHostAction={async (action, time) => {
-                // only send host actions if user is host
-                if (!user) return alert('not identified');
-                socket.emit('host:action', { roomId, userId: user.id, action, time }, (res) => {
-                  if (!res?.ok) console.warn(res?.error);
-                });
-              }}
-              isHost={hostId === user?.id}
-              onTakeHost={() => socket.emit('host:take', { roomId, userId: user.id })}
-            />
+            {screenShare ? (
+              <ScreenView
+                stream={media.screen}
+                sharerName={users.find(u => u.id === screenShare.userId)?.name || 'Someone'}
+                own={screenShare.userId === user?.id}
+                onStop={screenShare.userId === user?.id ? () => rtc.stopScreen() : isHost ? () => userAction(EVENTS.RTC_SCREEN, { sharing: false }) : undefined}
+              />
+            ) : (
+              <VideoPlayer
+                video={video}
+                playbackState={playbackState}
+                serverNow={clock.now}
+                onHostAction={async (action, time, extra) => {
+                  // only send host actions if user is host; extra: { rate } or { loop }
+                  if (!user) return alert('not identified');
+                  socket.emit(EVENTS.HOST_ACTION, { roomId, userId: user.id, action, time, ...extra }, (res) => {
+                    if (!res?.ok) console.warn(res?.error);
+                  });
+                }}
+                isHost={isHost}
+                onRequestHost={canRequestHost ? requestHost : undefined}
+                hostRequestPending={myHostRequestPending}
+                onEnded={() => video?.entryId && socket.emit(EVENTS.VIDEO_ENDED, { roomId, entryId: video.entryId })}
+                onSubtitleUpload={handleSubtitleUpload}
+                onSetDefaultSubtitle={(trackId) => socket.emit(EVENTS.SUBTITLES_SET_DEFAULT, { roomId, userId: user.id, trackId })}
+                annotations={annotations.list}
+                onAnnotate={can(permissions, myRole, 'chat') ? (kind, payload) => userAction(EVENTS.VIDEO_ANNOTATE, { kind, ...payload }) : undefined}
+                canRemoveAnnotation={(a) => a.userId === user?.id || can(permissions, myRole, 'moderate')}
+                onRemoveAnnotation={(a) => userAction(EVENTS.VIDEO_ANNOTATION_REMOVE, { savedName: annotations.savedName, annotationId: a.id })}
+                onStatus={(state, time) => user && socket.emit(EVENTS.PLAYER_STATUS, { roomId, userId: user.id, state, time, entryId: video?.entryId })}
+                onLocalFile={(fingerprint) => user && socket.emit(EVENTS.PLAYER_LOCAL_FILE, { roomId, userId: user.id, entryId: video.entryId, fingerprint })}
+              />
+            )}
+            {video && (
+              <SyncPanel
+                sync={sync}
+                canChangeSync={isHost || can(permissions, myRole, 'changeSettings')}
+                waitingFor={(playbackState.waitingFor || []).map(id => users.find(u => u.id === id)?.name || 'someone')}
+                isHost={isHost}
+                readyCheck={readyCheck}
+                readyCount={readyCheck ? users.filter(u => readyCheck.responses[u.id] === true).length : 0}
+                total={users.filter(u => u.status !== 'reconnecting').length}
+                myResponse={readyCheck?.responses[user?.id]}
+                serverNow={clock.now}
+                onSyncChange={(mode, maxWaitMs) => userAction(EVENTS.ROOM_SYNC, { mode, maxWaitMs })}
+                onPlayAnyway={() => userAction(EVENTS.HOST_ACTION, { action: 'play' })}
+                onStartCheck={() => userAction(EVENTS.READY_START)}
+                onRespond={(ready) => userAction(EVENTS.READY_RESPOND, { checkId: readyCheck.id, ready })}
+                onCancelCheck={readyCheck && (isHost || readyCheck.byId === user?.id) ? () => userAction(EVENTS.READY_CANCEL, { checkId: readyCheck.id }) : undefined}
+              />
+            )}
 
-            <UploadArea onUpload={handleUpload} />
-            <Chat socket={socket} roomId={roomId} user={user} />
+            {can(permissions, myRole, 'upload') && <UploadArea onUpload={handleUpload} loadLibrary={loadLibrary} onPickFromLibrary={queueFromLibrary} onAddUrl={addVideoUrl} onAddLocal={addLocalVideo} />}
+            <Chat
+              socket={socket}
+              roomId={roomId}
+              user={user}
+              users={users}
+              isHost={isHost}
+              role={myRole}
+              canModerate={can(permissions, myRole, 'moderate')}
+              polls={polls}
+              serverNow={clock.now}
+              canVoteSkip={!!video && queue.length > 0}
+              canVotePause={!!video && playbackState.playing}
+            />
           </div>
 
           {/* right column */}
           <div className="col-span-4 space-y-4">
-            <UserList users={users} hostId={hostId} currentUserId={user?.id} onTakeHost={() => socket.emit('host:take', { roomId, userId: user.id })} />
+            {rtc && (
+              <CallStrip
+                users={users}
+                currentUserId={user?.id}
+                media={media}
+                isHost={isHost}
+                onJoin={(want) => rtcAction(() => rtc.joinCall(want), 'join the call')}
+                onLeave={() => rtc.leaveCall()}
+                onSetMedia={(want) => rtcAction(() => rtc.setMedia(want), 'change camera/mic')}
+                onShareScreen={() => rtcAction(() => rtc.startScreen(), 'share your screen')}
+                onStopShare={() => rtc.stopScreen()}
+              />
+            )}
+            {isHost && hostRequest?.toId === user.id && (
+              <HostRequestPrompt
+                request={hostRequest}
+                requesterName={users.find(u => u.id === hostRequest.fromId)?.name || 'Someone'}
+                serverNow={clock.now}
+                onRespond={(accept) => userAction(EVENTS.HOST_RESPOND, { requestId: hostRequest.id, accept })}
+              />
+            )}
+            <UserList
+              users={users}
+              hostId={hostId}
+              currentUserId={user?.id}
+              myRole={myRole}
+              isHost={isHost}
+              onRequestHost={canRequestHost ? requestHost : undefined}
+              hostRequestPending={myHostRequestPending}
+              readyCheck={readyCheck}
+              onPassHost={(targetId) => userAction(EVENTS.HOST_PASS, { targetId })}
+              onSetRole={(targetId, role) => userAction(EVENTS.USER_SET_ROLE, { targetId, role })}
+              onModerate={(targetId, action) => userAction(EVENTS.USER_MODERATE, { targetId, action })}
+            />
+            <Playlist
+              queue={queue}
+              downloads={downloads}
+              isHost={isHost}
+              currentUserId={user?.id}
+              onRemove={(entryId) => queueAction(EVENTS.QUEUE_REMOVE, { entryId })}
+              onMove={(entryId, index) => queueAction(EVENTS.QUEUE_MOVE, { entryId, index })}
+              onSkip={(entryId) => queueAction(EVENTS.QUEUE_SKIP, { entryId })}
+              onDismissDownload={(id) => setDownloads((s) => s.filter(d => d.id !== id))}
+            />
             <div className="bg-white p-3 rounded shadow">
               <h3 className="font-medium mb-2">Activity Log</h3>
               <div className="h-64 overflow-auto text-sm">
@@ -157,9 +577,22 @@ export default function Room() {
 
             <div className="bg-white p-3 rounded shadow text-sm">
               <h3 className="font-medium">Room Controls</h3>
-              <p className="mt-2">Host: {hostId === user?.id ? 'You' : 'Another user'}</p>
+              <p className="mt-2">Host: {isHost ? 'You' : users.find(u => u.id === hostId)?.name || 'Nobody'}</p>
               <p className="mt-2">Video: {video?.filename || 'No video uploaded'}</p>
+              <p className="mt-2">Your role: <span className="capitalize">{myRole}</span></p>
             </div>
+
+            {can(permissions, myRole, 'changeSettings') && (
+              <RoomSettings
+                permissions={permissions}
+                onChange={(next) => userAction(EVENTS.ROOM_SETTINGS, { permissions: next })}
+                access={access}
+                canChangeAccess={can(permissions, myRole, 'changeAccess')}
+                onAccessChange={(mode, password) => userAction(EVENTS.ROOM_ACCESS, { mode, password })}
+                voteThreshold={voteThreshold}
+                onVoteThresholdChange={(threshold) => userAction(EVENTS.POLL_SETTINGS, { threshold })}
+              />
+            )}
           </div>
         </div>
 
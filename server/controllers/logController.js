@@ -0,0 +1,113 @@
+/**
+ * Activity log of a room (see lib/logger), mounted at /rooms/:roomId/logs.
+ *
+ *   GET /         ?type&userId&since&until&cursor&limit -> { entries, nextCursor }
+ *   GET /export   same filters + format=json|csv|ndjson -> file download
+ *
+ * type is a comma separated list ('host_*' matches every host event), userId
+ * matches who did something or who it was done to, since/until are ISO
+ * dates or ms timestamps. Pages are oldest first; pass nextCursor back as
+ * cursor until it is null.
+ * authorize(req) decides who may read a room's log by returning null,
+ * 'unauthorized' or 'forbidden'.
+ */
+
+const express = require('express');
+const path = require('path');
+const { Readable, pipeline } = require('stream');
+const createError = require('http-errors');
+
+const CSV_COLUMNS = ['seq', 'id', 'time', 'type', 'userId', 'targetId', 'text'];
+const FORMATS = {
+  json: { type: 'application/json', ext: 'json' },
+  ndjson: { type: 'application/x-ndjson', ext: 'ndjson' },
+  csv: { type: 'text/csv; charset=utf-8', ext: 'csv' },
+};
+
+// ISO date or ms timestamp -> ms; undefined when absent
+function parseTime(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(ms)) throw createError(400, `invalid_${name}`);
+  return ms;
+}
+
+function parseFilter(query) {
+  return {
+    types: query.type ? String(query.type).split(',').map(t => t.trim()).filter(Boolean) : null,
+    userId: query.userId ? String(query.userId) : null,
+    since: parseTime(query.since, 'since'),
+    until: parseTime(query.until, 'until'),
+  };
+}
+
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  // spreadsheets run cells starting with these as formulas; names and messages come from users
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function* serialize(entries, format) {
+  if (format === 'csv') {
+    yield `${CSV_COLUMNS.join(',')}\r\n`;
+    for await (const entry of entries) yield `${CSV_COLUMNS.map(c => csvCell(entry[c])).join(',')}\r\n`;
+  } else if (format === 'ndjson') {
+    for await (const entry of entries) yield `${JSON.stringify(entry)}\n`;
+  } else {
+    let first = true;
+    yield '[';
+    for await (const entry of entries) {
+      yield `${first ? '' : ','}\n${JSON.stringify(entry)}`;
+      first = false;
+    }
+    yield '\n]\n';
+  }
+}
+
+function createLogController({ logger, authorize }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.use((req, res, next) => {
+    const denied = authorize && authorize(req);
+    if (denied) return next(createError(denied === 'unauthorized' ? 401 : 403, denied));
+    next();
+  });
+
+  router.get('/', async (req, res, next) => {
+    try {
+      const page = await logger.query(req.params.roomId, { ...parseFilter(req.query), cursor: req.query.cursor, limit: req.query.limit });
+      res.json(page);
+    } catch (err) {
+      next(err.code === 'invalid_cursor' ? createError(400, err.code) : err);
+    }
+  });
+
+  router.get('/export', (req, res, next) => {
+    try {
+      const format = String(req.query.format || 'json');
+      if (!FORMATS[format]) throw createError(400, 'invalid_format');
+      const filter = parseFilter(req.query);
+      const name = path.basename(logger.file(req.params.roomId), '.ndjson');
+
+      res.attachment(`${name}-activity.${FORMATS[format].ext}`);
+      res.set('Content-Type', FORMATS[format].type); // after attachment(), which guesses from the extension
+      pipeline(Readable.from(serialize(logger.entries(req.params.roomId, filter), format)), res, (err) => {
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('log export failed', req.params.roomId, err);
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // errors from this router are reported as { error: code }
+  router.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error(err);
+    res.status(status).json({ error: status >= 500 ? 'log_query_failed' : err.message });
+  });
+
+  return router;
+}
+
+module.exports = { createLogController };
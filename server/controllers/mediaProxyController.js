@@ -0,0 +1,93 @@
+/**
+ * Plays videos added by URL from our own origin, mounted at /media.
+ *
+ *   GET /:token   the source URL signed in `token` (see lib/remoteMedia)
+ *
+ * Range requests are passed through, so seeking works when the source
+ * supports it. HLS playlists are rewritten so that the segments, keys and
+ * variant playlists on the playlist's own origin are fetched through this
+ * proxy too (as relative links to sibling tokens). Links to other origins
+ * are left for the player to fetch itself, so a playlist cannot turn the
+ * proxy into a signer for any URL it lists.
+ */
+
+const express = require('express');
+const { pipeline } = require('stream');
+const createError = require('http-errors');
+const { classify } = require('../lib/remoteMedia');
+
+const PASSED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag', 'cache-control'];
+const MAX_PLAYLIST_SIZE = 2 * 1024 * 1024;
+
+function readBody(res, limit) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > limit) res.destroy(createError(502, 'playlist_too_large'));
+    });
+    res.on('end', () => resolve(body));
+    res.on('error', reject);
+  });
+}
+
+// point the URIs of an HLS playlist that are on its own origin at the proxy
+function rewritePlaylist(text, baseUrl, tokenFor) {
+  const { origin } = new URL(baseUrl);
+  const proxied = (uri) => {
+    const url = new URL(uri, baseUrl);
+    return url.origin === origin ? tokenFor(url.href) : url.href;
+  };
+  return text.split('\n').map((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return line;
+    if (trimmed.startsWith('#')) return line.replace(/URI="([^"]+)"/g, (m, uri) => `URI="${proxied(uri)}"`);
+    return proxied(trimmed);
+  }).join('\n');
+}
+
+function createMediaProxyController({ remote }) {
+  const router = express.Router();
+
+  router.get('/:token', async (req, res, next) => {
+    try {
+      const source = remote.source(req.params.token);
+      if (!source) throw createError(404, 'media_not_found');
+
+      const upstream = await remote.request(source, { headers: req.headers.range ? { Range: req.headers.range } : {} });
+      if (upstream.statusCode >= 400) {
+        upstream.resume();
+        throw createError(upstream.statusCode === 416 ? 416 : 502, 'upstream_status');
+      }
+
+      if (classify(upstream.url, upstream.headers['content-type']) === 'hls') {
+        const playlist = await readBody(upstream, MAX_PLAYLIST_SIZE);
+        res.set('Content-Type', 'application/vnd.apple.mpegurl');
+        return res.send(rewritePlaylist(playlist, upstream.url, url => remote.token(url)));
+      }
+
+      res.status(upstream.statusCode);
+      PASSED_HEADERS.forEach((h) => {
+        if (upstream.headers[h]) res.set(h, upstream.headers[h]);
+      });
+      // the player going away (seeking, closing the tab) just ends the upstream request
+      pipeline(upstream, res, () => {});
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // errors from this router are reported as { error: code }
+  router.use((err, req, res, next) => {
+    // lib/remoteMedia errors (err.code) are the upstream's fault
+    const status = err.status || err.statusCode || (err.code ? 502 : 500);
+    if (status === 500) console.error(err);
+    if (res.headersSent) return res.destroy();
+    res.status(status).json({ error: err.code || (status === 500 ? 'proxy_failed' : err.message) });
+  });
+
+  return router;
+}
+
+module.exports = { createMediaProxyController, rewritePlaylist };
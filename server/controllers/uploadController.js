@@ -0,0 +1,227 @@
+/**
+ * Resumable chunked uploads.
+ *
+ * Protocol (all under /upload/sessions):
+ *   POST   /                 { filename, size, roomId? } -> { id, offset, chunkSize }
+ *   GET    /:id              -> { id, offset, size }  (where to resume)
+ *   PATCH  /:id              raw chunk body, headers:
+ *                              Upload-Offset: byte offset the chunk starts at (must match the session)
+ *                              Upload-Checksum: sha256 <base64>  (optional, verified before the chunk is kept)
+ *                            -> { offset } or, after the last chunk, { offset, complete: true, video }
+ *   DELETE /:id              cancel and discard the partial file
+ *
+ * Sessions live on disk (UPLOAD_DIR/.partial/<id>.json + <id>.part), so an
+ * upload can be resumed after a dropped connection or a server restart.
+ * The room is only notified (through onComplete) once the last chunk is in,
+ * the size matches and the file has been moved into UPLOAD_DIR. The quota is
+ * checked again right before that, as sessions started side by side may
+ * together have outgrown it.
+ * authorize(req, roomId) says who starts a session: { userId } or { error }
+ * ('unauthorized' is a 401, anything else a 403); the other requests for a
+ * session must come from the same user. quota({ roomId, size }) may
+ * veto it with an error code when there is no room for the file (413).
+ * onComplete may resolve to different video metadata (e.g. a library duplicate),
+ * which is then returned to the client.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const createError = require('http-errors');
+const { v4: uuidv4 } = require('uuid');
+const { hashFile } = require('../lib/mediaLibrary');
+
+const CHUNK_SIZE = 5 * 1024 * 1024; // suggested to clients
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+function createUploadController({ uploadDir, maxUpload, baseUrl, authorize, quota, onComplete }) {
+  const router = express.Router();
+  const partialDir = path.join(uploadDir, '.partial');
+  fs.mkdirSync(partialDir, { recursive: true });
+
+  const writes = new Map(); // session id -> its last queued write
+  const metaPath = id => path.join(partialDir, `${id}.json`);
+  const partPath = id => path.join(partialDir, `${id}.part`);
+
+  async function loadSession(id) {
+    if (!/^[0-9a-f-]{36}$/.test(id)) throw createError(404, 'upload_not_found');
+    try {
+      return JSON.parse(await fs.promises.readFile(metaPath(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw createError(404, 'upload_not_found');
+      throw err;
+    }
+  }
+
+  // the session of req.params.id, if the caller is the one who started it
+  async function ownSession(req) {
+    const session = await loadSession(req.params.id);
+    if (!authorize || !session.userId) return session;
+    const { userId, error } = authorize(req, session.roomId);
+    if (error) throw createError(error === 'unauthorized' ? 401 : 403, error);
+    if (userId !== session.userId) throw createError(403, 'forbidden');
+    return session;
+  }
+
+  /**
+   * Run `write` once the session's earlier writes are done, so two requests
+   * can never both pass the offset check and append to the same part file.
+   */
+  function oneWriteAtATime(id, write) {
+    const run = (writes.get(id) || Promise.resolve()).then(write);
+    const done = run.catch(() => {});
+    writes.set(id, done);
+    done.then(() => writes.get(id) === done && writes.delete(id));
+    return run;
+  }
+
+  function saveSession(session) {
+    return fs.promises.writeFile(metaPath(session.id), JSON.stringify(session));
+  }
+
+  async function discard(id) {
+    await Promise.all([metaPath(id), partPath(id)].map(p => fs.promises.rm(p, { force: true })));
+  }
+
+  async function finalize(session) {
+    const part = partPath(session.id);
+    const { size } = await fs.promises.stat(part);
+    if (size !== session.size) throw createError(422, 'size_mismatch');
+
+    const savedName = session.id + path.extname(session.filename);
+    const sha256 = await hashFile(part); // lets the library spot duplicates
+    await fs.promises.rename(part, path.join(uploadDir, savedName));
+    await discard(session.id);
+
+    const video = {
+      filename: session.filename,
+      savedName,
+      size,
+      sha256,
+      url: `${baseUrl}/uploads/${savedName}`,
+      uploadedAt: new Date().toISOString(),
+    };
+    // no await between this check and onComplete, so parallel uploads can't both slip in
+    const overQuota = quota && quota({ roomId: session.roomId, size });
+    if (overQuota) {
+      await fs.promises.rm(path.join(uploadDir, savedName), { force: true });
+      throw createError(413, overQuota);
+    }
+    const stored = onComplete && await onComplete(video, { roomId: session.roomId, userId: session.userId });
+    return stored || video;
+  }
+
+  router.post('/', express.json(), async (req, res, next) => {
+    try {
+      const { filename, roomId } = req.body || {};
+      const size = Number(req.body?.size);
+      if (!filename || typeof filename !== 'string') throw createError(400, 'invalid_filename');
+      if (!Number.isInteger(size) || size <= 0) throw createError(400, 'invalid_size');
+      if (size > maxUpload) throw createError(413, 'file_too_large');
+      const { userId, error: denied } = authorize ? authorize(req, roomId) : {};
+      if (denied) throw createError(denied === 'unauthorized' ? 401 : 403, denied);
+      const overQuota = quota && quota({ roomId, size });
+      if (overQuota) throw createError(413, overQuota);
+
+      const session = {
+        id: uuidv4(),
+        filename: path.basename(filename).slice(0, 255),
+        size,
+        offset: 0,
+        roomId: roomId || null,
+        userId: userId || null,
+        createdAt: Date.now(),
+      };
+      await fs.promises.writeFile(partPath(session.id), '');
+      await saveSession(session);
+      res.status(201).json({ id: session.id, offset: 0, chunkSize: CHUNK_SIZE });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const session = await ownSession(req);
+      res.json({ id: session.id, offset: session.offset, size: session.size });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.patch('/:id', express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }), async (req, res, next) => {
+    try {
+      const offset = Number(req.get('Upload-Offset'));
+      const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      if (!chunk.length) throw createError(400, 'empty_chunk');
+
+      const checksum = req.get('Upload-Checksum');
+      if (checksum) {
+        const [algo, expected] = checksum.split(' ');
+        if (algo !== 'sha256') throw createError(400, 'unsupported_checksum');
+        const actual = crypto.createHash('sha256').update(chunk).digest('base64');
+        if (actual !== expected) throw createError(400, 'checksum_mismatch');
+      }
+
+      const { status, body } = await oneWriteAtATime(req.params.id, async () => {
+        const session = await ownSession(req);
+        // the client must resume exactly where we are; tell it where that is
+        if (offset !== session.offset) return { status: 409, body: { error: 'offset_mismatch', offset: session.offset } };
+        if (offset + chunk.length > session.size) throw createError(413, 'chunk_exceeds_size');
+
+        await fs.promises.appendFile(partPath(session.id), chunk);
+        session.offset += chunk.length;
+        await saveSession(session);
+
+        if (session.offset < session.size) return { status: 200, body: { offset: session.offset } };
+        const video = await finalize(session);
+        return { status: 200, body: { offset: session.offset, complete: true, video } };
+      });
+      res.status(status).json(body);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/:id', async (req, res, next) => {
+    try {
+      await oneWriteAtATime(req.params.id, async () => {
+        await ownSession(req);
+        await discard(req.params.id);
+      });
+      res.json({ ok: true });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // errors from this router are reported as { error: code }
+  router.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error(err);
+    res.status(status).json({ error: status >= 500 ? 'upload_failed' : err.message });
+  });
+
+  // drop sessions nobody resumed within SESSION_TTL_MS
+  async function sweep() {
+    const files = await fs.promises.readdir(partialDir);
+    const now = Date.now();
+    await Promise.all(files.filter(f => f.endsWith('.json')).map(async (f) => {
+      const id = path.basename(f, '.json');
+      try {
+        const session = await loadSession(id);
+        if (now - session.createdAt > SESSION_TTL_MS) await discard(id);
+      } catch (err) {
+        // already gone or unreadable; leave it for the next sweep
+      }
+    }));
+  }
+  const timer = setInterval(() => sweep().catch(err => console.error('upload sweep failed', err)), 60 * 60 * 1000);
+  timer.unref();
+
+  return router;
+}
+
+module.exports = { createUploadController };
@@ -0,0 +1,72 @@
+/**
+ * Calls: WebRTC signaling between room members. Media goes peer to peer; the
+ * server only relays offers, answers and ICE candidates (rtc:signal), and
+ * only between two connected members of the same room.
+ *
+ * - Call (webcams and mics): members join with camera/mic on or off
+ *   (user.call). Whoever joins offers a connection to everyone already in
+ *   the call; 'call' signals only go between call members.
+ * - Screen share (room.screenShare): the host shares their screen instead of
+ *   the video. Every viewer offers a receive-only connection to the sharer;
+ *   'screen' signals must come from or go to the sharer.
+ *
+ * Leaving the room, or the connection dropping, ends both for that user.
+ */
+
+function createCalls({ io }) {
+  const userList = room => io.to(room.id).emit('room:user_list', { users: room.userList() });
+
+  // join the call, or change camera/mic; -> ids of the members to offer a connection to
+  function join(room, user, { audio, video }) {
+    const joined = !user.call;
+    room.setCall(user.id, { audio: !!audio, video: !!video });
+    if (joined) io.to(room.id).emit('rtc:joined', { userId: user.id });
+    userList(room);
+    return room.callMembers().filter(u => u.id !== user.id).map(u => u.id);
+  }
+
+  function leave(room, user) {
+    if (!user.call) return;
+    room.setCall(user.id, null);
+    io.to(room.id).emit('rtc:left', { userId: user.id });
+    userList(room);
+  }
+
+  function startShare(room, user) {
+    const screenShare = { userId: user.id, startedAt: Date.now() };
+    room.setScreenShare(screenShare);
+    const log = room.addLog({ type: 'screen_share_started', text: `${user.name} is sharing their screen`, userId: user.id });
+    io.to(room.id).emit('rtc:screen', { screenShare, log });
+    return screenShare;
+  }
+
+  // stop the share, if `user` is the one sharing
+  function stopShare(room, user) {
+    if (!room.screenShare || room.screenShare.userId !== user.id) return false;
+    room.setScreenShare(null);
+    const log = room.addLog({ type: 'screen_share_stopped', text: `${user.name} stopped sharing their screen`, userId: user.id });
+    io.to(room.id).emit('rtc:screen', { screenShare: null, log });
+    return true;
+  }
+
+  // relay a description or candidate from `from` to `targetId`; returns an error code or null
+  function signal(room, from, { targetId, channel, description, candidate }) {
+    const target = room.getUser(targetId);
+    if (!target || target.id === from.id || target.connected === false) return 'user_not_found';
+    if (channel === 'call' && (!from.call || !target.call)) return 'not_in_call';
+    const share = room.screenShare;
+    if (channel === 'screen' && (!share || (share.userId !== from.id && share.userId !== target.id))) return 'not_sharing';
+    io.to(target.socketId).emit('rtc:signal', { fromId: from.id, channel, description, candidate });
+    return null;
+  }
+
+  // the user's connection is gone, and with it their peer connections
+  function drop(room, user) {
+    leave(room, user);
+    stopShare(room, user);
+  }
+
+  return { join, leave, startShare, stopShare, signal, drop };
+}
+
+module.exports = { createCalls };
@@ -0,0 +1,157 @@
+/**
+ * Built-in chat commands (see lib/commands for the registry).
+ * Room side effects go through the helpers server.js passes in, so a command
+ * behaves exactly like the matching button or socket event.
+ */
+
+const { CommandRegistry } = require('./commands');
+const { can } = require('./permissions');
+
+const MAX_DICE = 20;
+const MAX_SIDES = 1000;
+const MAX_TOPIC = 200;
+
+// "NdM", "dM" or "M" -> { count, sides }, or null
+function parseDice(value = '1d100') {
+  const match = /^(\d*)d(\d+)$/i.exec(value) || /^()(\d+)$/.exec(value);
+  if (!match) return null;
+  const count = parseInt(match[1] || '1', 10);
+  const sides = parseInt(match[2], 10);
+  if (count < 1 || count > MAX_DICE || sides < 2 || sides > MAX_SIDES) return null;
+  return { count, sides };
+}
+
+function createChatCommands({ io, hostAction, passHost, moderateUser }) {
+  const registry = new CommandRegistry();
+  const log = (room, type, text, userId) => {
+    const entry = room.addLog({ type, text, userId });
+    io.to(room.id).emit('chat:log', entry);
+    return entry;
+  };
+
+  registry.register({
+    name: 'help',
+    args: [{ name: 'command', type: 'word', optional: true }],
+    description: 'List commands, or show how to use one',
+    run(ctx, { command }) {
+      if (command) {
+        const found = registry.get(command.replace(/^\//, '').toLowerCase());
+        if (!found) return 'unknown_command';
+        return ctx.reply(`${registry.usage(found)} — ${found.description}`);
+      }
+      const lines = registry.list(ctx).map(c => `${c.usage} — ${c.description}`);
+      ctx.reply(['Commands:', ...lines].join('\n'));
+    },
+  });
+
+  registry.register({
+    name: 'name',
+    aliases: ['nick'],
+    args: [{ name: 'name', type: 'text' }],
+    description: 'Change your display name',
+    // the change is announced to the room, so muted users may not
+    permission: 'chat',
+    run({ room, user }, { name }) {
+      if (name.length > 32) return 'invalid_name';
+      const old = user.name;
+      room.changeUsername(user.id, name);
+      log(room, 'name_changed', `${old} changed name to ${name}`, user.id);
+      io.to(room.id).emit('room:user_list', { users: room.userList() });
+    },
+  });
+
+  registry.register({
+    name: 'me',
+    args: [{ name: 'action', type: 'text' }],
+    description: 'Describe what you are doing',
+    permission: 'chat',
+    run({ room, user }, { action }) {
+      const message = room.addMessage({ userId: user.id, username: user.name, text: action, emote: true });
+      io.to(room.id).emit('chat:message', message);
+    },
+  });
+
+  registry.register({
+    name: 'play',
+    description: 'Resume playback',
+    permission: 'host',
+    run({ room }) {
+      if (!room.video) return 'no_video';
+      hostAction(room, 'play');
+    },
+  });
+
+  registry.register({
+    name: 'pause',
+    description: 'Pause playback',
+    permission: 'host',
+    run({ room }) {
+      if (!room.video) return 'no_video';
+      hostAction(room, 'pause');
+    },
+  });
+
+  registry.register({
+    name: 'seek',
+    args: [{ name: 'time', type: 'time' }],
+    description: 'Jump to a position, e.g. /seek 12:30',
+    permission: 'host',
+    run({ room }, { time }) {
+      if (!room.video) return 'no_video';
+      hostAction(room, 'seek', time);
+    },
+  });
+
+  registry.register({
+    name: 'host',
+    args: [{ name: 'user', type: 'user' }],
+    description: 'Pass host control to someone',
+    permission: 'host',
+    run({ room, user }, { user: target }) {
+      return passHost(room, user, target);
+    },
+  });
+
+  registry.register({
+    name: 'kick',
+    args: [{ name: 'user', type: 'user' }],
+    description: 'Remove someone from the room',
+    permission: 'moderate',
+    run({ room, user }, { user: target }) {
+      return moderateUser(room, user, target, 'kick');
+    },
+  });
+
+  registry.register({
+    name: 'roll',
+    args: [{ name: 'dice', type: 'word', optional: true }],
+    description: 'Roll dice: /roll, /roll 20 or /roll 2d6',
+    permission: 'chat',
+    run({ room, user }, { dice }) {
+      const parsed = parseDice(dice);
+      if (!parsed) return 'invalid_argument';
+      const rolls = Array.from({ length: parsed.count }, () => 1 + Math.floor(Math.random() * parsed.sides));
+      const total = rolls.reduce((a, b) => a + b, 0);
+      const detail = rolls.length > 1 ? `${rolls.join(' + ')} = ${total}` : String(total);
+      log(room, 'roll', `${user.name} rolled ${parsed.count}d${parsed.sides}: ${detail}`, user.id);
+    },
+  });
+
+  registry.register({
+    name: 'topic',
+    args: [{ name: 'topic', type: 'text', optional: true }],
+    description: 'Show the room topic, or set it (moderators; /topic - clears it)',
+    run({ room, user, reply }, { topic }) {
+      if (topic === undefined) return reply(room.topic ? `Topic: ${room.topic}` : 'No topic set');
+      if (!can(room, user.id, 'changeSettings')) return 'forbidden';
+      const next = topic === '-' ? '' : topic.slice(0, MAX_TOPIC);
+      room.setTopic(next);
+      const entry = room.addLog({ type: 'topic_changed', text: next ? `${user.name} set the topic to "${next}"` : `${user.name} cleared the topic`, userId: user.id });
+      io.to(room.id).emit('room:topic', { topic: next, log: entry });
+    },
+  });
+
+  return registry;
+}
+
+module.exports = { createChatCommands, parseDice };
@@ -0,0 +1,61 @@
+/**
+ * Socket.IO adapter over a cluster bus, so `io.to(room).emit`,
+ * `fetchSockets()` etc. reach sockets connected to any server instance.
+ * Built on socket.io-adapter's ClusterAdapter; we only provide transport.
+ *
+ * Every instance sends heartbeats; one that stops (crashed, or closed) is
+ * reported to onNodeDown(uid, liveNodes) with the ids of the instances still
+ * heard from. `uid` names this instance (defaults to a random id).
+ *
+ * Note: messages are JSON-encoded, so binary payloads are not supported.
+ */
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+class BusAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, { uid, onNodeDown, ...opts } = {}) {
+    super(nsp, opts);
+    if (uid) this.uid = uid;
+    this.onNodeDown = onNodeDown;
+    this.bus = bus;
+    this.channel = `w2g:sio#${nsp.name}`;
+    this.responseChannel = `${this.channel}#${this.uid}`;
+
+    Promise.all([
+      bus.subscribe(this.channel, (message) => this.onMessage(message)),
+      bus.subscribe(this.responseChannel, (response) => this.onResponse(response)),
+    ])
+      .then(() => this.init())
+      .catch(err => console.error('cluster adapter: subscribe failed', err));
+  }
+
+  liveNodes() {
+    return Array.from(this.nodesMap.keys());
+  }
+
+  get heartbeatTimeout() {
+    return this._opts.heartbeatTimeout;
+  }
+
+  removeNode(uid) {
+    super.removeNode(uid);
+    if (this.onNodeDown) this.onNodeDown(uid, this.liveNodes());
+  }
+
+  doPublish(message) {
+    return Promise.resolve(this.bus.publish(this.channel, message)).then(() => '');
+  }
+
+  doPublishResponse(requesterUid, response) {
+    return Promise.resolve(this.bus.publish(`${this.channel}#${requesterUid}`, response));
+  }
+}
+
+// io.adapter(createBusAdapter(bus))
+function createBusAdapter(bus, opts) {
+  return function (nsp) {
+    return new BusAdapter(nsp, bus, opts);
+  };
+}
+
+module.exports = { BusAdapter, createBusAdapter };
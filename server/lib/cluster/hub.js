@@ -0,0 +1,58 @@
+/**
+ * Local stand-in for Redis pub/sub, for running several server instances on
+ * one machine (development and tests) without a Redis server.
+ *
+ * Protocol: newline-delimited JSON over TCP.
+ *   client -> hub: { sub: channel } | { pub: channel, msg }
+ *   hub -> client: { channel, msg }
+ * Messages are fanned out in the order the hub receives them.
+ *
+ * Run standalone with `npm run hub` (CLUSTER_HUB_PORT, default 6390).
+ */
+
+const net = require('net');
+
+function createHub() {
+  const subscribers = new Map(); // channel -> Set<socket>
+
+  return net.createServer((conn) => {
+    let buffer = '';
+    const channels = new Set();
+
+    conn.setEncoding('utf8');
+    conn.on('data', (chunk) => {
+      buffer += chunk;
+      let nl;
+      while ((nl = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 1);
+        if (!line) continue;
+        let frame;
+        try {
+          frame = JSON.parse(line);
+        } catch (err) {
+          continue;
+        }
+        if (frame.sub) {
+          channels.add(frame.sub);
+          if (!subscribers.has(frame.sub)) subscribers.set(frame.sub, new Set());
+          subscribers.get(frame.sub).add(conn);
+        } else if (frame.pub) {
+          const out = JSON.stringify({ channel: frame.pub, msg: frame.msg }) + '\n';
+          (subscribers.get(frame.pub) || []).forEach(s => s.write(out));
+        }
+      }
+    });
+    conn.on('close', () => {
+      channels.forEach(ch => subscribers.get(ch)?.delete(conn));
+    });
+    conn.on('error', () => {});
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.CLUSTER_HUB_PORT || '6390', 10);
+  createHub().listen(port, '127.0.0.1', () => console.log(`Cluster hub listening on ${port}`));
+}
+
+module.exports = { createHub };
@@ -0,0 +1,122 @@
+/**
+ * HubBus: cluster bus client for the local hub (see hub.js).
+ *
+ * connect() rejects if the hub cannot be reached at all. Once connected, a
+ * lost connection (the hub restarting) is retried with backoff; frames sent
+ * meanwhile are held (up to MAX_PENDING) and the subscriptions are renewed
+ * on reconnect, since a restarted hub knows none of them.
+ */
+
+const net = require('net');
+
+const RECONNECT_MIN_MS = 100;
+const RECONNECT_MAX_MS = 5000;
+const MAX_PENDING = 1000;
+
+class HubBus {
+  constructor({ host = '127.0.0.1', port = 6390 } = {}) {
+    this.host = host;
+    this.port = port;
+    this.handlers = new Map(); // channel -> [handler]
+    this.conn = null;
+    this.connected = false;
+    this.pending = []; // frames sent while disconnected
+    this.retryMs = RECONNECT_MIN_MS;
+    this.retryTimer = null;
+    this.closed = false;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.open(err => (err ? reject(err) : resolve(this)));
+    });
+  }
+
+  // `settle(err)` hears how the first attempt went; later ones only log
+  open(settle = null) {
+    const conn = net.connect({ host: this.host, port: this.port });
+    let gaveUp = false;
+    this.conn = conn;
+    conn.setEncoding('utf8');
+
+    conn.on('connect', () => {
+      this.connected = true;
+      this.retryMs = RECONNECT_MIN_MS;
+      this.handlers.forEach((_, channel) => this.write({ sub: channel }));
+      this.pending.splice(0).forEach(frame => this.write(frame));
+      if (settle) settle(null);
+      settle = null;
+    });
+
+    let buffer = '';
+    conn.on('data', (chunk) => {
+      buffer += chunk;
+      let nl;
+      while ((nl = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 1);
+        if (!line) continue;
+        let frame;
+        try {
+          frame = JSON.parse(line);
+        } catch (err) {
+          console.error('hub bus: dropped a malformed frame', err.message);
+          continue;
+        }
+        (this.handlers.get(frame.channel) || []).forEach(h => h(frame.msg));
+      }
+    });
+
+    conn.on('error', (err) => {
+      if (settle) {
+        gaveUp = true;
+        settle(err);
+        settle = null;
+        return;
+      }
+      console.error('hub bus:', err.message);
+    });
+
+    conn.on('close', () => {
+      this.connected = false;
+      if (this.closed || gaveUp) return;
+      console.error(`hub bus: not connected, retrying in ${this.retryMs}ms`);
+      this.retryTimer = setTimeout(() => this.open(), this.retryMs);
+      this.retryMs = Math.min(this.retryMs * 2, RECONNECT_MAX_MS);
+    });
+  }
+
+  write(frame) {
+    this.conn.write(JSON.stringify(frame) + '\n');
+  }
+
+  send(frame) {
+    if (this.connected) return this.write(frame);
+    if (this.pending.length >= MAX_PENDING) {
+      console.error('hub bus: not connected, dropping a frame');
+      return;
+    }
+    this.pending.push(frame);
+  }
+
+  async publish(channel, message) {
+    this.send({ pub: channel, msg: message });
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, []);
+      // (re)connecting subscribes to every channel in handlers
+      if (this.connected) this.write({ sub: channel });
+    }
+    this.handlers.get(channel).push(handler);
+  }
+
+  async close() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    this.conn?.end();
+  }
+}
+
+module.exports = { HubBus };
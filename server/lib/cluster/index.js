@@ -0,0 +1,31 @@
+/**
+ * Cluster bus factory, selected by env:
+ *   CLUSTER_BUS unset  -> single instance, no bus
+ *   CLUSTER_BUS=redis  -> Redis pub/sub (REDIS_URL)
+ *   CLUSTER_BUS=hub    -> local hub stand-in (CLUSTER_HUB=host:port, see hub.js)
+ *
+ * A bus exposes publish(channel, message) and subscribe(channel, handler)
+ * with JSON messages delivered to every subscriber in publish order.
+ */
+
+const { RedisBus } = require('./redisBus');
+const { HubBus } = require('./hubBus');
+const { createBusAdapter } = require('./adapter');
+
+async function createBus(env = process.env) {
+  const kind = (env.CLUSTER_BUS || '').toLowerCase();
+  switch (kind) {
+    case '':
+      return null;
+    case 'redis':
+      return new RedisBus({ url: env.REDIS_URL }).connect();
+    case 'hub': {
+      const [host, port] = (env.CLUSTER_HUB || '127.0.0.1:6390').split(':');
+      return new HubBus({ host, port: parseInt(port, 10) }).connect();
+    }
+    default:
+      throw new Error(`Unknown CLUSTER_BUS "${kind}" (expected redis or hub)`);
+  }
+}
+
+module.exports = { createBus, createBusAdapter };
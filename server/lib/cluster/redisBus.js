@@ -0,0 +1,34 @@
+/**
+ * RedisBus: cluster bus over Redis pub/sub.
+ * Redis delivers the messages of a channel to every subscriber in the order
+ * they were published, which is what room replication relies on.
+ */
+
+const { createClient } = require('redis');
+
+class RedisBus {
+  constructor({ url } = {}) {
+    this.pub = createClient({ url });
+    this.sub = this.pub.duplicate();
+    [this.pub, this.sub].forEach(client => client.on('error', err => console.error('redis bus:', err.message)));
+  }
+
+  async connect() {
+    await Promise.all([this.pub.connect(), this.sub.connect()]);
+    return this;
+  }
+
+  publish(channel, message) {
+    return this.pub.publish(channel, JSON.stringify(message));
+  }
+
+  subscribe(channel, handler) {
+    return this.sub.subscribe(channel, (raw) => handler(JSON.parse(raw)));
+  }
+
+  async close() {
+    await Promise.all([this.pub.quit(), this.sub.quit()]);
+  }
+}
+
+module.exports = { RedisBus };
@@ -0,0 +1,131 @@
+/**
+ * Slash-command registry for chat.
+ *
+ * A command is { name, aliases?, args?, description, permission?, run }.
+ * args is a list of { name, type, optional? } where type is one of:
+ *   word  a single token
+ *   text  the rest of the line (last argument only)
+ *   time  "90", "12:30" or "1:02:03" -> seconds
+ *   user  a participant by name (exact, then unique prefix; takes the rest of the line when last)
+ * permission is 'host' (must be the current host) or an action from
+ * lib/permissions; 'chat' commands are also refused while muted.
+ *
+ * run(ctx, args) gets ctx = { room, user, reply(text) } and the parsed args by
+ * name; it may return (or resolve to) an error code. Errors from parsing come
+ * back with a human readable `message` (usually the usage line).
+ */
+
+const { can } = require('./permissions');
+
+const ARG_TYPES = ['word', 'text', 'time', 'user'];
+
+// "[[h:]m:]s" -> seconds, or null
+function parseTime(value) {
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value)) return null;
+  return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// a participant by name: exact (case-insensitive) match first, then a unique prefix
+function findUser(room, name) {
+  const wanted = name.toLowerCase();
+  const users = Object.values(room.users);
+  const exact = users.filter(u => u.name.toLowerCase() === wanted);
+  if (exact.length === 1) return { user: exact[0] };
+  const prefixed = users.filter(u => u.name.toLowerCase().startsWith(wanted));
+  if (prefixed.length === 1) return { user: prefixed[0] };
+  return { error: prefixed.length ? 'ambiguous_user' : 'user_not_found' };
+}
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map(); // name -> command
+    this.aliases = new Map(); // alias -> name
+  }
+
+  register(command) {
+    const args = command.args || [];
+    args.forEach((arg, i) => {
+      if (!ARG_TYPES.includes(arg.type)) throw new Error(`/${command.name}: unknown argument type ${arg.type}`);
+      if (arg.type === 'text' && i !== args.length - 1) throw new Error(`/${command.name}: text must be the last argument`);
+    });
+    this.commands.set(command.name, { ...command, args });
+    (command.aliases || []).forEach(alias => this.aliases.set(alias, command.name));
+    return this;
+  }
+
+  get(name) {
+    return this.commands.get(name) || this.commands.get(this.aliases.get(name));
+  }
+
+  usage(command) {
+    const args = command.args.map(a => (a.optional ? `[${a.name}]` : `<${a.name}>`));
+    return [`/${command.name}`, ...args].join(' ');
+  }
+
+  allowed({ room, user }, command) {
+    if (!command.permission) return true;
+    if (command.permission === 'host') return room.hostId === user.id;
+    return can(room, user.id, command.permission);
+  }
+
+  // commands `ctx.user` may run, for /help and client autocomplete
+  list(ctx) {
+    return Array.from(this.commands.values())
+      .filter(c => this.allowed(ctx, c))
+      .map(c => ({
+        name: c.name,
+        aliases: c.aliases || [],
+        usage: this.usage(c),
+        description: c.description,
+        args: c.args.map(({ name, type, optional }) => ({ name, type, optional: !!optional })),
+      }));
+  }
+
+  parseArgs(ctx, command, tokens) {
+    const args = {};
+    for (let i = 0; i < command.args.length; i++) {
+      const spec = command.args[i];
+      const last = i === command.args.length - 1;
+      const value = (spec.type === 'text' || (spec.type === 'user' && last)) ? tokens.slice(i).join(' ') : tokens[i];
+      if (!value) {
+        if (spec.optional) continue;
+        return { error: 'missing_argument' };
+      }
+      if (spec.type === 'time') {
+        const seconds = parseTime(value);
+        if (seconds === null) return { error: 'invalid_argument' };
+        args[spec.name] = seconds;
+      } else if (spec.type === 'user') {
+        const found = findUser(ctx.room, value);
+        if (found.error) {
+          const message = found.error === 'ambiguous_user' ? `More than one participant matches "${value}"` : `Nobody here is called "${value}"`;
+          return { error: found.error, message };
+        }
+        args[spec.name] = found.user;
+      } else {
+        args[spec.name] = value;
+      }
+    }
+    return { args };
+  }
+
+  /**
+   * Run the command in `text` ("/name args..."). Resolves to { ok: true }
+   * or { ok: false, error, message? }.
+   */
+  async execute(ctx, text) {
+    const [head, ...tokens] = text.trim().slice(1).split(/\s+/);
+    const command = this.get((head || '').toLowerCase());
+    if (!command) return { ok: false, error: 'unknown_command', message: `Unknown command /${head}. Try /help` };
+    if (!this.allowed(ctx, command)) return { ok: false, error: command.permission === 'host' ? 'not_host' : 'forbidden' };
+    if (command.permission === 'chat' && ctx.room.muted[ctx.user.id]) return { ok: false, error: 'muted' };
+
+    const { args, error, message } = this.parseArgs(ctx, command, tokens.filter(Boolean));
+    if (error) return { ok: false, error, message: message || `Usage: ${this.usage(command)}` };
+    const failed = await command.run(ctx, args);
+    if (!failed) return { ok: true };
+    return failed === 'invalid_argument' ? { ok: false, error: failed, message: `Usage: ${this.usage(command)}` } : { ok: false, error: failed };
+  }
+}
+
+module.exports = { CommandRegistry, parseTime, findUser };
@@ -0,0 +1,114 @@
+/**
+ * Checks every incoming socket event before its handler runs (socket.use):
+ *
+ * - the event must be listed in lib/eventSchemas and its payload must match;
+ *   the handler receives the checked copy
+ * - for room events, the user is whoever joined that room on this socket:
+ *   payload.userId is set to them, and a different userId is refused
+ * - chat, host, join, upload, player status and WebRTC signal events take a token from
+ *   both the socket's and the IP address's bucket (lib/rateLimit)
+ *
+ * Refused events are answered through their ack with { ok: false, error }:
+ * unknown_event, invalid_payload (with field and reason), not_joined,
+ * identity_mismatch or rate_limited (with retryAfterMs). limitRequests()
+ * applies the same per-IP buckets to HTTP routes, answering 429.
+ */
+
+const { RateLimiter } = require('./rateLimit');
+const { EVENTS } = require('./eventSchemas');
+
+// per group: burst size and refill per second, for one socket and for one IP
+// (several people can share an address, so IP buckets are larger)
+const DEFAULT_LIMITS = {
+  join: { socket: { capacity: 5, perSecond: 0.2 }, ip: { capacity: 20, perSecond: 1 } },
+  chat: { socket: { capacity: 10, perSecond: 1 }, ip: { capacity: 30, perSecond: 3 } },
+  host: { socket: { capacity: 20, perSecond: 4 }, ip: { capacity: 60, perSecond: 12 } },
+  upload: { socket: { capacity: 10, perSecond: 0.1 }, ip: { capacity: 30, perSecond: 0.5 } },
+  status: { socket: { capacity: 20, perSecond: 2 }, ip: { capacity: 100, perSecond: 10 } }, // player:status reports
+  signal: { socket: { capacity: 100, perSecond: 20 }, ip: { capacity: 300, perSecond: 60 } }, // offers, answers, ICE candidates
+  media: { socket: { capacity: 200, perSecond: 20 }, ip: { capacity: 300, perSecond: 30 } }, // GET /media (HTTP only, one per segment or seek)
+};
+
+class EventError extends Error {
+  constructor(code, details = {}) {
+    super(code);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * `limits` is DEFAULT_LIMITS or the like; null turns rate limiting off.
+ * Returns { attach(socket), limitRequests(group) }.
+ */
+function createEventGuard({ rooms, events = EVENTS, limits = DEFAULT_LIMITS }) {
+  const limiters = {};
+  Object.entries(limits || {}).forEach(([group, { socket, ip }]) => {
+    limiters[group] = { socket: new RateLimiter(socket), ip: new RateLimiter(ip) };
+  });
+  setInterval(() => {
+    Object.values(limiters).forEach(l => [l.socket, l.ip].forEach(limiter => limiter.prune()));
+  }, 60 * 1000).unref();
+
+  function spend(group, { socketId, ip }) {
+    const limiter = limiters[group];
+    if (!limiter) return;
+    const wait = (socketId && limiter.socket.take(socketId)) || limiter.ip.take(ip);
+    if (wait) throw new EventError('rate_limited', { retryAfterMs: wait });
+  }
+
+  // -> the checked payload, or throws EventError
+  function check(socket, event, raw) {
+    const spec = events[event];
+    if (!spec) throw new EventError('unknown_event');
+    if (spec.limit) spend(spec.limit, { socketId: socket.id, ip: socket.handshake.address });
+
+    let payload;
+    try {
+      payload = spec.payload(raw);
+    } catch (err) {
+      if (err.code !== 'invalid_payload') throw err;
+      throw new EventError(err.code, { field: err.field, reason: err.reason });
+    }
+    if (!spec.member) return payload;
+
+    const room = rooms.get(payload.roomId);
+    const user = room && room.getUserBySocket(socket.id);
+    if (!user) throw new EventError('not_joined');
+    if (payload.userId != null && payload.userId !== user.id) throw new EventError('identity_mismatch');
+    return { ...payload, userId: user.id };
+  }
+
+  function attach(socket) {
+    socket.use((packet, next) => {
+      // packet: [event, payload?, ack?]; an ack may come in place of the payload
+      const ack = typeof packet[packet.length - 1] === 'function' ? packet[packet.length - 1] : null;
+      const raw = typeof packet[1] === 'function' ? undefined : packet[1];
+      try {
+        const payload = check(socket, packet[0], raw);
+        packet.splice(1, packet.length - 1, payload, ...(ack ? [ack] : []));
+        next();
+      } catch (err) {
+        if (!(err instanceof EventError)) return next(err);
+        if (ack) ack({ ok: false, error: err.code, ...err.details });
+      }
+    });
+  }
+
+  // express middleware spending a token of `group` per request from the client's IP
+  function limitRequests(group) {
+    return (req, res, next) => {
+      try {
+        spend(group, { ip: req.ip });
+        next();
+      } catch (err) {
+        res.set('Retry-After', String(Math.ceil(err.details.retryAfterMs / 1000)));
+        res.status(429).json({ error: err.code, retryAfterMs: err.details.retryAfterMs });
+      }
+    };
+  }
+
+  return { attach, limitRequests };
+}
+
+module.exports = { createEventGuard, EventError, DEFAULT_LIMITS };
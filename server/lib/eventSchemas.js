@@ -0,0 +1,164 @@
+/**
+ * Every socket event the server accepts, checked by lib/eventGuard before
+ * the handler in server.js runs:
+ *   payload  schema of the first argument (lib/schema)
+ *   member   the socket must have joined payload.roomId; payload.userId is
+ *            set to that user
+ *   limit    rate limit group (chat, host, join, upload, status, signal; see lib/eventGuard)
+ */
+
+const { string, number, boolean, oneOf, array, object, requireWhen } = require('./schema');
+const { EDITABLE } = require('./permissions');
+const { MODES } = require('./roomAccess');
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_COMMENT_LENGTH = 140;
+const REACTIONS = ['👍', '😂', '😮', '😢', '❤️', '🔥', '👏'];
+const MAX_NAME_LENGTH = 32;
+const MAX_TIME = 7 * 24 * 60 * 60; // seconds; nothing plays longer than a week
+const MAX_FINGERPRINT_LENGTH = 128; // local-file fingerprints (client/src/lib/localFiles)
+const MAX_SDP_LENGTH = 64 * 1024;
+const MAX_POLL_OPTIONS = 6;
+const MAX_POLL_DURATION_MS = 30 * 60 * 1000;
+
+const id = opts => string({ min: 1, max: 128, ...opts });
+const token = opts => string({ max: 4096, ...opts });
+const time = opts => number({ min: 0, max: MAX_TIME, ...opts });
+
+// roomId and the (socket-bound) userId come with every member event
+function member(shape = {}) {
+  return object({ roomId: id(), userId: id({ optional: true }), ...shape });
+}
+
+const EVENTS = {
+  'clock:ping': { payload: number({ min: 0 }) },
+  'room:join': {
+    limit: 'join',
+    payload: object({
+      roomId: id(),
+      username: string({ max: MAX_NAME_LENGTH, optional: true }),
+      password: string({ max: 128, optional: true }),
+      invite: token({ optional: true }),
+      session: token({ optional: true }),
+    }),
+  },
+
+  'chat:message': { member: true, limit: 'chat', payload: member({ text: string({ min: 1, max: MAX_MESSAGE_LENGTH }) }) },
+  'chat:history': { member: true, payload: member({ before: id({ optional: true }), limit: number({ min: 1, max: 100, integer: true, optional: true }) }) },
+  'chat:edit': { member: true, limit: 'chat', payload: member({ messageId: id(), text: string({ min: 1, max: MAX_MESSAGE_LENGTH }) }) },
+  'chat:delete': { member: true, limit: 'chat', payload: member({ messageId: id() }) },
+  'chat:commands': { member: true, payload: member() },
+  'video:annotate': {
+    member: true,
+    limit: 'chat',
+    payload: member({
+      kind: oneOf(['reaction', 'comment']),
+      emoji: oneOf(REACTIONS, { optional: true }),
+      text: string({ max: MAX_COMMENT_LENGTH, optional: true }),
+      time: time({ optional: true }),
+    }),
+  },
+  'video:annotation_remove': { member: true, limit: 'chat', payload: member({ savedName: string({ min: 1, max: 255 }), annotationId: id() }) },
+
+  'host:action': {
+    member: true,
+    limit: 'host',
+    // play and pause default to the current position; loop: null clears the loop
+    payload: requireWhen(member({
+      action: oneOf(['play', 'pause', 'seek', 'rate', 'loop']),
+      time: time({ optional: true }),
+      rate: number({ min: 0.25, max: 4, optional: true }),
+      loop: object({ start: time(), end: time() }, { optional: true }),
+    }), 'action', { seek: ['time'], rate: ['rate'] }),
+  },
+  'host:request': { member: true, limit: 'host', payload: member() },
+  'host:respond': { member: true, limit: 'host', payload: member({ requestId: id(), accept: boolean() }) },
+  'host:cancel_request': { member: true, limit: 'host', payload: member({ requestId: id() }) },
+  'host:pass': { member: true, limit: 'host', payload: member({ targetId: id() }) },
+  'subtitles:set_default': { member: true, limit: 'host', payload: member({ trackId: id({ optional: true }) }) },
+
+  'player:status': {
+    member: true,
+    limit: 'status',
+    payload: member({ state: oneOf(['loading', 'buffering', 'ready']), time: time(), entryId: id({ optional: true }) }),
+  },
+  'player:local_file': { member: true, limit: 'status', payload: member({ entryId: id(), fingerprint: string({ min: 1, max: MAX_FINGERPRINT_LENGTH }) }) },
+  'room:sync': { member: true, limit: 'host', payload: member({ mode: oneOf(['free', 'wait']), maxWaitMs: number({ min: 1000, integer: true, optional: true }) }) },
+  'ready:start': { member: true, limit: 'host', payload: member() },
+  'ready:respond': { member: true, limit: 'host', payload: member({ checkId: id(), ready: boolean() }) },
+  'ready:cancel': { member: true, limit: 'host', payload: member({ checkId: id() }) },
+
+  'rtc:join': { member: true, limit: 'host', payload: member({ audio: boolean(), video: boolean() }) },
+  'rtc:leave': { member: true, limit: 'host', payload: member() },
+  'rtc:signal': {
+    member: true,
+    limit: 'signal',
+    payload: member({
+      targetId: id(),
+      channel: oneOf(['call', 'screen']),
+      description: object({ type: oneOf(['offer', 'answer']), sdp: string({ max: MAX_SDP_LENGTH }) }, { optional: true }),
+      candidate: object({
+        candidate: string({ max: 1024 }),
+        sdpMid: string({ max: 64, optional: true }),
+        sdpMLineIndex: number({ min: 0, max: 1024, integer: true, optional: true }),
+        usernameFragment: string({ max: 256, optional: true }),
+      }, { optional: true }),
+    }),
+  },
+  'rtc:screen': { member: true, limit: 'host', payload: member({ sharing: boolean() }) },
+
+  'poll:create': {
+    member: true,
+    limit: 'chat',
+    payload: member({
+      question: string({ max: 200, optional: true }),
+      options: array(string({ max: 100 }), { max: MAX_POLL_OPTIONS, optional: true }),
+      action: oneOf(['skip', 'pause'], { optional: true }),
+      durationMs: number({ min: 10000, max: MAX_POLL_DURATION_MS, integer: true, optional: true }),
+    }),
+  },
+  'poll:vote': { member: true, limit: 'chat', payload: member({ pollId: id(), option: number({ min: 0, max: MAX_POLL_OPTIONS - 1, integer: true, optional: true }) }) },
+  'poll:close': { member: true, limit: 'host', payload: member({ pollId: id() }) },
+  'poll:settings': { member: true, limit: 'host', payload: member({ threshold: number({ min: 0.1, max: 1 }) }) },
+
+  'library:list': { member: true, payload: member({ query: string({ max: 200, optional: true }) }) },
+  'queue:add': {
+    member: true,
+    limit: 'upload',
+    payload: member({
+      video: object({
+        savedName: string({ min: 1, max: 255 }),
+        filename: string({ max: 255, optional: true }),
+        uploadedAt: string({ max: 64, optional: true }),
+      }),
+    }),
+  },
+  'video:add_url': { member: true, limit: 'upload', payload: member({ url: string({ min: 1, max: 2048 }), mode: oneOf(['proxy', 'download'], { optional: true }) }) },
+  'video:add_local': {
+    member: true,
+    limit: 'upload',
+    payload: member({
+      filename: string({ min: 1, max: 255 }),
+      size: number({ min: 0, integer: true }),
+      fingerprint: string({ min: 1, max: MAX_FINGERPRINT_LENGTH }),
+      duration: time({ optional: true }),
+    }),
+  },
+  'queue:remove': { member: true, payload: member({ entryId: id() }) },
+  'queue:move': { member: true, limit: 'host', payload: member({ entryId: id(), index: number({ min: 0, max: 10000, integer: true }) }) },
+  'queue:skip': { member: true, limit: 'host', payload: member({ entryId: id({ optional: true }) }) },
+  'video:ended': { member: true, payload: member({ entryId: id({ optional: true }) }) },
+
+  'user:set_role': { member: true, payload: member({ targetId: id(), role: oneOf(['moderator', 'guest']) }) },
+  'user:moderate': { member: true, payload: member({ targetId: id(), action: oneOf(['kick', 'ban', 'mute', 'unmute']) }) },
+  'room:settings': {
+    member: true,
+    payload: member({
+      permissions: object(Object.fromEntries(EDITABLE.map(action => [action, array(oneOf(['owner', 'moderator', 'guest']), { max: 3, optional: true })]))),
+    }),
+  },
+  'room:invite': { member: true, payload: member({ ttlMs: number({ min: 0, optional: true }) }) },
+  'room:access': { member: true, payload: member({ mode: oneOf(MODES), password: string({ max: 128, optional: true }) }) },
+};
+
+module.exports = { EVENTS, MAX_MESSAGE_LENGTH, MAX_COMMENT_LENGTH, REACTIONS, MAX_NAME_LENGTH, MAX_TIME, MAX_POLL_OPTIONS };
@@ -1,17 +1,129 @@
+/**
+ * Logger: the durable activity log of every room.
+ *
+ * Room.logs only keeps the latest entries for the live view; every entry is
+ * also appended here, one JSON object per line, to LOG_DIR/<room>.ndjson.
+ * Files are append-only, so a line number is a stable position: query()
+ * pages with an opaque cursor built from it.
+ *
+ * An entry is { id, type, text, time, userId?, targetId? } where userId is
+ * who did it and targetId who it was done to (kicks, role changes...).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const MAX_PAGE = 500;
+
 class Logger {
-  constructor() {
-    this.store = {}; // roomId -> logs
+  constructor({ dir = 'data/logs' } = {}) {
+    this.dir = dir;
+    this.writing = new Map(); // roomId -> promise of the last append
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  file(roomId) {
+    // room ids come from clients; anything unusual gets a hashed file name
+    const name = /^[\w-]{1,128}$/.test(roomId) ? roomId : crypto.createHash('sha256').update(String(roomId)).digest('hex');
+    return path.join(this.dir, `${name}.ndjson`);
   }
 
+  // appends are chained per room so lines never interleave
   push(roomId, log) {
-    if (!this.store[roomId]) this.store[roomId] = [];
-    this.store[roomId].push({ ...log, time: new Date().toISOString() });
-    if (this.store[roomId].length > 1000) this.store[roomId].shift();
+    const previous = this.writing.get(roomId) || Promise.resolve();
+    const next = previous
+      .then(() => fs.promises.appendFile(this.file(roomId), `${JSON.stringify(log)}\n`))
+      .catch(err => console.error('logger: append failed', roomId, err));
+    this.writing.set(roomId, next);
+    next.then(() => {
+      if (this.writing.get(roomId) === next) this.writing.delete(roomId);
+    });
+    return next;
+  }
+
+  async flush() {
+    await Promise.all(this.writing.values());
+  }
+
+  /**
+   * Entries of `roomId` matching `filter`, oldest first, each with its line
+   * number as `seq`. Filter: { types, userId, since, until, from } where
+   * types is a list of types ('host_*' matches a prefix), userId matches the
+   * actor or the target, since/until are ms timestamps (inclusive) and from
+   * is the first line to look at.
+   */
+  async *entries(roomId, { types, userId, since, until, from = 0 } = {}) {
+    await this.writing.get(roomId);
+    let input;
+    try {
+      input = fs.createReadStream(this.file(roomId), 'utf8');
+      await new Promise((resolve, reject) => input.once('open', resolve).once('error', reject));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let seq = -1;
+    try {
+      for await (const line of lines) {
+        seq++;
+        if (seq < from || !line) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (err) {
+          continue; // a line cut short by a crash
+        }
+        if (!matches(entry, { types, userId, since, until })) continue;
+        yield { seq, ...entry };
+      }
+    } finally {
+      input.destroy(); // the caller may stop early
+    }
   }
 
-  get(roomId) {
-    return this.store[roomId] || [];
+  /**
+   * One page of entries: { entries, nextCursor } where nextCursor (null on
+   * the last page) is passed back as `cursor` for the next page.
+   */
+  async query(roomId, { cursor, limit = 100, ...filter } = {}) {
+    const size = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_PAGE);
+    const from = decodeCursor(cursor);
+    if (from === null) throw Object.assign(new Error('invalid cursor'), { code: 'invalid_cursor' });
+
+    const entries = [];
+    let nextCursor = null;
+    for await (const entry of this.entries(roomId, { ...filter, from })) {
+      if (entries.length === size) {
+        nextCursor = encodeCursor(entry.seq);
+        break;
+      }
+      entries.push(entry);
+    }
+    return { entries, nextCursor };
   }
 }
 
+function matches(entry, { types, userId, since, until }) {
+  if (types && types.length && !types.some(t => (t.endsWith('*') ? entry.type.startsWith(t.slice(0, -1)) : entry.type === t))) return false;
+  if (userId && entry.userId !== userId && entry.targetId !== userId) return false;
+  const time = Date.parse(entry.time);
+  if (since != null && time < since) return false;
+  if (until != null && time > until) return false;
+  return true;
+}
+
+function encodeCursor(seq) {
+  return Buffer.from(String(seq)).toString('base64url');
+}
+
+// line number to resume from, 0 without a cursor, null if it is not ours
+function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  const seq = Number(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  return Number.isInteger(seq) && seq >= 0 ? seq : null;
+}
+
 module.exports = { Logger };
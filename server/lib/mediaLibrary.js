@@ -0,0 +1,194 @@
+/**
+ * Media library: every uploaded video, deduplicated by content hash.
+ *
+ * The index ({ savedName -> { video, roomId, lastUsedAt } }) is kept in a
+ * JSON file (written like FileStore: debounced, temp file + rename). An
+ * upload whose sha256 is already in the library is dropped and the existing
+ * file is reused, so every room queueing the same video shares one copy
+ * (and one HLS transcode).
+ *
+ * Quotas count the original files only: `quota` bytes for the whole library
+ * and `roomQuota` bytes for what was first uploaded through a room (0 = no
+ * limit). sweep() deletes files no room uses that were not used for
+ * `retentionMs`, together with their HLS output and previews; files in the
+ * upload dir the index does not know (older uploads) are treated the same way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('data', d => hash.update(d))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+class MediaLibrary {
+  constructor({ uploadDir, file, quota = 0, roomQuota = 0, retentionMs = 7 * 24 * 60 * 60 * 1000, debounceMs = 250 }) {
+    this.uploadDir = uploadDir;
+    this.file = file;
+    this.quota = quota;
+    this.roomQuota = roomQuota;
+    this.retentionMs = retentionMs;
+    this.debounceMs = debounceMs;
+    this.entries = new Map(); // savedName -> { video, roomId, lastUsedAt }
+    this.timer = null;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const raw = await fs.promises.readFile(this.file, 'utf8');
+      Object.entries(JSON.parse(raw).entries || {}).forEach(([savedName, entry]) => this.entries.set(savedName, entry));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    return this.entries.size;
+  }
+
+  get(savedName) {
+    return this.entries.get(savedName);
+  }
+
+  findByHash(sha256) {
+    return Array.from(this.entries.values()).find(e => e.video.sha256 === sha256);
+  }
+
+  // most recently used first; `query` filters by file name
+  list({ query } = {}) {
+    const wanted = query ? String(query).toLowerCase() : null;
+    return Array.from(this.entries.values())
+      .filter(e => !wanted || e.video.filename.toLowerCase().includes(wanted))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map(e => ({ ...e.video, lastUsedAt: new Date(e.lastUsedAt).toISOString() }));
+  }
+
+  usage(roomId) {
+    let used = 0;
+    let roomUsed = 0;
+    this.entries.forEach((e) => {
+      used += e.video.size;
+      if (roomId && e.roomId === roomId) roomUsed += e.video.size;
+    });
+    return { used, quota: this.quota, roomUsed, roomQuota: this.roomQuota };
+  }
+
+  // error code if `size` more bytes would not fit, else null
+  quotaError({ roomId, size }) {
+    const { used, roomUsed } = this.usage(roomId);
+    if (this.quota && used + size > this.quota) return 'quota_exceeded';
+    if (this.roomQuota && roomId && roomUsed + size > this.roomQuota) return 'room_quota_exceeded';
+    return null;
+  }
+
+  /**
+   * Record a video that was just written to the upload dir. If the same
+   * content is already in the library the new file is deleted and the
+   * stored video comes back (under the uploader's file name) with
+   * duplicate: true. Resolves to { video, duplicate }.
+   */
+  async add(meta, { roomId } = {}) {
+    const file = path.join(this.uploadDir, meta.savedName);
+    const sha256 = meta.sha256 || await hashFile(file);
+    const existing = this.findByHash(sha256);
+    if (existing && existing.video.savedName !== meta.savedName && fs.existsSync(path.join(this.uploadDir, existing.video.savedName))) {
+      await fs.promises.rm(file, { force: true });
+      existing.lastUsedAt = Date.now();
+      this.schedule();
+      return { video: { ...existing.video, filename: meta.filename, uploadedAt: meta.uploadedAt }, duplicate: true };
+    }
+    const video = { ...meta, sha256 };
+    this.entries.set(video.savedName, { video, roomId: roomId || null, lastUsedAt: Date.now() });
+    this.schedule();
+    return { video, duplicate: false };
+  }
+
+  // merge processing results (HLS url, duration...) into the stored video
+  update(savedName, patch) {
+    const entry = this.entries.get(savedName);
+    if (!entry) return;
+    entry.video = { ...entry.video, ...patch };
+    this.schedule();
+  }
+
+  touch(savedName) {
+    const entry = this.entries.get(savedName);
+    if (!entry) return;
+    entry.lastUsedAt = Date.now();
+    this.schedule();
+  }
+
+  /**
+   * Delete what nobody needs: library files not in `inUse` (a Set of
+   * savedNames) and unused for retentionMs, and unknown files in the upload
+   * dir older than that. Files in use count as used now. Resolves to the
+   * list of deleted savedNames.
+   */
+  async sweep(inUse) {
+    const now = Date.now();
+    const removed = [];
+    for (const [savedName, entry] of this.entries) {
+      if (inUse.has(savedName)) {
+        entry.lastUsedAt = now;
+        continue;
+      }
+      if (now - entry.lastUsedAt < this.retentionMs) continue;
+      this.entries.delete(savedName);
+      await this.removeFiles(savedName);
+      removed.push(savedName);
+    }
+    this.schedule();
+
+    const names = await fs.promises.readdir(this.uploadDir, { withFileTypes: true });
+    for (const dirent of names) {
+      if (!dirent.isFile() || dirent.name.startsWith('.') || this.entries.has(dirent.name) || inUse.has(dirent.name)) continue;
+      const { mtimeMs } = await fs.promises.stat(path.join(this.uploadDir, dirent.name));
+      if (now - mtimeMs < this.retentionMs) continue;
+      await this.removeFiles(dirent.name);
+      removed.push(dirent.name);
+    }
+    return removed;
+  }
+
+  async removeFiles(savedName) {
+    const id = path.basename(savedName, path.extname(savedName));
+    await fs.promises.rm(path.join(this.uploadDir, savedName), { force: true });
+    await Promise.all(['hls', 'previews'].map(dir => fs.promises.rm(path.join(this.uploadDir, dir, id), { recursive: true, force: true })));
+  }
+
+  schedule() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.write();
+    }, this.debounceMs);
+  }
+
+  // chained like FileStore's; a failed write is logged and the next one still runs
+  write() {
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify({ entries: Object.fromEntries(this.entries) }));
+        await fs.promises.rename(tmp, this.file);
+      })
+      .catch(err => console.error('media library: write failed', err));
+    return this.writing;
+  }
+
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.write();
+  }
+}
+
+module.exports = { MediaLibrary, hashFile };
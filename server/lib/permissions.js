@@ -0,0 +1,51 @@
+/**
+ * Room roles and the permission matrix.
+ *
+ * Roles: owner (room creator) > moderator > guest. The owner can do
+ * everything; other roles get an action if listed in room.permissions.
+ * Owners and moderators can edit who may take host, upload, chat and invite.
+ */
+
+const RANK = { owner: 3, moderator: 2, guest: 1 };
+
+const DEFAULT_PERMISSIONS = {
+  takeHost: ['owner', 'moderator', 'guest'], // request host control (see host:request)
+  upload: ['owner', 'moderator', 'guest'],
+  chat: ['owner', 'moderator', 'guest'],
+  invite: ['owner', 'moderator', 'guest'], // create invite links
+  changeSettings: ['owner', 'moderator'],
+  changeAccess: ['owner'], // password / invite-only
+  moderate: ['owner', 'moderator'], // kick, ban, mute
+  assignRoles: ['owner'], // promote / demote
+};
+
+// actions whose roles can be changed through room settings
+const EDITABLE = ['takeHost', 'upload', 'chat', 'invite'];
+
+function can(room, userId, action) {
+  const role = room.roleOf(userId);
+  if (role === 'owner') return true;
+  const allowed = room.permissions[action] || DEFAULT_PERMISSIONS[action] || [];
+  return allowed.includes(role);
+}
+
+// may `actorId` act on `targetId` (kick, mute, demote...)?
+function outranks(room, actorId, targetId) {
+  return RANK[room.roleOf(actorId)] > RANK[room.roleOf(targetId)];
+}
+
+/**
+ * Merge a settings update ({ action: [roles] }) into `current`. Unknown
+ * actions and roles are dropped; the owner always keeps every permission.
+ */
+function mergePermissions(current, update = {}) {
+  const next = { ...current };
+  EDITABLE.forEach((action) => {
+    if (!Array.isArray(update[action])) return;
+    const roles = update[action].filter(r => r === 'moderator' || r === 'guest');
+    next[action] = ['owner', ...new Set(roles)];
+  });
+  return next;
+}
+
+module.exports = { RANK, DEFAULT_PERMISSIONS, EDITABLE, can, outranks, mergePermissions };
@@ -0,0 +1,160 @@
+/**
+ * Polls: quick questions to the room ("Which movie next?", "Take a break?")
+ * and votes that act on playback.
+ *
+ * - A poll has 2 to MAX_POLL_OPTIONS options. Everyone votes for one, and can
+ *   change or take back their vote, until it expires or its creator (or the
+ *   host) closes it. The results go to the activity log.
+ * - An action vote ('skip' or 'pause') is a yes/no poll that acts as soon as
+ *   room.voteThreshold of the connected users voted yes; starting one counts
+ *   as a yes. It fails if it expires first, and a skip vote ends when the
+ *   video changes.
+ *
+ * Expiry timers live on the node that opened the poll; the polls themselves
+ * are replicated like the rest of the room.
+ */
+
+const { MAX_POLL_OPTIONS } = require('./eventSchemas');
+
+const MAX_OPEN_POLLS = 5;
+const ACTION_QUESTIONS = {
+  skip: 'Skip this video?',
+  pause: 'Pause for a break?',
+};
+
+function createPolls({ io, skip, defaultDurationMs = 60000 }) {
+  const timers = new Map(); // pollId -> expiry timer
+
+  const connected = room => Object.values(room.users).filter(u => u.connected !== false);
+  const tallies = poll => poll.options.map((_, i) => Object.values(poll.votes).filter(v => v === i).length);
+
+  // yes votes an action vote needs to pass
+  function needed(room) {
+    return Math.max(1, Math.ceil(room.voteThreshold * connected(room).length));
+  }
+
+  // only the votes of people still here count towards an action
+  function yesVotes(room, poll) {
+    return connected(room).filter(u => poll.votes[u.id] === 0).length;
+  }
+
+  // what clients see: the poll plus its tallies and, for action votes, the yes votes needed
+  function view(room, poll) {
+    return { ...poll, votes: { ...poll.votes }, tallies: tallies(poll), needed: poll.action ? needed(room) : null };
+  }
+
+  // open polls as clients see them (room:state)
+  function list(room) {
+    return room.openPolls().map(poll => view(room, poll));
+  }
+
+  // -> { poll } or { error }
+  function open(room, user, { question, options, action, durationMs }) {
+    const running = room.openPolls();
+    if (running.length >= MAX_OPEN_POLLS) return { error: 'too_many_polls' };
+    if (action) {
+      if (!room.video) return { error: 'no_video' };
+      if (running.some(p => p.action?.kind === action)) return { error: 'vote_running' };
+      if (action === 'skip' && !room.queue.length) return { error: 'queue_empty' };
+      if (action === 'pause' && !room.playbackState.playing) return { error: 'not_playing' };
+      question = ACTION_QUESTIONS[action];
+      options = ['Yes', 'No'];
+    } else {
+      question = (question || '').trim();
+      options = [...new Set((options || []).map(o => o.trim()).filter(Boolean))];
+      if (!question || options.length < 2 || options.length > MAX_POLL_OPTIONS) return { error: 'invalid_poll' };
+    }
+
+    const createdAt = Date.now();
+    const poll = room.openPoll({
+      question,
+      options,
+      votes: action ? { [user.id]: 0 } : {},
+      byId: user.id,
+      createdAt,
+      expiresAt: createdAt + (durationMs || defaultDurationMs),
+      action: action ? { kind: action, entryId: room.video.entryId } : null,
+    });
+    const text = action ? `${user.name} started a vote to ${action}` : `${user.name} asked: ${question}`;
+    const log = room.addLog({ type: 'poll_created', text, userId: user.id });
+    io.to(room.id).emit('poll:updated', { poll: view(room, poll), log });
+    timers.set(poll.id, setTimeout(() => finish(room, poll.id, 'expired'), poll.expiresAt - createdAt).unref());
+    check(room, poll.id);
+    return { poll: view(room, poll) };
+  }
+
+  // `option` null takes the vote back; returns an error code or null
+  function vote(room, user, pollId, option) {
+    const poll = room.polls[pollId];
+    if (!poll) return 'poll_not_found';
+    if (option !== null && option >= poll.options.length) return 'invalid_option';
+    room.votePoll(pollId, user.id, option);
+    io.to(room.id).emit('poll:updated', { poll: view(room, poll) });
+    check(room, pollId);
+    return null;
+  }
+
+  // act on an action vote once enough people voted yes
+  function check(room, pollId) {
+    const poll = room.polls[pollId];
+    if (poll?.action && yesVotes(room, poll) >= needed(room)) finish(room, pollId, 'passed');
+  }
+
+  /**
+   * Re-evaluate the action votes after the number of people they depend on
+   * changed (someone left or dropped, the threshold changed).
+   */
+  function update(room) {
+    room.openPolls().filter(p => p.action).forEach((poll) => {
+      check(room, poll.id);
+      if (room.polls[poll.id]) io.to(room.id).emit('poll:updated', { poll: view(room, room.polls[poll.id]) });
+    });
+  }
+
+  // the current video changed: skip votes for the previous one are moot
+  function videoChanged(room) {
+    room.openPolls()
+      .filter(p => p.action?.kind === 'skip' && p.action.entryId !== room.video?.entryId)
+      .forEach(p => finish(room, p.id, 'cancelled'));
+  }
+
+  const ACTION_OUTCOMES = {
+    passed: (kind, yes, of) => `Vote to ${kind} passed (${yes} of ${of} needed)`,
+    expired: (kind, yes, of) => `Vote to ${kind} failed (${yes} of ${of} needed)`,
+    closed: kind => `Vote to ${kind} was called off`,
+    cancelled: kind => `Vote to ${kind} ended, the video changed`,
+  };
+
+  function resultsText(poll) {
+    const counts = tallies(poll);
+    return poll.options.map((option, i) => `${option} ${counts[i]}`).join(', ');
+  }
+
+  // outcome: passed | expired | closed | cancelled
+  function finish(room, pollId, outcome) {
+    const poll = room.polls[pollId];
+    clearTimeout(timers.get(pollId));
+    timers.delete(pollId);
+    if (!poll) return;
+    const results = view(room, poll);
+    const yes = poll.action ? yesVotes(room, poll) : 0;
+    room.closePoll(pollId);
+
+    const text = poll.action
+      ? ACTION_OUTCOMES[outcome](poll.action.kind, yes, results.needed)
+      : `Poll "${poll.question}" ${outcome === 'closed' ? 'closed' : 'ended'}: ${resultsText(poll)}`;
+    const log = room.addLog({ type: `poll_${outcome}`, text, userId: poll.byId });
+    io.to(room.id).emit('poll:closed', { pollId, outcome, poll: results, log });
+
+    if (outcome !== 'passed') return;
+    if (poll.action.kind === 'skip') skip(room);
+    else if (room.playbackState.playing) {
+      const state = room.setPlayback({ playing: false, time: room.currentTime() });
+      io.to(room.id).emit('host:pause', { time: state.time, updatedAt: state.updatedAt });
+    }
+  }
+
+  return { list, open, vote, update, videoChanged, finish };
+}
+
+module.exports = { createPolls };
@@ -0,0 +1,36 @@
+/**
+ * Token buckets, one per key (socket id, IP address). A bucket holds up to
+ * `capacity` tokens and refills `perSecond` of them every second; each
+ * action takes one. Buckets that have filled up again are dropped by
+ * prune(), so idle clients cost nothing.
+ */
+
+class RateLimiter {
+  constructor({ capacity, perSecond }) {
+    this.capacity = capacity;
+    this.perSecond = perSecond;
+    this.buckets = new Map(); // key -> { tokens, at }
+  }
+
+  tokens(key, now) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) return this.capacity;
+    return Math.min(this.capacity, bucket.tokens + ((now - bucket.at) / 1000) * this.perSecond);
+  }
+
+  // take a token: 0 if there was one, else the ms until there is
+  take(key, now = Date.now()) {
+    const tokens = this.tokens(key, now);
+    if (tokens < 1) return Math.ceil(((1 - tokens) / this.perSecond) * 1000);
+    this.buckets.set(key, { tokens: tokens - 1, at: now });
+    return 0;
+  }
+
+  prune(now = Date.now()) {
+    this.buckets.forEach((bucket, key) => {
+      if (this.tokens(key, now) >= this.capacity) this.buckets.delete(key);
+    });
+  }
+}
+
+module.exports = { RateLimiter };
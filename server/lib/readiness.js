@@ -0,0 +1,153 @@
+/**
+ * Readiness: what every viewer's player reports (player:status: loading,
+ * buffering or ready, and its position) and what the room does with it.
+ *
+ * - Wait mode (room.sync.mode 'wait'): while the room plays and someone's
+ *   player is not ready, the room pauses with playbackState.waitingFor
+ *   listing them, and resumes once all are ready. After room.sync.maxWaitMs
+ *   it resumes anyway; whoever is still stalled is left out until their
+ *   player is ready again. The host pressing play does the same at once.
+ * - Ready check: the host asks everyone to confirm before starting; the room
+ *   plays as soon as every connected user said ready, or gives up after
+ *   `readyCheckTtlMs`.
+ *
+ * Timers live on the node that paused the room or started the check; the
+ * state they act on is replicated like the rest of the room.
+ */
+
+function createReadiness({ io, formatTime, readyCheckTtlMs = 30000 }) {
+  const waitTimers = new Map(); // roomId -> max-wait timer
+  const skipped = new Map(); // roomId -> Set of userIds not waited for anymore; no empty sets
+  const checkTimers = new Map(); // checkId -> ready check timeout
+
+  const names = (room, ids) => ids.map(id => room.getUser(id)?.name || 'someone').join(', ');
+
+  function skippedIn(room) {
+    if (!skipped.has(room.id)) skipped.set(room.id, new Set());
+    return skipped.get(room.id);
+  }
+
+  // wait for `userId` again (their player is ready, or they left)
+  function forget(room, userId) {
+    const skip = skipped.get(room.id);
+    if (!skip) return;
+    skip.delete(userId);
+    if (!skip.size) skipped.delete(room.id);
+  }
+
+  // a player:status report for the current video
+  function report(room, user, { state, time, entryId }) {
+    const changed = user.player?.state !== state;
+    room.setPlayerStatus(user.id, { state, time, entryId });
+    if (state === 'ready') forget(room, user.id);
+    if (changed) io.to(room.id).emit('room:user_list', { users: room.userList() });
+    update(room);
+  }
+
+  /**
+   * Re-evaluate the room after anything readiness depends on changed (a
+   * report, someone leaving, the sync mode, the host playing).
+   */
+  function update(room) {
+    updateCheck(room);
+    const { playing, waitingFor } = room.playbackState;
+    if (room.sync.mode !== 'wait' || !room.video) {
+      if (waitingFor) resume(room, 'Stopped waiting for buffering viewers');
+      return;
+    }
+    const skip = skipped.get(room.id);
+    const stalled = room.bufferingUsers().map(u => u.id).filter(id => !skip?.has(id));
+    if (playing && stalled.length) return pause(room, stalled);
+    if (!waitingFor) return;
+    if (!stalled.length) return resume(room, 'Everyone is ready, resuming');
+    if (stalled.join() !== waitingFor.join()) {
+      const state = room.setPlayback({ waitingFor: stalled });
+      io.to(room.id).emit('host:pause', { time: state.time, updatedAt: state.updatedAt, waitingFor: stalled });
+    }
+  }
+
+  function pause(room, stalled) {
+    const state = room.setPlayback({ playing: false, time: room.currentTime(), waitingFor: stalled });
+    const log = room.addLog({ type: 'playback_waiting', text: `Paused at ${formatTime(state.time)}, waiting for ${names(room, stalled)}` });
+    io.to(room.id).emit('host:pause', { time: state.time, updatedAt: state.updatedAt, waitingFor: stalled, log });
+    clearTimeout(waitTimers.get(room.id));
+    waitTimers.set(room.id, setTimeout(() => giveUp(room), room.sync.maxWaitMs).unref());
+  }
+
+  function resume(room, text) {
+    clearTimeout(waitTimers.get(room.id));
+    waitTimers.delete(room.id);
+    const state = room.setPlayback({ playing: true, time: room.playbackState.time });
+    const log = room.addLog({ type: 'playback_resumed', text });
+    io.to(room.id).emit('host:play', { time: state.time, updatedAt: state.updatedAt, log });
+  }
+
+  function giveUp(room) {
+    waitTimers.delete(room.id);
+    const { waitingFor } = room.playbackState;
+    if (!waitingFor) return;
+    waitingFor.forEach(id => skippedIn(room).add(id));
+    resume(room, `Waited ${Math.round(room.sync.maxWaitMs / 1000)}s, resuming without ${names(room, waitingFor)}`);
+  }
+
+  // the host plays while the room waits: stop waiting for whoever is stalled now
+  function skipWaiting(room) {
+    const { waitingFor } = room.playbackState;
+    if (!waitingFor) return;
+    waitingFor.forEach(id => skippedIn(room).add(id));
+    clearTimeout(waitTimers.get(room.id));
+    waitTimers.delete(room.id);
+  }
+
+  function startCheck(room, user) {
+    if (room.readyCheck && room.readyCheck.expiresAt > Date.now()) return { error: 'check_running' };
+    const check = room.startReadyCheck(user.id, readyCheckTtlMs);
+    const log = room.addLog({ type: 'ready_check_started', text: `${user.name} started a ready check`, userId: user.id });
+    io.to(room.id).emit('ready:check', { check, log });
+    checkTimers.set(check.id, setTimeout(() => finishCheck(room, check.id, 'timeout'), readyCheckTtlMs).unref());
+    return { check };
+  }
+
+  // returns an error code or null
+  function respond(room, user, checkId, ready) {
+    if (!room.readyCheck || room.readyCheck.id !== checkId) return 'check_not_found';
+    const check = room.respondReadyCheck(user.id, ready);
+    io.to(room.id).emit('ready:check', { check });
+    updateCheck(room);
+    return null;
+  }
+
+  function notReady(room, check) {
+    return Object.values(room.users).filter(u => u.connected !== false && check.responses[u.id] !== true).map(u => u.id);
+  }
+
+  // finish the running check once every connected user is ready
+  function updateCheck(room) {
+    const check = room.readyCheck;
+    if (check && !notReady(room, check).length) finishCheck(room, check.id, 'ready');
+  }
+
+  const CHECK_OUTCOMES = {
+    ready: () => 'Everyone is ready',
+    timeout: missing => `Ready check timed out, not ready: ${missing}`,
+    cancelled: () => 'Ready check cancelled',
+  };
+
+  function finishCheck(room, checkId, outcome) {
+    const check = room.clearReadyCheck(checkId);
+    clearTimeout(checkTimers.get(checkId));
+    checkTimers.delete(checkId);
+    if (!check) return;
+    const missing = notReady(room, check);
+    const log = room.addLog({ type: `ready_check_${outcome}`, text: CHECK_OUTCOMES[outcome](names(room, missing)), userId: check.byId });
+    io.to(room.id).emit('ready:done', { checkId, outcome, notReady: missing, log });
+    if (outcome === 'ready' && room.video && !room.playbackState.playing) {
+      const state = room.setPlayback({ playing: true, time: room.currentTime() });
+      io.to(room.id).emit('host:play', { time: state.time, updatedAt: state.updatedAt });
+    }
+  }
+
+  return { report, update, forget, skipWaiting, startCheck, respond, finishCheck };
+}
+
+module.exports = { createReadiness };
@@ -0,0 +1,191 @@
+/**
+ * Media from other servers, added by URL (video:add_url, POST /upload/url).
+ *
+ * probe(url) checks a direct MP4/WebM/HLS link with a HEAD request (a
+ * one-byte ranged GET where HEAD is refused), following redirects. Proxied
+ * videos are played through /media/<token> (controllers/mediaProxyController)
+ * where the token is the signed source URL, so links survive restarts and
+ * work on every instance. download() copies a file into the upload dir
+ * instead.
+ *
+ * Requests only go to public addresses unless allowPrivate is set. The
+ * check runs when connecting, so it also covers redirects and DNS changes.
+ * Errors carry a `code`: invalid_url, blocked_address, unreachable,
+ * upstream_status, unsupported_type, file_too_large, timeout.
+ */
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const { createToken, readToken } = require('./roomAccess');
+
+const MAX_REDIRECTS = 5;
+const FILE_TYPES = ['video/mp4', 'video/webm', 'video/quicktime', 'video/x-m4v'];
+const HLS_TYPES = ['application/vnd.apple.mpegurl', 'application/x-mpegurl', 'audio/mpegurl', 'audio/x-mpegurl'];
+const EXTENSIONS = { '.mp4': 'file', '.m4v': 'file', '.webm': 'file', '.mov': 'file', '.m3u8': 'hls' };
+
+const ERROR_CODES = ['invalid_url', 'blocked_address', 'unreachable', 'upstream_status', 'unsupported_type', 'file_too_large', 'timeout'];
+
+function fail(code, message) {
+  return Object.assign(new Error(message || code), { code });
+}
+
+// network errors (ECONNREFUSED...) all mean unreachable
+function asMediaError(err) {
+  return ERROR_CODES.includes(err.code) ? err : fail('unreachable', err.message);
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    // IPv4-mapped, either dotted or as URL() writes it (::ffff:7f00:1)
+    const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lower);
+    if (hex) return isPrivateAddress([hex[1], hex[2]].map(h => [parseInt(h, 16) >> 8, parseInt(h, 16) & 255].join('.')).join('.'));
+    if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) || a >= 224;
+}
+
+// media type of a response: 'file', 'hls' or null
+function classify(url, contentType = '') {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  if (HLS_TYPES.includes(type)) return 'hls';
+  if (FILE_TYPES.includes(type)) return 'file';
+  // plenty of servers send files as octet-stream; trust the extension then
+  if (!type || type === 'application/octet-stream' || type === 'binary/octet-stream') {
+    return EXTENSIONS[path.extname(new URL(url).pathname).toLowerCase()] || null;
+  }
+  return null;
+}
+
+function filenameOf(url, disposition = '') {
+  const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition);
+  let name = match ? match[1] : path.basename(new URL(url).pathname);
+  try {
+    name = decodeURIComponent(name);
+  } catch (err) {
+    // not valid percent-encoding; keep it as it is
+  }
+  return path.basename(name || 'video').slice(0, 255);
+}
+
+class RemoteMedia {
+  constructor({ secret, allowPrivate = false, timeoutMs = 10000 } = {}) {
+    this.secret = secret;
+    this.allowPrivate = allowPrivate;
+    this.timeoutMs = timeoutMs;
+  }
+
+  // proxy token for a source URL, and back (null if not ours)
+  token(url) {
+    return createToken(this.secret, { m: url });
+  }
+
+  source(token) {
+    const claims = readToken(this.secret, token);
+    return claims && typeof claims.m === 'string' ? claims.m : null;
+  }
+
+  lookup() {
+    return (hostname, options, cb) => dns.lookup(hostname, options, (err, address, family) => {
+      if (err) return cb(err);
+      const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+      if (!this.allowPrivate && addresses.some(isPrivateAddress)) return cb(fail('blocked_address'));
+      cb(null, address, family);
+    });
+  }
+
+  /**
+   * GET/HEAD `url`, following redirects. Resolves to the response (its body
+   * not read yet) with res.url set to the final URL.
+   */
+  request(url, { method = 'GET', headers = {}, redirects = MAX_REDIRECTS } = {}) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (err) {
+      return Promise.reject(fail('invalid_url'));
+    }
+    if (!['http:', 'https:'].includes(target.protocol)) return Promise.reject(fail('invalid_url'));
+    // IP literals never go through lookup()
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (!this.allowPrivate && net.isIP(host) && isPrivateAddress(host)) return Promise.reject(fail('blocked_address'));
+
+    return new Promise((resolve, reject) => {
+      const client = target.protocol === 'https:' ? https : http;
+      const req = client.request(target, { method, headers, lookup: this.lookup() }, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          if (!redirects) return reject(fail('unreachable', 'too many redirects'));
+          const next = new URL(res.headers.location, target).href;
+          return this.request(next, { method, headers, redirects: redirects - 1 }).then(resolve, reject);
+        }
+        res.url = target.href;
+        resolve(res);
+      });
+      req.setTimeout(this.timeoutMs, () => req.destroy(fail('timeout')));
+      req.on('error', err => reject(asMediaError(err)));
+      req.end();
+    });
+  }
+
+  /**
+   * Check that `url` is playable media. Resolves to
+   * { url (after redirects), kind: 'file' | 'hls', contentType, size, acceptRanges, filename }.
+   */
+  async probe(url) {
+    let res = await this.request(url, { method: 'HEAD' });
+    if (res.statusCode === 405 || res.statusCode === 501) {
+      res = await this.request(url, { headers: { Range: 'bytes=0-0' } });
+      res.destroy();
+    } else {
+      res.resume();
+    }
+    if (res.statusCode >= 400) throw fail('upstream_status', `upstream answered ${res.statusCode}`);
+
+    const contentType = res.headers['content-type'] || '';
+    const kind = classify(res.url, contentType);
+    if (!kind) throw fail('unsupported_type', contentType || 'no content type');
+    const range = /\/(\d+)$/.exec(res.headers['content-range'] || '');
+    const size = range ? Number(range[1]) : (res.statusCode === 200 && Number(res.headers['content-length'])) || null;
+    return {
+      url: res.url,
+      kind,
+      contentType,
+      size,
+      acceptRanges: res.headers['accept-ranges'] === 'bytes' || res.statusCode === 206,
+      filename: filenameOf(res.url, res.headers['content-disposition']),
+    };
+  }
+
+  /**
+   * Copy `url` to `file`, giving up past maxSize bytes. onProgress(bytes)
+   * is called as data comes in. Resolves to the size written.
+   */
+  async download(url, file, { maxSize, onProgress } = {}) {
+    const res = await this.request(url);
+    if (res.statusCode !== 200) {
+      res.resume();
+      throw fail('upstream_status', `upstream answered ${res.statusCode}`);
+    }
+    let received = 0;
+    res.on('data', (chunk) => {
+      received += chunk.length;
+      if (maxSize && received > maxSize) res.destroy(fail('file_too_large'));
+      else if (onProgress) onProgress(received);
+    });
+    await new Promise((resolve, reject) => {
+      pipeline(res, fs.createWriteStream(file), err => (err ? reject(asMediaError(err)) : resolve()));
+    });
+    return received;
+  }
+}
+
+module.exports = { RemoteMedia, classify, isPrivateAddress };
@@ -0,0 +1,97 @@
+/**
+ * Room access: passwords and signed tokens (invites and sessions).
+ *
+ * A room is 'open' (anyone with the id may join), 'password' (password or a
+ * valid invite) or 'invite' (valid invite only). Passwords are stored as a
+ * salted scrypt hash in room.access.
+ *
+ * Invites are stateless: base64url(JSON { r: roomId, exp: ms }) + '.' +
+ * base64url(HMAC-SHA256). Session tokens use the same format with
+ * { r: roomId, u: userId } and let a client come back as the same user
+ * (lib/remoteMedia signs proxied media URLs the same way).
+ * Every instance must share the same secret (INVITE_SECRET) for tokens to
+ * work across a cluster and restarts.
+ */
+
+const crypto = require('crypto');
+
+const MODES = ['open', 'password', 'invite'];
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 32).toString('hex');
+  return { salt, hash };
+}
+
+function checkPassword(password, { salt, hash } = {}) {
+  if (!salt || !hash || typeof password !== 'string') return false;
+  const actual = crypto.scryptSync(password, salt, 32);
+  return crypto.timingSafeEqual(actual, Buffer.from(hash, 'hex'));
+}
+
+function sign(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function createToken(secret, claims) {
+  const data = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${data}.${sign(secret, data)}`;
+}
+
+// claims of a correctly signed token, or null
+function readToken(secret, token) {
+  const [data, signature] = String(token).split('.');
+  if (!data || !signature) return null;
+  const expected = Buffer.from(sign(secret, data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// returns { token, expiresAt }
+function createInvite(secret, roomId, ttlMs) {
+  const expiresAt = Date.now() + ttlMs;
+  return { token: createToken(secret, { r: roomId, exp: expiresAt }), expiresAt };
+}
+
+// returns null if `token` is a valid invite to `roomId`, else an error code
+function verifyInvite(secret, token, roomId) {
+  const claims = readToken(secret, token);
+  if (!claims || claims.r !== roomId || claims.u) return 'invite_invalid';
+  if (!(claims.exp > Date.now())) return 'invite_expired';
+  return null;
+}
+
+function createSession(secret, roomId, userId) {
+  return createToken(secret, { r: roomId, u: userId });
+}
+
+// the user id a session token stands for in `roomId`, or null
+function verifySession(secret, token, roomId) {
+  const claims = token && readToken(secret, token);
+  return claims && claims.r === roomId && typeof claims.u === 'string' ? claims.u : null;
+}
+
+/**
+ * May someone join `room` with the given password / invite? Returns null
+ * or an error code: password_required, wrong_password, invite_required,
+ * invite_invalid, invite_expired.
+ */
+function checkAccess(secret, room, { password, invite } = {}) {
+  const { mode } = room.access;
+  if (mode === 'open') return null;
+  if (invite) {
+    const inviteError = verifyInvite(secret, invite, room.id);
+    if (!inviteError) return null;
+    if (mode === 'invite' || !password) return inviteError;
+  }
+  if (mode === 'invite') return 'invite_required';
+  if (!password) return 'password_required';
+  return checkPassword(password, room.access.password) ? null : 'wrong_password';
+}
+
+module.exports = { MODES, hashPassword, checkPassword, createToken, readToken, createInvite, verifyInvite, createSession, verifySession, checkAccess };
@@ -1,30 +1,255 @@
 /**
- * Simple in-memory Room manager.
- * Replaceable with Redis/DB for production (to support multiple Node instances).
+ * Room manager.
+ * Rooms live in memory for fast access; every change is written through to a
+ * pluggable store (see lib/stores) so rooms can be reloaded after a restart.
+ *
+ * Every mutation is expressed as an op (see Room#apply). With a cluster bus
+ * (see lib/cluster) ops are replicated to the other server instances so each
+ * keeps an identical copy of the room. Host and owner claims are not applied
+ * locally: they are ordered through the bus and every node evaluates them in
+ * the same order, so two nodes can never hand the host to different users.
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { MemoryStore } = require('./stores/memoryStore');
+const { DEFAULT_PERMISSIONS } = require('./permissions');
+
+const CLAIMABLE = ['hostId', 'ownerId'];
+const MAX_MESSAGES = 1000; // chat history kept per room
+const MAX_ANNOTATIONS = 500; // reactions/comments kept per video
+
+/**
+ * Position `t` with an A-B `loop` ({ start, end } seconds) applied, for
+ * playback that was at `from` when it last changed. Playback that was
+ * already past the loop's end is not looped.
+ */
+function loopPosition(t, from, loop) {
+  if (!loop || from >= loop.end || t < loop.end) return t;
+  return loop.start + ((t - loop.start) % (loop.end - loop.start));
+}
 
 class Room {
   constructor(id) {
     this.id = id;
-    this.users = {}; // userId -> { id, name, socketId }
+    this.users = {}; // userId -> { id, name, socketId, connected }
     this.hostId = null;
-    this.video = null; // { filename, url, uploadedAt, ... }
+    this.hostRequest = null; // pending { id, fromId, toId, expiresAt } handoff request
+    this.readyCheck = null; // running { id, byId, expiresAt, responses: { userId: bool } } (see lib/readiness)
+    this.sync = { mode: 'free', maxWaitMs: 30000 }; // 'wait': pause while anyone buffers, at most maxWaitMs
+    this.screenShare = null; // { userId, startedAt } while someone shares their screen (see lib/calls)
+    this.polls = {}; // open polls: pollId -> { id, question, options, votes: { userId: option }, byId, expiresAt, action } (see lib/polls)
+    this.voteThreshold = 0.5; // share of connected users whose yes passes a vote to skip/pause
+    this.ownerId = null; // creator; see lib/permissions for roles
+    this.roles = {}; // userId -> 'moderator' (everyone else is a guest)
+    this.muted = {}; // userId -> true
+    this.bans = []; // { userId, name, ip, by, at }
+    this.permissions = { ...DEFAULT_PERMISSIONS };
+    this.access = { mode: 'open', password: null }; // see lib/roomAccess; password is { salt, hash }
+    this.topic = ''; // set with /topic
+    this.video = null; // { filename, url, uploadedAt, entryId, ... }
+    this.queue = []; // upcoming { id, video, addedById, addedBy, addedAt }; addedBy is the adder's name at the time
     this.logs = []; // { type, text, time }
-    this.playbackState = { playing: false, time: 0 }; // seconds
+    this.annotations = {}; // savedName -> [{ id, userId, username, kind, emoji?, text?, time, createdAt }]
+    this.messages = []; // chat: { id, userId, username, text, emote?, time, editedAt?, deleted? }
+    // time in seconds, updatedAt in server ms, rate the playback speed, loop an A-B { start, end } section;
+    // waitingFor lists who the room is paused for (wait mode)
+    this.playbackState = { playing: false, time: 0, updatedAt: Date.now(), rate: 1, loop: null, waitingFor: null };
+    this.onChange = null; // set by Rooms to persist/replicate ops
   }
 
-  addUser({ socketId, username }) {
-    const id = uuidv4();
-    const name = username || `Guest-${Math.floor(100 + Math.random() * 900)}`;
-    const user = { id, name, socketId, joinedAt: new Date().toISOString() };
-    this.users[id] = user;
+  // apply an op locally and hand it to the owner for persistence/replication
+  commit(op, payload) {
+    const result = this.apply(op, payload);
+    if (this.onChange) this.onChange(this, op, payload);
+    return result;
+  }
+
+  /**
+   * Apply a state op. Used for local mutations (through commit) and for ops
+   * replicated from other nodes, so it must not have side effects and should
+   * be idempotent where possible.
+   */
+  apply(op, payload) {
+    switch (op) {
+      case 'create':
+        return true;
+      case 'addUser':
+        this.users[payload.id] = payload;
+        return true;
+      case 'presence':
+        // connected: false while a dropped user is within the reconnect grace period
+        if (!this.users[payload.userId]) return false;
+        this.users[payload.userId].connected = payload.connected;
+        this.users[payload.userId].disconnectedAt = payload.connected ? null : payload.at;
+        return true;
+      case 'player':
+        // what a user's player reports: { state: loading | buffering | ready, time, entryId, at }
+        if (!this.users[payload.userId]) return false;
+        this.users[payload.userId].player = { state: payload.state, time: payload.time, entryId: payload.entryId, at: payload.at };
+        return true;
+      case 'localFile':
+        // fingerprint of the file a user opened for a local-file entry
+        if (!this.users[payload.userId]) return false;
+        this.users[payload.userId].localFile = { entryId: payload.entryId, fingerprint: payload.fingerprint };
+        return true;
+      case 'call':
+        // whether a user is in the webcam/mic call: { audio, video } or null
+        if (!this.users[payload.userId]) return false;
+        this.users[payload.userId].call = payload.call;
+        return true;
+      case 'screenShare':
+        this.screenShare = payload.screenShare;
+        return true;
+      case 'removeUser':
+        delete this.users[payload.userId];
+        return true;
+      case 'rename':
+        if (this.users[payload.userId]) this.users[payload.userId].name = payload.name;
+        return true;
+      case 'claim':
+        // compare-and-set on hostId/ownerId: only succeeds if it is still what the claimer saw
+        if (!CLAIMABLE.includes(payload.field)) return false;
+        if ((this[payload.field] || null) !== (payload.expected || null)) return false;
+        this[payload.field] = payload.userId || null;
+        return true;
+      case 'hostRequest':
+        // { clear: id } only clears the request it was meant for
+        if (payload.clear) {
+          if (!this.hostRequest || this.hostRequest.id !== payload.clear) return false;
+          this.hostRequest = null;
+          return true;
+        }
+        this.hostRequest = payload;
+        return true;
+      case 'readyCheck':
+        // { clear: id } only clears the check it was meant for
+        if (payload.clear) {
+          if (!this.readyCheck || this.readyCheck.id !== payload.clear) return false;
+          this.readyCheck = null;
+          return true;
+        }
+        this.readyCheck = payload;
+        return true;
+      case 'sync':
+        this.sync = payload;
+        return true;
+      case 'poll':
+        // { close: id } removes the poll, if it is still open
+        if (payload.close) {
+          if (!this.polls[payload.close]) return false;
+          delete this.polls[payload.close];
+          return true;
+        }
+        this.polls[payload.id] = payload;
+        return true;
+      case 'pollVote': {
+        const poll = this.polls[payload.pollId];
+        if (!poll) return false;
+        if (payload.option === null) delete poll.votes[payload.userId];
+        else poll.votes[payload.userId] = payload.option;
+        return true;
+      }
+      case 'voteThreshold':
+        this.voteThreshold = payload.threshold;
+        return true;
+      case 'role':
+        if (payload.role === 'moderator') this.roles[payload.userId] = 'moderator';
+        else delete this.roles[payload.userId];
+        return true;
+      case 'mute':
+        if (payload.muted) this.muted[payload.userId] = true;
+        else delete this.muted[payload.userId];
+        return true;
+      case 'ban':
+        if (this.bans.some(b => b.userId === payload.userId)) return false;
+        this.bans.push(payload);
+        return true;
+      case 'unban':
+        this.bans = this.bans.filter(b => b.userId !== payload.userId);
+        return true;
+      case 'permissions':
+        this.permissions = payload;
+        return true;
+      case 'access':
+        this.access = payload;
+        return true;
+      case 'topic':
+        this.topic = payload.topic;
+        return true;
+      case 'video':
+        this.video = payload;
+        return true;
+      case 'queue':
+        this.queue = payload;
+        return true;
+      case 'playback':
+        // last writer wins; replicated states may arrive out of order
+        if (payload.updatedAt < this.playbackState.updatedAt) return false;
+        this.playbackState = payload;
+        return true;
+      case 'message':
+        if (this.messages.some(m => m.id === payload.id)) return false;
+        this.messages.push(payload);
+        if (this.messages.length > MAX_MESSAGES) this.messages.shift();
+        return true;
+      case 'messageEdit': {
+        // edits and deletes replace the stored message; deleted ones stay as tombstones
+        const message = this.getMessage(payload.id);
+        if (!message || message.deleted) return false;
+        Object.assign(message, payload);
+        return true;
+      }
+      case 'annotation': {
+        const list = this.annotations[payload.savedName] || (this.annotations[payload.savedName] = []);
+        if (list.some(a => a.id === payload.annotation.id)) return false;
+        list.push(payload.annotation);
+        if (list.length > MAX_ANNOTATIONS) list.shift();
+        return true;
+      }
+      case 'annotationRemove': {
+        const list = this.annotations[payload.savedName];
+        if (!list || !list.some(a => a.id === payload.id)) return false;
+        this.annotations[payload.savedName] = list.filter(a => a.id !== payload.id);
+        return true;
+      }
+      case 'log':
+        if (this.logs.some(l => l.id === payload.id)) return false;
+        this.logs.push(payload);
+        // keep logs reasonably bounded
+        if (this.logs.length > 500) this.logs.shift();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Add a user, or re-attach a known `id` (from a session token) to a new
+   * socket. A returning user keeps their name while their record exists;
+   * roles are keyed by id, so they survive either way.
+   */
+  addUser({ socketId, node, username, ip, id }) {
+    const existing = id && this.users[id];
+    const name = existing?.name || username || `Guest-${Math.floor(100 + Math.random() * 900)}`;
+    const user = {
+      id: id || uuidv4(),
+      name,
+      socketId,
+      node: node || null, // server instance holding the socket (see Rooms#orphanedUsers)
+      ip: ip || null,
+      connected: true,
+      joinedAt: existing?.joinedAt || new Date().toISOString(),
+    };
+    this.commit('addUser', user);
     return user;
   }
 
+  setConnected(userId, connected) {
+    this.commit('presence', { userId, connected, at: Date.now() });
+  }
+
   removeUser(userId) {
-    delete this.users[userId];
+    this.commit('removeUser', { userId });
   }
 
   getUser(userId) {
@@ -35,23 +260,301 @@ class Room {
     return Object.values(this.users).find(u => u.socketId === socketId);
   }
 
+  // any connected user (someone reconnecting can't take over as host)
   anyUser() {
-    const arr = Object.values(this.users);
-    return arr.length ? arr[0] : null;
+    return Object.values(this.users).find(u => u.connected !== false) || null;
+  }
+
+  // what other participants may see about a user (no socket id or IP)
+  publicUser(user) {
+    return {
+      id: user.id,
+      name: user.name,
+      role: this.roleOf(user.id),
+      muted: !!this.muted[user.id],
+      status: user.connected === false ? 'reconnecting' : 'online',
+      player: user.player ? user.player.state : null, // loading | buffering | ready
+      localFile: this.localFileStatus(user), // match | mismatch | missing, for local-file videos
+      call: user.call || null, // { audio, video } while in the call
+    };
   }
 
   userList() {
-    return Object.values(this.users).map(u => ({ id: u.id, name: u.name }));
+    return Object.values(this.users).map(u => this.publicUser(u));
+  }
+
+  roleOf(userId) {
+    if (userId && userId === this.ownerId) return 'owner';
+    return this.roles[userId] || 'guest';
+  }
+
+  setRole(userId, role) {
+    this.commit('role', { userId, role });
+  }
+
+  setMuted(userId, muted) {
+    this.commit('mute', { userId, muted: !!muted });
+  }
+
+  ban(user, by) {
+    this.commit('ban', { userId: user.id, name: user.name, ip: user.ip || null, by, at: new Date().toISOString() });
+  }
+
+  isBanned({ ip, userId }) {
+    return this.bans.some(b => (ip && b.ip === ip) || (userId && b.userId === userId));
+  }
+
+  setPermissions(permissions) {
+    this.commit('permissions', permissions);
+  }
+
+  // the pending host request, unless it has expired
+  pendingHostRequest(now = Date.now()) {
+    const request = this.hostRequest;
+    return request && request.expiresAt > now ? request : null;
+  }
+
+  requestHost(fromId, toId, ttlMs) {
+    const request = { id: uuidv4(), fromId, toId, expiresAt: Date.now() + ttlMs };
+    this.commit('hostRequest', request);
+    return request;
+  }
+
+  // clear the request with `requestId`; returns it, or null if it was no longer pending
+  clearHostRequest(requestId) {
+    const request = this.hostRequest;
+    if (!request || request.id !== requestId) return null;
+    this.commit('hostRequest', { clear: requestId });
+    return request;
+  }
+
+  // reported by the user's player for the current entry; see lib/readiness
+  setPlayerStatus(userId, { state, time, entryId }) {
+    this.commit('player', { userId, state, time, entryId: entryId || null, at: Date.now() });
+  }
+
+  setLocalFile(userId, { entryId, fingerprint }) {
+    this.commit('localFile', { userId, entryId, fingerprint });
+  }
+
+  // whether the file a user opened matches the current local-file video; null for other videos
+  localFileStatus(user) {
+    if (!this.video || !this.video.local) return null;
+    const file = user.localFile;
+    if (!file || file.entryId !== this.video.entryId) return 'missing';
+    return file.fingerprint === this.video.fingerprint ? 'match' : 'mismatch';
+  }
+
+  // connected users whose player is buffering the current video
+  bufferingUsers() {
+    const entryId = this.video ? this.video.entryId || null : null;
+    return Object.values(this.users).filter(u => u.connected !== false && u.player
+      && u.player.state !== 'ready' && u.player.entryId === entryId);
+  }
+
+  setCall(userId, call) {
+    this.commit('call', { userId, call });
+  }
+
+  // connected users in the webcam/mic call
+  callMembers() {
+    return Object.values(this.users).filter(u => u.connected !== false && u.call);
+  }
+
+  setScreenShare(screenShare) {
+    this.commit('screenShare', { screenShare });
+  }
+
+  setSync(sync) {
+    this.commit('sync', sync);
+  }
+
+  openPoll(fields) {
+    const poll = { id: uuidv4(), ...fields };
+    this.commit('poll', poll);
+    return poll;
+  }
+
+  // `option` null takes the vote back
+  votePoll(pollId, userId, option) {
+    this.commit('pollVote', { pollId, userId, option });
+    return this.polls[pollId];
+  }
+
+  // close the poll; returns it, or null if it was no longer open
+  closePoll(pollId) {
+    const poll = this.polls[pollId];
+    if (!poll) return null;
+    this.commit('poll', { close: pollId });
+    return poll;
+  }
+
+  openPolls() {
+    return Object.values(this.polls);
+  }
+
+  setVoteThreshold(threshold) {
+    this.commit('voteThreshold', { threshold });
+  }
+
+  startReadyCheck(byId, ttlMs) {
+    const check = { id: uuidv4(), byId, expiresAt: Date.now() + ttlMs, responses: {} };
+    this.commit('readyCheck', check);
+    return check;
+  }
+
+  respondReadyCheck(userId, ready) {
+    this.commit('readyCheck', { ...this.readyCheck, responses: { ...this.readyCheck.responses, [userId]: ready } });
+    return this.readyCheck;
+  }
+
+  // clear the check with `checkId`; returns it, or null if it was no longer running
+  clearReadyCheck(checkId) {
+    const check = this.readyCheck;
+    if (!check || check.id !== checkId) return null;
+    this.commit('readyCheck', { clear: checkId });
+    return check;
+  }
+
+  setAccess(access) {
+    this.commit('access', access);
+  }
+
+  setTopic(topic) {
+    this.commit('topic', { topic });
+  }
+
+  setVideo(video) {
+    this.commit('video', video);
+  }
+
+  enqueue(video, addedById, addedBy) {
+    const entry = { id: uuidv4(), video, addedById, addedBy, addedAt: new Date().toISOString() };
+    this.commit('queue', [...this.queue, entry]);
+    return entry;
   }
 
-  setHost(userId) {
-    this.hostId = userId;
+  getQueueEntry(entryId) {
+    return this.queue.find(e => e.id === entryId);
+  }
+
+  removeFromQueue(entryId) {
+    const entry = this.getQueueEntry(entryId);
+    if (entry) this.commit('queue', this.queue.filter(e => e.id !== entryId));
+    return entry;
+  }
+
+  // move an entry to `index` (clamped); returns the entry or undefined
+  moveInQueue(entryId, index) {
+    const entry = this.getQueueEntry(entryId);
+    if (!entry) return entry;
+    const rest = this.queue.filter(e => e.id !== entryId);
+    const to = Math.max(0, Math.min(rest.length, index));
+    rest.splice(to, 0, entry);
+    this.commit('queue', rest);
+    return entry;
+  }
+
+  /**
+   * Make the next queued entry (or the given one) the current video and
+   * rewind. Returns the entry, or null when there is nothing to play.
+   */
+  advance({ entryId, playing = false } = {}) {
+    const entry = entryId ? this.getQueueEntry(entryId) : this.queue[0];
+    if (!entry) return null;
+    this.commit('queue', this.queue.filter(e => e.id !== entry.id));
+    this.setVideo({ ...entry.video, entryId: entry.id });
+    this.setPlayback({ playing, time: 0, loop: null });
+    return entry;
+  }
+
+  /**
+   * Apply a playback change and stamp it with the server clock.
+   * Clients extrapolate the live position from { time, updatedAt }.
+   */
+  setPlayback(patch) {
+    // any change that does not say otherwise ends waiting for buffering users
+    this.commit('playback', { ...this.playbackState, waitingFor: null, ...patch, updatedAt: Date.now() });
+    return this.playbackState;
+  }
+
+  // expected playback position (seconds) at server time `now`, at the room's speed and within its loop
+  currentTime(now = Date.now()) {
+    const { playing, time, updatedAt, rate = 1, loop } = this.playbackState;
+    if (!playing) return time;
+    return loopPosition(time + (Math.max(0, now - updatedAt) / 1000) * rate, time, loop);
+  }
+
+  // playback state re-based to the current server time, for late joiners
+  playbackSnapshot() {
+    const now = Date.now();
+    return { ...this.playbackState, time: this.currentTime(now), updatedAt: now };
   }
 
   changeUsername(userId, newName) {
-    if (this.users[userId]) this.users[userId].name = newName;
+    this.commit('rename', { userId, name: newName });
+  }
+
+  addMessage({ userId, username, text, emote }) {
+    const message = { id: uuidv4(), userId, username, text, time: new Date().toISOString() };
+    if (emote) message.emote = true;
+    this.commit('message', message);
+    return message;
+  }
+
+  getMessage(id) {
+    return this.messages.find(m => m.id === id);
+  }
+
+  editMessage(id, text) {
+    this.commit('messageEdit', { id, text, editedAt: new Date().toISOString() });
+    return this.getMessage(id);
   }
 
+  deleteMessage(id, deletedBy) {
+    this.commit('messageEdit', { id, text: '', deleted: true, deletedBy, editedAt: new Date().toISOString() });
+    return this.getMessage(id);
+  }
+
+  /**
+   * A page of chat history, oldest first: the `limit` messages before the
+   * message `before` (or the latest ones). hasMore tells if older ones exist.
+   */
+  messagePage({ before, limit = 50 } = {}) {
+    let end = this.messages.length;
+    if (before) {
+      const index = this.messages.findIndex(m => m.id === before);
+      if (index === -1) return { messages: [], hasMore: false }; // fell off the end of the history
+      end = index;
+    }
+    const start = Math.max(0, end - limit);
+    return { messages: this.messages.slice(start, end), hasMore: start > 0 };
+  }
+
+  /**
+   * Pin a reaction ({ emoji }) or comment ({ text }) to `time` seconds into
+   * the video `savedName`. Annotations belong to the video, not the queue
+   * entry, so they show again whenever it is played.
+   */
+  annotate(savedName, { userId, username, kind, emoji, text, time }) {
+    const annotation = { id: uuidv4(), userId, username, kind, time, createdAt: new Date().toISOString() };
+    if (kind === 'reaction') annotation.emoji = emoji;
+    else annotation.text = text;
+    this.commit('annotation', { savedName, annotation });
+    return annotation;
+  }
+
+  annotationsFor(video) {
+    return (video && this.annotations[video.savedName]) || [];
+  }
+
+  removeAnnotation(savedName, id) {
+    const annotation = (this.annotations[savedName] || []).find(a => a.id === id);
+    if (annotation) this.commit('annotationRemove', { savedName, id });
+    return annotation;
+  }
+
+  // userId: who did it, targetId: who it was done to (both optional, for the activity log)
   addLog(entry) {
     const log = {
       id: uuidv4(),
@@ -59,31 +562,252 @@ class Room {
       text: entry.text,
       time: new Date().toISOString(),
     };
-    this.logs.push(log);
-    // keep logs reasonably bounded
-    if (this.logs.length > 500) this.logs.shift();
+    if (entry.userId) log.userId = entry.userId;
+    if (entry.targetId) log.targetId = entry.targetId;
+    this.commit('log', log);
     return log;
   }
+
+  /**
+   * Serializable snapshot for the store. Connected users and the host are
+   * not persisted: their sockets do not survive a restart.
+   */
+  toJSON(logLimit = 100) {
+    return {
+      id: this.id,
+      video: this.video,
+      queue: this.queue,
+      playbackState: this.playbackSnapshot(),
+      logs: this.logs.slice(-logLimit),
+      ownerId: this.ownerId,
+      roles: this.roles,
+      muted: this.muted,
+      bans: this.bans,
+      permissions: this.permissions,
+      access: this.access,
+      topic: this.topic,
+      sync: this.sync,
+      voteThreshold: this.voteThreshold,
+      messages: this.messages,
+      annotations: this.annotations,
+    };
+  }
+
+  // full live state, handed to a node joining the cluster
+  snapshot() {
+    return { ...this.toJSON(500), users: this.users, hostId: this.hostId, hostRequest: this.hostRequest, readyCheck: this.readyCheck, screenShare: this.screenShare, polls: this.polls };
+  }
+
+  static fromJSON(data) {
+    const room = new Room(data.id);
+    room.video = data.video || null;
+    room.queue = data.queue || [];
+    room.logs = data.logs || [];
+    room.ownerId = data.ownerId || null;
+    room.roles = data.roles || {};
+    room.muted = data.muted || {};
+    room.bans = data.bans || [];
+    room.permissions = { ...DEFAULT_PERMISSIONS, ...data.permissions };
+    room.access = data.access || room.access;
+    room.topic = data.topic || '';
+    room.sync = data.sync || room.sync;
+    room.voteThreshold = data.voteThreshold || room.voteThreshold;
+    room.messages = data.messages || [];
+    room.annotations = data.annotations || {};
+    if (data.users) {
+      // live snapshot from a peer: people are still watching
+      room.users = data.users;
+      room.hostId = data.hostId || null;
+      room.hostRequest = data.hostRequest || null;
+      room.readyCheck = data.readyCheck || null;
+      room.screenShare = data.screenShare || null;
+      room.polls = data.polls || {};
+      room.playbackState = { ...room.playbackState, ...data.playbackState };
+    } else {
+      // nobody is watching after a restart, so resume paused at the last known position
+      room.playbackState = { ...room.playbackState, ...data.playbackState, playing: false, waitingFor: null, updatedAt: Date.now() };
+    }
+    return room;
+  }
 }
 
+const ROOMS_CHANNEL = 'w2g:rooms';
+const CLAIM_TIMEOUT_MS = 5000;
+// ops that only touch live state (left out of toJSON), so there is nothing to save
+const LIVE_OPS = ['addUser', 'presence', 'player', 'localFile', 'call', 'screenShare', 'removeUser', 'rename', 'hostRequest', 'readyCheck', 'poll', 'pollVote'];
+
 class Rooms {
-  constructor() {
+  constructor({ store = new MemoryStore(), logLimit = 100, logger = null, persistDelayMs = 250 } = {}) {
     this.map = new Map(); // roomId -> Room
+    this.store = store;
+    this.logLimit = logLimit; // logs kept per room in the store
+    this.persistDelayMs = persistDelayMs; // changes to a room within this window are saved together
+    this.dirty = new Set(); // roomIds with changes not handed to the store yet
+    this.persistTimer = null;
+    this.logger = logger; // durable activity log (lib/logger); gets every log entry, local or replicated
+    this.bus = null; // cluster bus; stays null when running a single instance
+    this.nodeId = uuidv4();
+    this.pendingClaims = new Map(); // claimId -> resolve
   }
 
-  create(id) {
-    const room = new Room(id || uuidv4());
+  // reload persisted rooms; call once on boot before accepting connections
+  async restore() {
+    const saved = await this.store.load();
+    saved.forEach((data) => this.track(Room.fromJSON(data)));
+    return saved.length;
+  }
+
+  /**
+   * Join a cluster: subscribe to replicated ops and fetch the live state of
+   * every room from a peer. Ops arriving before the snapshot are buffered and
+   * replayed on top of it (ops are idempotent, so overlap is harmless).
+   * Resolves to the number of live rooms received.
+   */
+  async joinCluster(bus, { syncTimeoutMs = 1000 } = {}) {
+    this.bus = bus;
+    let buffered = [];
+    await this.bus.subscribe(ROOMS_CHANNEL, (msg) => {
+      if (buffered) buffered.push(msg);
+      else this.onClusterMessage(msg);
+    });
+
+    let answer;
+    const synced = new Promise((resolve) => {
+      answer = resolve;
+      setTimeout(() => resolve(null), syncTimeoutMs);
+    });
+    await this.bus.subscribe(`${ROOMS_CHANNEL}#${this.nodeId}`, (msg) => answer(msg.rooms));
+    await this.bus.publish(ROOMS_CHANNEL, { node: this.nodeId, op: 'sync' });
+
+    const live = await synced;
+    if (live) live.forEach((data) => this.track(Room.fromJSON(data)));
+    const pending = buffered;
+    buffered = null;
+    pending.forEach((msg) => this.onClusterMessage(msg));
+    return live ? live.length : 0;
+  }
+
+  onClusterMessage({ node, roomId, op, payload }) {
+    if (op === 'sync') {
+      if (node === this.nodeId) return;
+      const rooms = Array.from(this.map.values()).map(r => r.snapshot());
+      this.publish(`${ROOMS_CHANNEL}#${node}`, { rooms });
+      return;
+    }
+
+    const room = this.map.get(roomId) || this.track(new Room(roomId));
+    if (op === 'claim') {
+      // claims are only ever applied here, in bus order, on every node (including the sender)
+      const won = room.apply(op, payload);
+      // the sender saves it, like the ops it commits
+      if (won && node === this.nodeId) this.persist(room);
+      const resolve = this.pendingClaims.get(payload.claimId);
+      if (resolve) {
+        this.pendingClaims.delete(payload.claimId);
+        resolve(won);
+      }
+      return;
+    }
+
+    // our own ops were applied when they were committed
+    if (node === this.nodeId) return;
+    if (room.apply(op, payload) && op === 'log' && this.logger) this.logger.push(roomId, payload);
+  }
+
+  publish(channel, message) {
+    Promise.resolve(this.bus.publish(channel, message))
+      .catch(err => console.error('cluster bus: publish failed', channel, err));
+  }
+
+  track(room) {
+    room.onChange = (r, op, payload) => {
+      if (!LIVE_OPS.includes(op)) this.persist(r);
+      if (op === 'log' && this.logger) this.logger.push(r.id, payload);
+      if (this.bus) this.publish(ROOMS_CHANNEL, { node: this.nodeId, roomId: r.id, op, payload });
+    };
     this.map.set(room.id, room);
     return room;
   }
 
+  // save `room` soon; a burst of ops (seeking, chat) ends up as a single save
+  persist(room) {
+    this.dirty.add(room.id);
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.saveDirty(), this.persistDelayMs);
+  }
+
+  saveDirty() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    const rooms = Array.from(this.dirty, id => this.map.get(id)).filter(Boolean);
+    this.dirty.clear();
+    return Promise.all(rooms.map(room => Promise.resolve(this.store.save(room.toJSON(this.logLimit)))
+      .catch(err => console.error('room store: save failed', room.id, err))));
+  }
+
+  create(id) {
+    const room = this.track(new Room(id || uuidv4()));
+    room.commit('create', {});
+    return room;
+  }
+
+  /**
+   * Set `field` (hostId or ownerId) to `userId` (null to clear it) if it is
+   * still `expected`. Resolves to true when the claim won.
+   */
+  claim(room, field, expected, userId) {
+    const payload = { field, expected: expected || null, userId: userId || null };
+    if (!this.bus) return Promise.resolve(room.commit('claim', payload));
+
+    const claimId = uuidv4();
+    return new Promise((resolve) => {
+      this.pendingClaims.set(claimId, resolve);
+      setTimeout(() => {
+        if (this.pendingClaims.delete(claimId)) resolve(false);
+      }, CLAIM_TIMEOUT_MS);
+      this.publish(ROOMS_CHANNEL, { node: this.nodeId, roomId: room.id, op: 'claim', payload: { ...payload, claimId } });
+    });
+  }
+
+  claimHost(room, expected, userId) {
+    return this.claim(room, 'hostId', expected, userId);
+  }
+
+  claimOwner(room, expected, userId) {
+    return this.claim(room, 'ownerId', expected, userId);
+  }
+
+  /**
+   * Users whose socket was on an instance that is gone: [{ room, user }].
+   * `liveNodes` are the other instances still heard from.
+   */
+  orphanedUsers(liveNodes) {
+    const live = new Set([this.nodeId, ...liveNodes]);
+    return this.all().flatMap(room => Object.values(room.users)
+      .filter(u => u.node && !live.has(u.node))
+      .map(user => ({ room, user })));
+  }
+
   get(id) {
     return this.map.get(id);
   }
 
+  all() {
+    return Array.from(this.map.values());
+  }
+
   delete(id) {
     this.map.delete(id);
+    this.dirty.delete(id);
+    Promise.resolve(this.store.remove(id))
+      .catch(err => console.error('room store: remove failed', id, err));
+  }
+
+  // write out anything pending (used on shutdown)
+  async flush() {
+    await this.saveDirty();
+    return this.store.flush();
   }
 }
 
-module.exports = { Rooms };
+module.exports = { Rooms, Room };
@@ -0,0 +1,99 @@
+/**
+ * Small payload schemas for socket events (see lib/eventSchemas).
+ *
+ * A schema is a function that returns the checked value or throws a
+ * SchemaError naming the bad field. object() only copies the fields it
+ * knows, so handlers never see anything else. Every builder takes
+ * { optional: true } to also accept undefined and null.
+ */
+
+class SchemaError extends Error {
+  constructor(field, reason) {
+    super(`${field || 'payload'}: ${reason}`);
+    this.code = 'invalid_payload';
+    this.field = field || null;
+    this.reason = reason;
+  }
+}
+
+function schema(check, { optional = false } = {}) {
+  return (value, field) => {
+    if (value == null) {
+      if (optional) return value;
+      throw new SchemaError(field, 'required');
+    }
+    const reason = check(value);
+    if (reason) throw new SchemaError(field, reason);
+    return value;
+  };
+}
+
+function string({ min = 0, max = Infinity, ...opts } = {}) {
+  return schema((value) => {
+    if (typeof value !== 'string') return 'expected string';
+    if (value.length < min) return min === 1 ? 'empty' : `shorter than ${min}`;
+    if (value.length > max) return `longer than ${max}`;
+    return null;
+  }, opts);
+}
+
+function number({ min = -Infinity, max = Infinity, integer = false, ...opts } = {}) {
+  return schema((value) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'expected number';
+    if (integer && !Number.isInteger(value)) return 'expected integer';
+    if (value < min) return `less than ${min}`;
+    if (value > max) return `more than ${max}`;
+    return null;
+  }, opts);
+}
+
+function boolean(opts) {
+  return schema(value => (typeof value === 'boolean' ? null : 'expected boolean'), opts);
+}
+
+function oneOf(values, opts) {
+  return schema(value => (values.includes(value) ? null : `expected one of ${values.join(', ')}`), opts);
+}
+
+function array(item, { max = Infinity, ...opts } = {}) {
+  const check = schema((value) => {
+    if (!Array.isArray(value)) return 'expected array';
+    return value.length > max ? `more than ${max} items` : null;
+  }, opts);
+  return (value, field) => {
+    const checked = check(value, field);
+    return checked == null ? checked : checked.map((v, i) => item(v, `${field || ''}[${i}]`));
+  };
+}
+
+function object(shape, opts) {
+  const check = schema(value => (typeof value === 'object' && !Array.isArray(value) ? null : 'expected object'), opts);
+  return (value, field) => {
+    const checked = check(value, field);
+    if (checked == null) return checked;
+    const result = {};
+    Object.keys(shape).forEach((key) => {
+      const out = shape[key](checked[key], field ? `${field}.${key}` : key);
+      if (out !== undefined) result[key] = out;
+    });
+    return result;
+  };
+}
+
+/**
+ * Fields an object() schema needs depending on one of its values:
+ * requireWhen(object({ action, time }), 'action', { seek: ['time'] }) also
+ * refuses { action: 'seek' } without a time.
+ */
+function requireWhen(check, key, required) {
+  return (value, field) => {
+    const checked = check(value, field);
+    if (checked == null) return checked;
+    (required[checked[key]] || []).forEach((name) => {
+      if (checked[name] == null) throw new SchemaError(field ? `${field}.${name}` : name, 'required');
+    });
+    return checked;
+  };
+}
+
+module.exports = { SchemaError, string, number, boolean, oneOf, array, object, requireWhen };
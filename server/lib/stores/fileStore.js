@@ -0,0 +1,70 @@
+/**
+ * FileStore: keeps every room in a single JSON file.
+ * Writes are batched (debounced) and go through a temp file + rename so a
+ * crash mid-write never leaves a truncated file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileStore {
+  constructor({ file, debounceMs = 250 } = {}) {
+    this.file = file;
+    this.debounceMs = debounceMs;
+    this.rooms = {}; // roomId -> serialized room
+    this.timer = null;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const raw = await fs.promises.readFile(this.file, 'utf8');
+      this.rooms = JSON.parse(raw).rooms || {};
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.rooms = {};
+    }
+    return Object.values(this.rooms);
+  }
+
+  save(data) {
+    this.rooms[data.id] = data;
+    this.schedule();
+  }
+
+  remove(roomId) {
+    delete this.rooms[roomId];
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.write();
+    }, this.debounceMs);
+  }
+
+  write() {
+    // chain writes so two renames never race; a failed write is logged and the next one still runs
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify({ rooms: this.rooms }));
+        await fs.promises.rename(tmp, this.file);
+      })
+      .catch(err => console.error('file store: write failed', err));
+    return this.writing;
+  }
+
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.write();
+  }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,26 @@
+/**
+ * Room store factory, selected by env:
+ *   ROOM_STORE=memory (default) | file | redis
+ *   ROOM_STORE_FILE=data/rooms.json (file store only)
+ *   REDIS_URL (redis store only)
+ */
+
+const { MemoryStore } = require('./memoryStore');
+const { FileStore } = require('./fileStore');
+const { RedisStore } = require('./redisStore');
+
+function createStore(env = process.env) {
+  const kind = (env.ROOM_STORE || 'memory').toLowerCase();
+  switch (kind) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore({ file: env.ROOM_STORE_FILE || 'data/rooms.json' });
+    case 'redis':
+      return new RedisStore({ url: env.REDIS_URL });
+    default:
+      throw new Error(`Unknown ROOM_STORE "${kind}" (expected memory, file or redis)`);
+  }
+}
+
+module.exports = { createStore, MemoryStore, FileStore, RedisStore };
@@ -0,0 +1,31 @@
+/**
+ * MemoryStore: default room store. Nothing survives a restart.
+ *
+ * Store interface (all methods may return a promise):
+ *   load()         -> array of serialized rooms
+ *   save(data)     -> persist one serialized room (data.id is the key)
+ *   remove(roomId) -> drop a room
+ *   flush()        -> write out anything buffered
+ */
+
+class MemoryStore {
+  constructor() {
+    this.rooms = new Map(); // roomId -> serialized room
+  }
+
+  async load() {
+    return Array.from(this.rooms.values());
+  }
+
+  async save(data) {
+    this.rooms.set(data.id, data);
+  }
+
+  async remove(roomId) {
+    this.rooms.delete(roomId);
+  }
+
+  async flush() {}
+}
+
+module.exports = { MemoryStore };
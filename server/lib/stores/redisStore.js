@@ -0,0 +1,35 @@
+/**
+ * RedisStore: one hash field per room, shared by every server instance.
+ * Use this with a cluster bus so all nodes persist to the same place.
+ */
+
+const { createClient } = require('redis');
+
+class RedisStore {
+  constructor({ url, key = 'w2g:rooms' } = {}) {
+    this.key = key;
+    this.client = createClient({ url });
+    this.client.on('error', err => console.error('redis store:', err.message));
+    this.ready = this.client.connect();
+  }
+
+  async load() {
+    await this.ready;
+    const all = await this.client.hGetAll(this.key);
+    return Object.values(all).map(raw => JSON.parse(raw));
+  }
+
+  async save(data) {
+    await this.ready;
+    await this.client.hSet(this.key, data.id, JSON.stringify(data));
+  }
+
+  async remove(roomId) {
+    await this.ready;
+    await this.client.hDel(this.key, roomId);
+  }
+
+  async flush() {}
+}
+
+module.exports = { RedisStore };
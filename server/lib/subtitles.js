@@ -0,0 +1,102 @@
+/**
+ * Subtitle conversion to WebVTT, the only format browsers render in <track>.
+ * Supports SRT, ASS/SSA and VTT (passed through after a sanity check).
+ */
+
+const path = require('path');
+
+// "HH:MM:SS.mmm" from seconds
+function vttTime(sec) {
+  const ms = Math.round(sec * 1000);
+  const h = Math.floor(ms / 3600000).toString().padStart(2, '0');
+  const m = Math.floor((ms / 60000) % 60).toString().padStart(2, '0');
+  const s = Math.floor((ms / 1000) % 60).toString().padStart(2, '0');
+  return `${h}:${m}:${s}.${(ms % 1000).toString().padStart(3, '0')}`;
+}
+
+function normalize(text) {
+  return text.replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+}
+
+function srtToVtt(text) {
+  const body = normalize(text)
+    .split('\n')
+    .map(line => (line.includes('-->') ? line.replace(/(\d{1,2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2') : line))
+    .join('\n')
+    // VTT has no <font>; keep the text
+    .replace(/<\/?font[^>]*>/gi, '')
+    .trim();
+  return `WEBVTT\n\n${body}\n`;
+}
+
+// ASS "H:MM:SS.cc" -> seconds (NaN if malformed)
+function assTime(t) {
+  const [h, m, s] = t.trim().split(':');
+  return parseInt(h, 10) * 3600 + parseInt(m, 10) * 60 + parseFloat(s);
+}
+
+function assToVtt(text) {
+  const lines = normalize(text).split('\n');
+  let inEvents = false;
+  let format = null;
+  const cues = [];
+
+  lines.forEach((line) => {
+    const trimmed = line.trim();
+    if (/^\[.*\]$/.test(trimmed)) {
+      inEvents = trimmed.toLowerCase() === '[events]';
+      return;
+    }
+    if (!inEvents) return;
+    if (trimmed.startsWith('Format:')) {
+      format = trimmed.slice(7).split(',').map(f => f.trim().toLowerCase());
+      return;
+    }
+    if (!trimmed.startsWith('Dialogue:') || !format) return;
+
+    // Text is the last field and may itself contain commas
+    const raw = trimmed.slice(9).split(',');
+    const fields = raw.slice(0, format.length - 1).concat(raw.slice(format.length - 1).join(','));
+    const field = name => fields[format.indexOf(name)] || '';
+    const cueText = field('text')
+      .replace(/\{[^}]*\}/g, '') // override tags, e.g. {\i1}
+      .replace(/\\[Nn]/g, '\n')
+      .replace(/\\h/g, ' ')
+      .trim();
+    if (!cueText) return;
+    const start = assTime(field('start'));
+    const end = assTime(field('end'));
+    // a broken line loses its cue, not the whole file
+    if (!Number.isFinite(start) || !Number.isFinite(end)) return;
+    cues.push({ start, end, text: cueText });
+  });
+
+  if (!cues.length) throw new Error('invalid_ass');
+  cues.sort((a, b) => a.start - b.start);
+  const body = cues.map(c => `${vttTime(c.start)} --> ${vttTime(c.end)}\n${c.text}`).join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Convert subtitle `text` to WebVTT based on the original file name.
+ * Throws on unsupported or malformed input.
+ */
+function toWebVtt(text, filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  switch (ext) {
+    case '.vtt': {
+      const vtt = normalize(text);
+      if (!vtt.startsWith('WEBVTT')) throw new Error('invalid_vtt');
+      return vtt;
+    }
+    case '.srt':
+      return srtToVtt(text);
+    case '.ass':
+    case '.ssa':
+      return assToVtt(text);
+    default:
+      throw new Error('unsupported_subtitle_format');
+  }
+}
+
+module.exports = { toWebVtt, srtToVtt, assToVtt };
@@ -0,0 +1,217 @@
+/**
+ * HLS transcoding with a local ffmpeg binary.
+ *
+ * Each input becomes a VOD HLS ladder (one rendition per entry of RENDITIONS
+ * that fits the source height) plus a master playlist. Every rendition uses
+ * the same fixed GOP and segment length, so segment boundaries line up and
+ * players can switch renditions without the timeline moving.
+ *
+ * Jobs run through a small queue (concurrency 1 by default) since ffmpeg
+ * happily takes every core.
+ *
+ * previews() makes a poster frame and a seek-bar thumbnail sprite with a
+ * WebVTT index (cues point into the sprite with #xywh=x,y,w,h).
+ */
+
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const RENDITIONS = [
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+];
+const SEGMENT_SECONDS = 4;
+const GOP_FRAMES = 48; // keyframe every 2s at 24fps; forced so renditions align
+const POSTER_HEIGHT = 720;
+const THUMB_WIDTH = 160;
+const THUMB_COLUMNS = 10;
+const MAX_THUMBS = 100; // one sprite sheet of at most 10x10
+const MIN_THUMB_INTERVAL = 2; // seconds
+
+class Transcoder {
+  constructor({ ffmpegPath = 'ffmpeg', ffprobePath = 'ffprobe', concurrency = 1 } = {}) {
+    this.ffmpegPath = ffmpegPath;
+    this.ffprobePath = ffprobePath;
+    this.concurrency = concurrency;
+    this.running = 0;
+    this.waiting = []; // queued job starters
+    this.availability = null;
+  }
+
+  // resolves to true if ffmpeg and ffprobe can be run; checked once
+  available() {
+    if (!this.availability) {
+      const check = bin => new Promise(resolve => execFile(bin, ['-version'], err => resolve(!err)));
+      this.availability = Promise.all([check(this.ffmpegPath), check(this.ffprobePath)]).then(r => r.every(Boolean));
+    }
+    return this.availability;
+  }
+
+  probe(input) {
+    return new Promise((resolve, reject) => {
+      execFile(this.ffprobePath, ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', input], (err, stdout) => {
+        if (err) return reject(err);
+        try {
+          const info = JSON.parse(stdout);
+          const video = info.streams.find(s => s.codec_type === 'video');
+          if (!video) return reject(new Error('no video stream'));
+          resolve({
+            duration: parseFloat(info.format.duration) || 0,
+            width: video.width,
+            height: video.height,
+            hasAudio: info.streams.some(s => s.codec_type === 'audio'),
+          });
+        } catch (parseErr) {
+          reject(parseErr);
+        }
+      });
+    });
+  }
+
+  /**
+   * Queue a job. Resolves with { master, renditions, duration } once the
+   * ladder is written to outDir; onProgress(percent) is called while encoding.
+   */
+  transcode({ input, outDir }, onProgress) {
+    return new Promise((resolve, reject) => {
+      const start = () => {
+        this.running++;
+        this.run(input, outDir, onProgress)
+          .then(resolve, reject)
+          .finally(() => {
+            this.running--;
+            const next = this.waiting.shift();
+            if (next) next();
+          });
+      };
+      if (this.running < this.concurrency) start();
+      else this.waiting.push(start);
+    });
+  }
+
+  /**
+   * Write poster.jpg, sprite.jpg and thumbnails.vtt to outDir. Not queued:
+   * only keyframes are decoded, so this is quick even for long videos.
+   * Resolves to { poster, sprite, vtt, count, interval }.
+   */
+  async previews({ input, outDir }) {
+    const { duration, width, height } = await this.probe(input);
+    await fs.promises.mkdir(outDir, { recursive: true });
+
+    // a frame a little in, past fades and black intros
+    const posterAt = Math.min(duration * 0.1, 30);
+    await this.exec(['-ss', posterAt.toFixed(3), '-i', input, '-frames:v', '1',
+      '-vf', `scale=-2:${Math.min(POSTER_HEIGHT, height)}`, '-q:v', '3', path.join(outDir, 'poster.jpg')]);
+
+    const interval = Math.max(MIN_THUMB_INTERVAL, duration / MAX_THUMBS);
+    const count = Math.max(1, Math.min(MAX_THUMBS, Math.ceil(duration / interval)));
+    const columns = Math.min(THUMB_COLUMNS, count);
+    const rows = Math.ceil(count / columns);
+    const thumbHeight = Math.max(2, Math.round((THUMB_WIDTH * height) / width / 2) * 2);
+    await this.exec(['-skip_frame', 'nokey', '-i', input, '-an',
+      '-vf', `fps=1/${interval.toFixed(3)},scale=${THUMB_WIDTH}:${thumbHeight},tile=${columns}x${rows}`,
+      '-frames:v', '1', '-q:v', '5', path.join(outDir, 'sprite.jpg')]);
+
+    const vtt = thumbnailsVtt({ sprite: 'sprite.jpg', count, interval, duration, columns, width: THUMB_WIDTH, height: thumbHeight });
+    await fs.promises.writeFile(path.join(outDir, 'thumbnails.vtt'), vtt);
+    return { poster: 'poster.jpg', sprite: 'sprite.jpg', vtt: 'thumbnails.vtt', count, interval };
+  }
+
+  // run ffmpeg to completion, rejecting with its last error line
+  exec(args) {
+    return new Promise((resolve, reject) => {
+      execFile(this.ffmpegPath, ['-y', '-hide_banner', '-v', 'error', ...args], (err, stdout, stderr) => {
+        if (err) return reject(new Error(`ffmpeg failed: ${String(stderr).trim().split('\n').pop() || err.message}`));
+        resolve();
+      });
+    });
+  }
+
+  async run(input, outDir, onProgress) {
+    const { duration, height, hasAudio } = await this.probe(input);
+    // never upscale; always keep at least the smallest rendition
+    const ladder = RENDITIONS.filter(r => r.height <= height);
+    if (!ladder.length) ladder.push(RENDITIONS[0]);
+
+    await fs.promises.mkdir(outDir, { recursive: true });
+    const args = buildArgs(input, outDir, ladder, hasAudio);
+
+    await new Promise((resolve, reject) => {
+      const ff = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      let stderr = '';
+      let buffered = '';
+      ff.stdout.setEncoding('utf8');
+      ff.stdout.on('data', (chunk) => {
+        // -progress writes key=value lines; out_time_us is the encoded position
+        buffered += chunk;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.forEach((line) => {
+          const [key, value] = line.split('=');
+          if (key === 'out_time_us' && duration > 0 && onProgress) {
+            const percent = Math.min(99, Math.floor((parseInt(value, 10) / 1e6 / duration) * 100));
+            if (percent >= 0) onProgress(percent);
+          }
+        });
+      });
+      ff.stderr.on('data', (d) => { stderr = (stderr + d).slice(-4000); });
+      ff.on('error', reject);
+      ff.on('close', (code) => {
+        if (code === 0) resolve();
+        else reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim().split('\n').pop()}`));
+      });
+    });
+
+    return {
+      master: 'master.m3u8',
+      renditions: ladder.map((r, i) => ({ name: r.name, height: r.height, bitrate: r.videoBitrate, playlist: `v${i}/index.m3u8` })),
+      duration,
+    };
+  }
+}
+
+function buildArgs(input, outDir, ladder, hasAudio) {
+  const split = `[0:v]split=${ladder.length}${ladder.map((_, i) => `[s${i}]`).join('')}`;
+  const scales = ladder.map((r, i) => `[s${i}]scale=-2:${r.height}[v${i}]`);
+  const args = ['-y', '-hide_banner', '-nostats', '-progress', 'pipe:1', '-i', input,
+    '-filter_complex', [split, ...scales].join(';')];
+
+  ladder.forEach((r, i) => {
+    args.push('-map', `[v${i}]`,
+      `-c:v:${i}`, 'libx264', `-b:v:${i}`, `${r.videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(r.videoBitrate * 1.07)}k`, `-bufsize:v:${i}`, `${r.videoBitrate * 1.5}k`);
+    if (hasAudio) args.push('-map', 'a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, `${r.audioBitrate}k`, '-ac', '2');
+  });
+
+  args.push('-preset', 'veryfast', '-pix_fmt', 'yuv420p',
+    '-g', String(GOP_FRAMES), '-keyint_min', String(GOP_FRAMES), '-sc_threshold', '0',
+    '-f', 'hls', '-hls_time', String(SEGMENT_SECONDS), '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(outDir, 'v%v', 'seg_%04d.ts'),
+    '-master_pl_name', 'master.m3u8',
+    '-var_stream_map', ladder.map((_, i) => (hasAudio ? `v:${i},a:${i}` : `v:${i}`)).join(' '),
+    path.join(outDir, 'v%v', 'index.m3u8'));
+  return args;
+}
+
+function vttTime(sec) {
+  const ms = Math.round(sec * 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+// WebVTT index: one cue per thumbnail, pointing at its cell in the sprite
+function thumbnailsVtt({ sprite, count, interval, duration, columns, width, height }) {
+  const cues = [];
+  for (let i = 0; i < count; i++) {
+    const start = i * interval;
+    const end = i === count - 1 ? Math.max(duration, start + interval) : start + interval;
+    const x = (i % columns) * width;
+    const y = Math.floor(i / columns) * height;
+    cues.push(`${vttTime(start)} --> ${vttTime(end)}\n${sprite}#xywh=${x},${y},${width},${height}`);
+  }
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+module.exports = { Transcoder, buildArgs, thumbnailsVtt, RENDITIONS };
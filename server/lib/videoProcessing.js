@@ -0,0 +1,98 @@
+/**
+ * Post-upload processing: transcodes each uploaded video to HLS (see
+ * transcoder.js) and keeps every room that references it up to date.
+ * Previews (posterUrl, thumbnailsUrl: a WebVTT index into a thumbnail
+ * sprite) are made in the background too and reach rooms the same way.
+ *
+ * While a job runs, the video metadata carries
+ *   processing: { state: 'queued' | 'running' | 'ready' | 'failed', progress, error? }
+ * and rooms get `video:processing` events ({ savedName, processing, hlsUrl? }).
+ * Progress ticks are only broadcast; room state (and the media library
+ * entry) is only written on state changes so stores and the cluster bus
+ * aren't flooded.
+ */
+
+const path = require('path');
+
+function createVideoProcessing({ rooms, io, transcoder, library, uploadDir, baseUrl }) {
+  // apply `patch` to the video (current or queued) in every room that has it, and in the library
+  function updateVideo(savedName, patch) {
+    if (library) library.update(savedName, patch);
+    rooms.all().forEach((room) => {
+      let touched = false;
+      if (room.video?.savedName === savedName) {
+        room.setVideo({ ...room.video, ...patch });
+        touched = true;
+      }
+      if (room.queue.some(e => e.video.savedName === savedName)) {
+        room.commit('queue', room.queue.map(e => (e.video.savedName === savedName ? { ...e, video: { ...e.video, ...patch } } : e)));
+        touched = true;
+      }
+      if (touched) io.to(room.id).emit('video:processing', { savedName, ...patch });
+    });
+  }
+
+  function broadcastProgress(savedName, processing) {
+    rooms.all().forEach((room) => {
+      const inRoom = room.video?.savedName === savedName || room.queue.some(e => e.video.savedName === savedName);
+      if (inRoom) io.to(room.id).emit('video:processing', { savedName, processing });
+    });
+  }
+
+  /**
+   * Mark `meta` as queued for processing (mutates it; await this before
+   * adding the video to a room) and start the job in the background.
+   * No-op without ffmpeg.
+   */
+  async function processVideo(meta) {
+    if (!await transcoder.available()) return;
+    const id = path.basename(meta.savedName, path.extname(meta.savedName));
+    const outDir = path.join(uploadDir, 'hls', id);
+    meta.processing = { state: 'queued', progress: 0 };
+
+    let lastProgress = -1;
+    const job = transcoder.transcode({ input: path.join(uploadDir, meta.savedName), outDir }, (progress) => {
+      if (lastProgress < 0) updateVideo(meta.savedName, { processing: { state: 'running', progress } });
+      else if (progress > lastProgress) broadcastProgress(meta.savedName, { state: 'running', progress });
+      lastProgress = progress;
+    });
+
+    job
+      .then((result) => {
+        updateVideo(meta.savedName, {
+          processing: { state: 'ready', progress: 100 },
+          hlsUrl: `${baseUrl}/uploads/hls/${id}/${result.master}`,
+          renditions: result.renditions,
+          duration: result.duration,
+        });
+      })
+      .catch((err) => {
+        console.error('transcode failed', meta.savedName, err.message);
+        updateVideo(meta.savedName, { processing: { state: 'failed', progress: 0, error: 'transcode_failed' } });
+      });
+  }
+
+  /**
+   * Start making the poster and thumbnails of `meta` in the background; call
+   * it once the video is in its room. posterUrl and thumbnailsUrl then go out
+   * like processing updates. Failures only leave them out. No-op without ffmpeg.
+   */
+  async function createPreviews(meta) {
+    if (!await transcoder.available()) return;
+    const id = path.basename(meta.savedName, path.extname(meta.savedName));
+    transcoder.previews({ input: path.join(uploadDir, meta.savedName), outDir: path.join(uploadDir, 'previews', id) })
+      .then((result) => {
+        updateVideo(meta.savedName, {
+          posterUrl: `${baseUrl}/uploads/previews/${id}/${result.poster}`,
+          thumbnailsUrl: `${baseUrl}/uploads/previews/${id}/${result.vtt}`,
+        });
+      })
+      .catch((err) => {
+        console.error('previews failed', meta.savedName, err.message);
+      });
+  }
+
+  return { processVideo, createPreviews };
+}
+
+module.exports = { createVideoProcessing };
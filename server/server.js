@@ -3,22 +3,56 @@
  * Express + Socket.IO server for Watch2Gether clone
  *
  * Features:
- * - Video uploads via /upload (Multer)
- * - Room management & logs (in-memory, replaceable by DB)
- * - Socket.IO for realtime playback sync, chat, userlist, host control
+ * - Video uploads via /upload (Multer) and resumable chunked uploads via /upload/sessions
+ * - Videos by URL (/upload/url, video:add_url), proxied through /media with Range support
+ *   or downloaded in the background
+ * - Local-file watch mode (video:add_local): everyone plays their own copy of a file,
+ *   matched by content fingerprint, and only the playback state is synced
+ * - Media library: uploads are deduplicated by content hash, reusable in any room,
+ *   limited by storage quotas and swept once no room needs them
+ * - HLS transcoding of uploads with a local ffmpeg (falls back to the raw file without it)
+ * - Poster frames and seek-bar thumbnail sprites (WebVTT index) for every upload
+ * - Room management & logs (in-memory, persisted through a pluggable store)
+ * - Durable per-room activity log with query/export endpoints (/rooms/:roomId/logs)
+ * - Socket.IO for realtime playback sync, chat, userlist, host control; every event
+ *   payload is validated, bound to the socket's user and rate limited (lib/eventGuard);
+ *   HTTP uploads into a room are bound to the uploader's session token
+ * - Private rooms (password / invite-only) with signed, expiring invite links
+ * - WebRTC signaling relay for webcam/mic calls and the host's screen share (lib/calls)
+ * - Polls and votes to skip or pause the video, passing at a per-room threshold (lib/polls)
  *
- * For production: replace in-memory stores with a DB or Redis for multi-instance.
+ * Multi-instance: set CLUSTER_BUS (see lib/cluster) so several instances share
+ * rooms and Socket.IO broadcasts, and ROOM_STORE=redis for a shared store.
  */
 
 require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const path = require('path');
+const crypto = require('crypto');
 const multer = require('multer');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const { Rooms } = require('./lib/rooms');
+const { createStore } = require('./lib/stores');
+const { createBus, createBusAdapter } = require('./lib/cluster');
+const { createUploadController } = require('./controllers/uploadController');
+const { Transcoder } = require('./lib/transcoder');
+const { createVideoProcessing } = require('./lib/videoProcessing');
+const { toWebVtt } = require('./lib/subtitles');
+const { can, outranks, mergePermissions } = require('./lib/permissions');
+const { MODES, hashPassword, createInvite, createSession, verifySession, checkAccess } = require('./lib/roomAccess');
 const { Logger } = require('./lib/logger');
+const { createLogController } = require('./controllers/logController');
+const { MediaLibrary } = require('./lib/mediaLibrary');
+const { RemoteMedia } = require('./lib/remoteMedia');
+const { createMediaProxyController } = require('./controllers/mediaProxyController');
+const { createChatCommands } = require('./lib/chatCommands');
+const { createEventGuard, DEFAULT_LIMITS } = require('./lib/eventGuard');
+const { MAX_MESSAGE_LENGTH, MAX_COMMENT_LENGTH, REACTIONS } = require('./lib/eventSchemas');
+const { createReadiness } = require('./lib/readiness');
+const { createCalls } = require('./lib/calls');
+const { createPolls } = require('./lib/polls');
 
 const app = express();
 const server = http.createServer(app);
@@ -30,6 +64,42 @@ const PORT = process.env.PORT || 4000;
 const UPLOAD_DIR = process.env.UPLOAD_DIR || 'uploads';
 const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
 const MAX_UPLOAD = parseInt(process.env.MAX_UPLOAD_SIZE_BYTES || '500000000', 10);
+const ROOM_STORE_LOGS = parseInt(process.env.ROOM_STORE_LOGS || '100', 10);
+const TRANSCODE = process.env.TRANSCODE !== 'off';
+// must be the same on every instance, or invites only work where they were issued
+const INVITE_SECRET = process.env.INVITE_SECRET || crypto.randomBytes(32).toString('hex');
+const INVITE_TTL_MS = parseInt(process.env.INVITE_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+// how long a dropped user keeps their place (and host) before being removed
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS || '30000', 10);
+const HOST_REQUEST_TIMEOUT_MS = parseInt(process.env.HOST_REQUEST_TIMEOUT_MS || '30000', 10);
+const READY_CHECK_TIMEOUT_MS = parseInt(process.env.READY_CHECK_TIMEOUT_MS || '30000', 10);
+const POLL_DURATION_MS = parseInt(process.env.POLL_DURATION_MS || '60000', 10); // unless the poll says otherwise
+const MAX_SYNC_WAIT_MS = 5 * 60 * 1000; // upper bound for a room's wait-for-everyone override
+const MIN_LOOP_LENGTH = 0.5; // seconds; shortest A-B loop
+// STUN/TURN servers browsers use for calls and screen sharing (JSON list of RTCIceServer)
+const RTC_ICE_SERVERS = JSON.parse(process.env.RTC_ICE_SERVERS || '[{"urls":"stun:stun.l.google.com:19302"}]');
+const LOG_DIR = process.env.LOG_DIR || 'data/logs';
+// lets audit tooling read every room's activity log; unset = only the room's moderators can
+const AUDIT_TOKEN = process.env.AUDIT_TOKEN || '';
+// media library: storage quotas in bytes (0 = no limit) and how long unused files are kept
+const MEDIA_QUOTA = parseInt(process.env.MEDIA_QUOTA_BYTES || '20000000000', 10);
+const ROOM_MEDIA_QUOTA = parseInt(process.env.ROOM_MEDIA_QUOTA_BYTES || '5000000000', 10);
+const MEDIA_RETENTION_MS = parseInt(process.env.MEDIA_RETENTION_MS || String(7 * 24 * 60 * 60 * 1000), 10);
+const MEDIA_SWEEP_INTERVAL_MS = parseInt(process.env.MEDIA_SWEEP_INTERVAL_MS || String(60 * 60 * 1000), 10);
+// videos added by URL are fetched from public addresses only, unless this is on (local testing)
+const REMOTE_MEDIA_ALLOW_PRIVATE = process.env.REMOTE_MEDIA_ALLOW_PRIVATE === 'on';
+// per-socket and per-IP token buckets for chat, host, join and upload events (see lib/eventGuard)
+const RATE_LIMITS = process.env.RATE_LIMITS !== 'off';
+const URL_ERROR_STATUS = {
+  invalid_url: 400,
+  invalid_mode: 400,
+  hls_download_unsupported: 400,
+  unsupported_type: 415,
+  blocked_address: 403,
+  file_too_large: 413,
+  quota_exceeded: 413,
+  room_quota_exceeded: 413,
+};
 
 // ensure upload dir exists
 const fs = require('fs');
@@ -48,25 +118,71 @@ const upload = multer({
   storage,
   limits: { fileSize: MAX_UPLOAD },
 });
+// subtitles are small text files; converted in memory before saving
+const subtitleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+});
 
 // basic middlewares
 app.use(cors());
 app.use(express.json());
 app.use('/uploads', express.static(path.join(__dirname, UPLOAD_DIR))); // serve uploaded videos
 
-// in-memory rooms; swap with Redis or DB for multiple server instances
-const rooms = new Rooms();
-const logger = new Logger();
+// rooms are served from memory and saved to the configured store (ROOM_STORE) shortly after they change;
+// every log entry also goes to the durable activity log in LOG_DIR
+const logger = new Logger({ dir: LOG_DIR });
+const rooms = new Rooms({ store: createStore(), logLimit: ROOM_STORE_LOGS, logger });
+const transcoder = new Transcoder({
+  ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+  ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+  concurrency: parseInt(process.env.TRANSCODE_CONCURRENCY || '1', 10),
+});
+const library = new MediaLibrary({
+  uploadDir: UPLOAD_DIR,
+  file: process.env.MEDIA_LIBRARY_FILE || 'data/library.json',
+  quota: MEDIA_QUOTA,
+  roomQuota: ROOM_MEDIA_QUOTA,
+  retentionMs: MEDIA_RETENTION_MS,
+});
+const remote = new RemoteMedia({
+  secret: INVITE_SECRET,
+  allowPrivate: REMOTE_MEDIA_ALLOW_PRIVATE,
+  timeoutMs: parseInt(process.env.REMOTE_MEDIA_TIMEOUT_MS || '10000', 10),
+});
+const videoProcessing = createVideoProcessing({ rooms, io, transcoder, library, uploadDir: UPLOAD_DIR, baseUrl: BASE_URL });
+const commands = createChatCommands({ io, hostAction, passHost, moderateUser });
+// player status reports, wait-for-everyone mode and ready checks
+const readiness = createReadiness({ io, formatTime, readyCheckTtlMs: READY_CHECK_TIMEOUT_MS });
+// WebRTC signaling for webcams and screen sharing
+const calls = createCalls({ io });
+// polls, and votes to skip or pause
+const polls = createPolls({
+  io,
+  skip: room => playNext(room, { playing: room.playbackState.playing, reason: 'the room voted to skip' }),
+  defaultDurationMs: POLL_DURATION_MS,
+});
+// validates socket payloads, binds userId to the joined socket and rate limits
+const guard = createEventGuard({ rooms, limits: RATE_LIMITS ? DEFAULT_LIMITS : null });
+const graceTimers = new Map(); // userId -> timer removing a user who did not reconnect
 
 /**
  * Upload endpoint
  * Expects multipart/form-data with field 'video'
- * Query param roomId optional; if provided, the server will broadcast new video to the room.
+ * Query param roomId optional; if provided, the video is queued in the room
+ * (and starts right away if nothing is playing). Uploads into a room need the
+ * uploader's session token (see uploaderOf).
  */
-app.post('/upload', upload.single('video'), (req, res, next) => {
+app.post('/upload', guard.limitRequests('upload'), upload.single('video'), async (req, res, next) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
     const roomId = req.body.roomId;
+    const { userId, error: denied } = uploaderOf(req, roomId);
+    const overQuota = !denied && uploadOverQuota({ roomId, size: req.file.size });
+    if (denied || overQuota) {
+      fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+      return res.status(denied ? deniedStatus(denied) : 413).json({ error: denied || overQuota });
+    }
     const url = `${BASE_URL}/uploads/${req.file.filename}`;
     const meta = {
       filename: req.file.originalname,
@@ -76,21 +192,288 @@ app.post('/upload', upload.single('video'), (req, res, next) => {
       uploadedAt: new Date().toISOString(),
     };
 
-    if (roomId) {
-      const room = rooms.get(roomId);
-      if (room) {
-        room.video = meta;
-        room.addLog({ type: 'video_uploaded', text: `${meta.filename} uploaded`, time: new Date() });
-        io.to(roomId).emit('video:uploaded', { video: meta, log: room.logs.slice(-1)[0] });
-      }
+    const video = await addUploadedVideo(meta, { roomId, userId });
+
+    return res.json({ ok: true, video });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Subtitle upload endpoint
+ * Expects multipart/form-data with field 'subtitle' (SRT, ASS/SSA or VTT) and roomId;
+ * optional label and lang, and the uploader's session token (see uploaderOf). The
+ * file is converted to WebVTT and attached to the room's current video.
+ */
+app.post('/subtitles', guard.limitRequests('upload'), subtitleUpload.single('subtitle'), async (req, res, next) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    const room = rooms.get(req.body.roomId);
+    if (!room) return res.status(404).json({ error: 'room_not_found' });
+    const { userId, error: denied } = uploaderOf(req, room.id);
+    if (denied) return res.status(deniedStatus(denied)).json({ error: denied });
+    if (!room.video) return res.status(409).json({ error: 'no_video' });
+
+    let vtt;
+    try {
+      vtt = toWebVtt(req.file.buffer.toString('utf8'), req.file.originalname);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
     }
 
-    return res.json({ ok: true, video: meta });
+    const id = uuidv4();
+    const dir = path.join(UPLOAD_DIR, 'subtitles');
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, `${id}.vtt`), vtt);
+
+    const track = {
+      id,
+      label: String(req.body.label || path.parse(req.file.originalname).name).slice(0, 64),
+      lang: String(req.body.lang || 'und').slice(0, 16),
+      filename: req.file.originalname,
+      url: `${BASE_URL}/uploads/subtitles/${id}.vtt`,
+    };
+    const subtitles = [...(room.video.subtitles || []), track];
+    room.setVideo({ ...room.video, subtitles });
+
+    const uploader = room.getUser(userId);
+    const log = room.addLog({ type: 'subtitle_added', text: `${uploader.name} added subtitles "${track.label}"`, userId });
+    io.to(room.id).emit('subtitles:updated', {
+      savedName: room.video.savedName,
+      subtitles,
+      defaultSubtitleId: room.video.defaultSubtitleId || null,
+      log,
+    });
+    return res.json({ ok: true, track });
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * Add a video by URL
+ * Body: { roomId, url, mode?: 'proxy' | 'download' }, with the session token
+ * (see uploaderOf). Proxied videos are
+ * queued right away and played through /media; downloads are queued once they are in.
+ * Returns { ok, video } or { ok, download: { id, filename } }.
+ */
+app.post('/upload/url', guard.limitRequests('upload'), async (req, res) => {
+  const { roomId, url, mode } = req.body || {};
+  const room = rooms.get(roomId);
+  if (!room) return res.status(404).json({ error: 'room_not_found' });
+  const { userId, error: denied } = uploaderOf(req, roomId);
+  if (denied) return res.status(deniedStatus(denied)).json({ error: denied });
+  try {
+    res.json({ ok: true, ...await addVideoFromUrl(room, room.getUser(userId), { url, mode }) });
+  } catch (err) {
+    res.status(URL_ERROR_STATUS[err.code] || 502).json({ error: err.code || 'add_url_failed' });
+  }
+});
+
+// videos added by URL, played from our origin (range requests and HLS supported);
+// rate limited per IP since anyone holding a link can use it
+app.use('/media', guard.limitRequests('media'), createMediaProxyController({ remote }));
+
+// resumable chunked uploads; the room hears about the video once the last chunk is in.
+// Starting one counts against the upload rate limit, its chunks do not.
+app.post('/upload/sessions', guard.limitRequests('upload'));
+app.use('/upload/sessions', createUploadController({
+  uploadDir: UPLOAD_DIR,
+  maxUpload: MAX_UPLOAD,
+  baseUrl: BASE_URL,
+  authorize: uploaderOf,
+  quota: uploadOverQuota,
+  onComplete: addUploadedVideo,
+}));
+
+/**
+ * Who uploads into `roomId`: the user of the session token (from room:join)
+ * in `Authorization: Bearer <token>`, never an id from the request body. They
+ * need the 'upload' permission and must not be muted. Returns { userId } or
+ * { error } ('unauthorized', 'user_not_found', 'muted' or 'forbidden'); uploads
+ * not tied to a room have no uploader.
+ */
+function uploaderOf(req, roomId) {
+  const room = roomId && rooms.get(roomId);
+  if (!room) return { userId: null };
+  const userId = verifySession(INVITE_SECRET, bearerToken(req), roomId);
+  if (!userId) return { error: 'unauthorized' };
+  if (!room.getUser(userId)) return { error: 'user_not_found' };
+  if (room.muted[userId]) return { error: 'muted' };
+  return can(room, userId, 'upload') ? { userId } : { error: 'forbidden' };
+}
+
+const deniedStatus = error => (error === 'unauthorized' ? 401 : 403);
+
+function bearerToken(req) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// storage quotas for a new upload of `size` bytes; returns an error code or null
+function uploadOverQuota({ roomId, size }) {
+  return library.quotaError({ roomId: roomId && rooms.get(roomId) ? roomId : null, size });
+}
+
+/**
+ * Add a freshly uploaded video to the library (a duplicate of a known file
+ * is dropped in favour of it), queue it in its room and tell everyone, then
+ * make previews of new ones in the background. Resolves to the video
+ * metadata to use.
+ */
+async function addUploadedVideo(meta, { roomId, userId }) {
+  const { video, duplicate } = await library.add(meta, { roomId });
+  if (!duplicate && TRANSCODE) {
+    await videoProcessing.processVideo(video);
+    library.update(video.savedName, { processing: video.processing });
+  }
+  const room = roomId && rooms.get(roomId);
+  if (room) {
+    const uploader = room.getUser(userId);
+    room.enqueue(video, uploader?.id || null, uploader?.name || null);
+    room.addLog({ type: 'video_uploaded', text: `${video.filename} uploaded${duplicate ? ' (already in the library)' : ''}`, userId: uploader?.id });
+    io.to(roomId).emit('video:uploaded', { video, log: room.logs.slice(-1)[0] });
+    io.to(roomId).emit('queue:updated', { queue: room.queue });
+    if (!room.video) playNext(room);
+  }
+  // posters and thumbnails reach the room later through video:processing
+  if (!duplicate) videoProcessing.createPreviews(video);
+  return video;
+}
+
+/**
+ * Add the media at `url` to `room` on behalf of `user`. 'proxy' (default)
+ * queues it at once; 'download' copies it into UPLOAD_DIR in the background
+ * (reporting `video:download` progress to the room) and then adds it like
+ * an upload. Resolves to { video } or { download }; rejects with err.code set
+ * (see lib/remoteMedia and URL_ERROR_STATUS).
+ */
+async function addVideoFromUrl(room, user, { url, mode = 'proxy' }) {
+  const fail = code => Object.assign(new Error(code), { code });
+  if (!['proxy', 'download'].includes(mode)) throw fail('invalid_mode');
+  const source = await remote.probe(String(url || ''));
+
+  if (mode === 'proxy') {
+    const proxied = `${BASE_URL}/media/${remote.token(source.url)}`;
+    const video = {
+      filename: source.filename,
+      savedName: `url-${crypto.createHash('sha256').update(source.url).digest('hex').slice(0, 24)}`,
+      size: source.size,
+      url: proxied,
+      source: { url: source.url, mode },
+      uploadedAt: new Date().toISOString(),
+    };
+    if (source.kind === 'hls') video.hlsUrl = proxied;
+    room.enqueue(video, user.id, user.name);
+    const log = room.addLog({ type: 'video_added_url', text: `${user.name} added ${video.filename} from a link`, userId: user.id });
+    io.to(room.id).emit('queue:updated', { queue: room.queue, log });
+    if (!room.video) playNext(room);
+    return { video };
+  }
+
+  if (source.kind === 'hls') throw fail('hls_download_unsupported');
+  if (source.size && source.size > MAX_UPLOAD) throw fail('file_too_large');
+  const overQuota = uploadOverQuota({ roomId: room.id, size: source.size || 0 });
+  if (overQuota) throw fail(overQuota);
+
+  const id = uuidv4();
+  const ext = path.extname(source.filename) || (source.contentType.includes('webm') ? '.webm' : '.mp4');
+  const savedName = id + ext;
+  const file = path.join(UPLOAD_DIR, savedName);
+  const download = { id, filename: source.filename, size: source.size };
+  const report = (state, extra) => io.to(room.id).emit('video:download', { ...download, state, ...extra });
+  let lastReport = 0;
+
+  report('running', { received: 0 });
+  remote.download(source.url, file, {
+    maxSize: MAX_UPLOAD,
+    onProgress: (received) => {
+      if (Date.now() - lastReport < 500) return;
+      lastReport = Date.now();
+      report('running', { received });
+    },
+  })
+    .then((size) => {
+      // the size may not have been known up front, and other uploads may have come in since
+      const overQuotaNow = uploadOverQuota({ roomId: room.id, size });
+      if (overQuotaNow) throw fail(overQuotaNow);
+      return addUploadedVideo({
+        filename: source.filename,
+        savedName,
+        size,
+        url: `${BASE_URL}/uploads/${savedName}`,
+        source: { url: source.url, mode },
+        uploadedAt: new Date().toISOString(),
+      }, { roomId: room.id, userId: user.id });
+    })
+    .then(() => report('done'))
+    .catch((err) => {
+      console.error('download failed', source.url, err.message);
+      fs.promises.rm(file, { force: true }).catch(() => {});
+      report('failed', { error: err.code || 'download_failed' });
+    });
+  return { download };
+}
+
+// videos a room still needs: its current video and queue, while someone is there or was recently
+function mediaInUse() {
+  const inUse = new Set();
+  const now = Date.now();
+  rooms.all().forEach((room) => {
+    const lastActivity = Date.parse(room.logs[room.logs.length - 1]?.time) || 0;
+    if (!Object.keys(room.users).length && now - lastActivity > MEDIA_RETENTION_MS) return;
+    if (room.video) inUse.add(room.video.savedName);
+    room.queue.forEach(e => inUse.add(e.video.savedName));
+  });
+  return inUse;
+}
+
+function sweepMedia() {
+  library.sweep(mediaInUse())
+    .then(removed => removed.length && console.log(`Media sweep removed ${removed.length} file(s)`))
+    .catch(err => console.error('media sweep failed', err));
+}
+
+/**
+ * Create a room with a hard-to-guess id.
+ * Body: { password?, inviteOnly? }. Returns { roomId, access, invite: { token, expiresAt } };
+ * the creator joins with the invite, so they never need to type the password.
+ */
+app.post('/rooms', (req, res) => {
+  const { password, inviteOnly } = req.body || {};
+  if (password != null && (typeof password !== 'string' || password.length < 4 || password.length > 128)) {
+    return res.status(400).json({ error: 'invalid_password' });
+  }
+  const room = rooms.create(crypto.randomBytes(9).toString('base64url'));
+  const mode = inviteOnly ? 'invite' : password ? 'password' : 'open';
+  room.setAccess({ mode, password: password ? hashPassword(password) : null });
+  res.status(201).json({ roomId: room.id, access: mode, invite: createInvite(INVITE_SECRET, room.id, INVITE_TTL_MS) });
+});
+
+// activity log queries and exports
+app.use('/rooms/:roomId/logs', createLogController({ logger, authorize: logsDenied }));
+
+/**
+ * Who may read a room's activity log: `Authorization: Bearer <token>` with
+ * AUDIT_TOKEN, or the session token (from room:join) of someone who may
+ * moderate the room. Returns null, 'unauthorized' or 'forbidden'.
+ */
+function logsDenied(req) {
+  const token = bearerToken(req);
+  if (!token) return 'unauthorized';
+  if (AUDIT_TOKEN && sameSecret(token, AUDIT_TOKEN)) return null;
+  const room = rooms.get(req.params.roomId);
+  const userId = verifySession(INVITE_SECRET, token, req.params.roomId);
+  if (!userId) return 'unauthorized';
+  return room && can(room, userId, 'moderate') ? null : 'forbidden';
+}
+
+function sameSecret(a, b) {
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
 // simple health
 app.get('/health', (req, res) => res.json({ ok: true }));
 
@@ -100,27 +483,51 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Socket.IO events
 io.on('connection', (socket) => {
   console.log('socket connected', socket.id);
+  // handlers below only see checked payloads, and `userId` is always this socket's user
+  guard.attach(socket);
+
+  // clock handshake: clients ping with their local time and use the round trip
+  // to estimate the offset between their clock and ours
+  socket.on('clock:ping', (clientTime, cb) => {
+    cb && cb({ clientTime, serverTime: Date.now() });
+  });
 
-  // join room
-  socket.on('room:join', ({ roomId, username }, callback) => {
+  // join room; `session` (returned by an earlier join) restores the same user and role
+  socket.on('room:join', async ({ roomId, username, password, invite, session }, callback) => {
     try {
       let room = rooms.get(roomId);
       if (!room) {
         room = rooms.create(roomId);
       }
-      const user = room.addUser({ socketId: socket.id, username });
+      const ip = socket.handshake.address;
+      const knownId = verifySession(INVITE_SECRET, session, roomId);
+      if (room.isBanned({ ip, userId: knownId })) return callback && callback({ ok: false, error: 'banned' });
+      // a returning user was already let in
+      const denied = !knownId && checkAccess(INVITE_SECRET, room, { password, invite });
+      if (denied) return callback && callback({ ok: false, error: denied });
+
+      const resumed = !!(knownId && room.getUser(knownId));
+      clearTimeout(graceTimers.get(knownId));
+      graceTimers.delete(knownId);
+      const user = room.addUser({ socketId: socket.id, node: rooms.nodeId, username, ip, id: knownId });
       socket.join(roomId);
 
-      // If no host assigned, make this user the host
-      if (!room.hostId) {
-        room.setHost(user.id);
-        room.addLog({ type: 'host_assigned', text: `${user.name} became host` });
+      // whoever creates the room owns it
+      if (!room.ownerId && await rooms.claimOwner(room, null, user.id)) {
+        room.addLog({ type: 'owner_assigned', text: `${user.name} owns the room`, userId: user.id });
+      }
+
+      // If no host assigned, make this user the host (another node may win the race)
+      if (!room.hostId && await rooms.claimHost(room, null, user.id)) {
+        room.addLog({ type: 'host_assigned', text: `${user.name} became host`, userId: user.id });
+        socket.to(roomId).emit('host:changed', { hostId: user.id, log: room.logs.slice(-1)[0] });
       }
 
       // notify room
       const joinedLog = room.addLog({
-        type: 'user_joined',
-        text: `${user.name} joined`,
+        type: resumed ? 'user_reconnected' : 'user_joined',
+        text: resumed ? `${user.name} reconnected` : `${user.name} joined`,
+        userId: user.id,
       });
 
       // send current room state to this socket
@@ -129,47 +536,153 @@ io.on('connection', (socket) => {
         users: room.userList(),
         hostId: room.hostId,
         video: room.video,
+        queue: room.queue,
+        subtitleDefault: room.video?.defaultSubtitleId || null, // room-wide default track id (null = off)
+        ownerId: room.ownerId,
+        permissions: room.permissions, // action -> roles allowed (see lib/permissions)
+        access: room.access.mode, // open | password | invite
+        topic: room.topic,
+        annotations: room.annotationsFor(room.video), // reactions/comments pinned to the current video's timeline
+        hostRequest: room.pendingHostRequest(), // { id, fromId, toId, expiresAt } or null
+        sync: room.sync, // { mode: 'free' | 'wait', maxWaitMs }
+        readyCheck: room.readyCheck, // { id, byId, expiresAt, responses } or null
+        screenShare: room.screenShare, // { userId, startedAt } or null
+        polls: polls.list(room), // open polls with their tallies (see lib/polls)
+        voteThreshold: room.voteThreshold, // share of connected users a vote to skip/pause needs
+        iceServers: RTC_ICE_SERVERS,
         logs: room.logs.slice(-50),
-        playbackState: room.playbackState, // { playing: bool, time: seconds }
+        playbackState: room.playbackSnapshot(), // { playing: bool, time: seconds, updatedAt: server ms }
       });
 
       // broadcast to others
-      socket.to(roomId).emit('room:user_joined', { user, log: joinedLog });
+      if (resumed) socket.to(roomId).emit('chat:log', joinedLog);
+      else socket.to(roomId).emit('room:user_joined', { user: room.publicUser(user), log: joinedLog });
       io.to(roomId).emit('room:user_list', { users: room.userList() });
 
-      callback && callback({ ok: true, user });
+      callback && callback({ ok: true, user: room.publicUser(user), session: createSession(INVITE_SECRET, roomId, user.id) });
     } catch (err) {
       console.error(err);
       callback && callback({ ok: false, error: 'join_failed' });
     }
   });
 
-  // chat message
-  socket.on('chat:message', ({ roomId, userId, text }, cb) => {
+  // chat message; "/..." runs a command (see lib/chatCommands), whose private output goes to chat:reply
+  socket.on('chat:message', async ({ roomId, userId, text }, cb) => {
     try {
       const room = rooms.get(roomId);
       if (!room) return;
       const user = room.getUser(userId);
       if (!user) return;
 
-      // handle /name command
-      if (text.trim().startsWith('/name')) {
-        const newName = text.trim().slice(5).trim();
-        if (newName && newName.length <= 32) {
-          const old = user.name;
-          room.changeUsername(userId, newName);
-          const log = room.addLog({ type: 'name_changed', text: `${old} changed name to ${newName}` });
-          io.to(roomId).emit('chat:log', log);
-          io.to(roomId).emit('room:user_list', { users: room.userList() });
-          return cb && cb({ ok: true });
-        } else {
-          return cb && cb({ ok: false, error: 'invalid_name' });
-        }
+      if (text.trim().startsWith('/')) {
+        const reply = (line) => {
+          socket.emit('chat:reply', { id: uuidv4(), text: line, time: new Date().toISOString() });
+        };
+        return cb && cb(await commands.execute({ room, user, reply }, text));
       }
 
-      const message = { id: uuidv4(), userId, username: user.name, text, time: new Date().toISOString() };
-      room.addLog({ type: 'chat', text: `${user.name}: ${text}` });
+      if (room.muted[userId]) return cb && cb({ ok: false, error: 'muted' });
+      if (!can(room, userId, 'chat')) return cb && cb({ ok: false, error: 'forbidden' });
+      if (!text.trim() || text.length > MAX_MESSAGE_LENGTH) return cb && cb({ ok: false, error: 'invalid_message' });
+
+      // chat is kept apart from the activity log; see chat:history
+      const message = room.addMessage({ userId, username: user.name, text });
       io.to(roomId).emit('chat:message', message);
+      cb && cb({ ok: true, message });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // older chat messages: the page before message `before` (latest page without it)
+  socket.on('chat:history', ({ roomId, userId, before, limit }, cb) => {
+    const room = rooms.get(roomId);
+    if (!room || !room.getUser(userId)) return cb && cb({ ok: false, error: 'user_not_found' });
+    const size = Math.min(100, Math.max(1, parseInt(limit, 10) || 50));
+    cb && cb({ ok: true, ...room.messagePage({ before, limit: size }) });
+  });
+
+  // authors edit their own messages
+  socket.on('chat:edit', ({ roomId, userId, messageId, text }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const message = room.getMessage(messageId);
+      if (!message || message.deleted) return cb && cb({ ok: false, error: 'message_not_found' });
+      if (message.userId !== userId) return cb && cb({ ok: false, error: 'forbidden' });
+      if (room.muted[userId]) return cb && cb({ ok: false, error: 'muted' });
+      if (typeof text !== 'string' || !text.trim() || text.length > MAX_MESSAGE_LENGTH) return cb && cb({ ok: false, error: 'invalid_message' });
+
+      const edited = room.editMessage(messageId, text);
+      io.to(roomId).emit('chat:message_edited', { message: edited });
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // authors delete their own messages, moderators anyone's
+  socket.on('chat:delete', ({ roomId, userId, messageId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const user = room.getUser(userId);
+      if (!user) return cb && cb({ ok: false, error: 'user_not_found' });
+      const message = room.getMessage(messageId);
+      if (!message || message.deleted) return cb && cb({ ok: false, error: 'message_not_found' });
+      const own = message.userId === userId;
+      if (!own && !can(room, userId, 'moderate')) return cb && cb({ ok: false, error: 'forbidden' });
+
+      const deleted = room.deleteMessage(messageId, userId);
+      const log = own ? null : room.addLog({ type: 'message_deleted', text: `${user.name} deleted a message by ${message.username}`, userId, targetId: message.userId });
+      io.to(roomId).emit('chat:message_deleted', { message: deleted, log });
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Timeline: pin a reaction ({ emoji }) or a short comment ({ text }) at `time` in the current video
+  socket.on('video:annotate', ({ roomId, userId, kind, emoji, text, time }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const user = room.getUser(userId);
+      if (!user) return cb && cb({ ok: false, error: 'user_not_found' });
+      if (!room.video) return cb && cb({ ok: false, error: 'no_video' });
+      if (room.muted[userId]) return cb && cb({ ok: false, error: 'muted' });
+      if (!can(room, userId, 'chat')) return cb && cb({ ok: false, error: 'forbidden' });
+      if (kind !== 'reaction' && kind !== 'comment') return cb && cb({ ok: false, error: 'invalid_kind' });
+      if (kind === 'reaction' && !REACTIONS.includes(emoji)) return cb && cb({ ok: false, error: 'invalid_reaction' });
+      if (kind === 'comment' && (typeof text !== 'string' || !text.trim() || text.length > MAX_COMMENT_LENGTH)) {
+        return cb && cb({ ok: false, error: 'invalid_comment' });
+      }
+
+      const at = Number.isFinite(time) && time >= 0 ? time : room.currentTime();
+      const annotation = room.annotate(room.video.savedName, { userId, username: user.name, kind, emoji, text: text && text.trim(), time: at });
+      io.to(roomId).emit('video:annotation', { savedName: room.video.savedName, annotation });
+      cb && cb({ ok: true, annotation });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // authors remove their own annotations, moderators anyone's
+  socket.on('video:annotation_remove', ({ roomId, userId, savedName, annotationId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      if (!room.getUser(userId)) return cb && cb({ ok: false, error: 'user_not_found' });
+      const annotation = (room.annotations[savedName] || []).find(a => a.id === annotationId);
+      if (!annotation) return cb && cb({ ok: false, error: 'annotation_not_found' });
+      if (annotation.userId !== userId && !can(room, userId, 'moderate')) return cb && cb({ ok: false, error: 'forbidden' });
+
+      room.removeAnnotation(savedName, annotationId);
+      io.to(roomId).emit('video:annotation_removed', { savedName, annotationId });
       cb && cb({ ok: true });
     } catch (err) {
       console.error(err);
@@ -177,32 +690,284 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Host actions: play/pause/seek
-  socket.on('host:action', ({ roomId, userId, action, time }, cb) => {
+  // commands this user may run, for autocomplete
+  socket.on('chat:commands', ({ roomId, userId }, cb) => {
+    const room = rooms.get(roomId);
+    const user = room && room.getUser(userId);
+    if (!user) return cb && cb({ ok: false, error: 'user_not_found' });
+    cb && cb({ ok: true, commands: commands.list({ room, user }) });
+  });
+
+  // Host actions: play/pause/seek, rate (playback speed) and loop ({ start, end } seconds, null to clear)
+  socket.on('host:action', ({ roomId, userId, action, time, rate, loop }, cb) => {
     try {
       const room = rooms.get(roomId);
       if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
 
       // permission check
       if (room.hostId !== userId) return cb && cb({ ok: false, error: 'not_host' });
+      let section = loop;
+      if (action === 'loop' && loop) {
+        // B can't be past the end of the video, when we know where that is
+        section = { start: loop.start, end: room.video?.duration ? Math.min(loop.end, room.video.duration) : loop.end };
+        if (!room.video || section.end - section.start < MIN_LOOP_LENGTH) return cb && cb({ ok: false, error: 'invalid_loop' });
+      }
 
       // update playback state on server & broadcast
-      if (action === 'play') {
-        room.playbackState.playing = true;
-        room.playbackState.time = time ?? room.playbackState.time;
-        const log = room.addLog({ type: 'video_play', text: `Host played at ${formatTime(room.playbackState.time)}` });
-        io.to(roomId).emit('host:play', { time: room.playbackState.time, log });
-      } else if (action === 'pause') {
-        room.playbackState.playing = false;
-        room.playbackState.time = time ?? room.playbackState.time;
-        const log = room.addLog({ type: 'video_pause', text: `Host paused at ${formatTime(room.playbackState.time)}` });
-        io.to(roomId).emit('host:pause', { time: room.playbackState.time, log });
-      } else if (action === 'seek') {
-        room.playbackState.time = time;
-        const log = room.addLog({ type: 'video_seek', text: `Host seeked to ${formatTime(room.playbackState.time)}` });
-        io.to(roomId).emit('host:seek', { time: room.playbackState.time, log });
+      hostAction(room, action, time, { rate, loop: section });
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Host handoff: ask the current host for control. The host accepts or
+  // denies with host:respond; unanswered requests expire after HOST_REQUEST_TIMEOUT_MS.
+  socket.on('host:request', async ({ roomId, userId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const user = room.getUser(userId);
+      if (!user) return cb && cb({ ok: false, error: 'user_not_found' });
+      if (room.hostId === userId) return cb && cb({ ok: false, error: 'already_host' });
+      if (!can(room, userId, 'takeHost')) return cb && cb({ ok: false, error: 'forbidden' });
+
+      // nobody to ask: take over directly
+      if (!room.getUser(room.hostId)) {
+        if (!await rooms.claimHost(room, room.hostId, userId)) return cb && cb({ ok: false, error: 'host_conflict' });
+        const log = room.addLog({ type: 'host_changed', text: `${user.name} took host control (no active host)`, userId });
+        io.to(roomId).emit('host:changed', { hostId: userId, log });
+        io.to(roomId).emit('room:user_list', { users: room.userList() });
+        return cb && cb({ ok: true, granted: true });
+      }
+
+      if (room.pendingHostRequest()) return cb && cb({ ok: false, error: 'request_pending' });
+      const request = room.requestHost(userId, room.hostId, HOST_REQUEST_TIMEOUT_MS);
+      const log = room.addLog({ type: 'host_requested', text: `${user.name} requested host control from ${room.getUser(room.hostId).name}`, userId, targetId: room.hostId });
+      io.to(roomId).emit('host:request', { request, log });
+      setTimeout(() => resolveHostRequest(room, request.id, 'timeout'), HOST_REQUEST_TIMEOUT_MS).unref();
+      cb && cb({ ok: true, request });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // the host answers a pending request
+  socket.on('host:respond', async ({ roomId, userId, requestId, accept }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const request = room.pendingHostRequest();
+      if (!request || request.id !== requestId) return cb && cb({ ok: false, error: 'request_not_found' });
+      if (room.hostId !== userId || request.toId !== userId) return cb && cb({ ok: false, error: 'not_host' });
+
+      if (!accept) {
+        resolveHostRequest(room, requestId, 'denied');
+        return cb && cb({ ok: true });
+      }
+      if (!room.getUser(request.fromId)) {
+        resolveHostRequest(room, requestId, 'cancelled');
+        return cb && cb({ ok: false, error: 'user_not_found' });
+      }
+      const won = await rooms.claimHost(room, userId, request.fromId);
+      resolveHostRequest(room, requestId, won ? 'accepted' : 'conflict');
+      if (!won) return cb && cb({ ok: false, error: 'host_conflict' });
+      io.to(roomId).emit('host:changed', { hostId: request.fromId });
+      io.to(roomId).emit('room:user_list', { users: room.userList() });
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // the requester withdraws a pending request
+  socket.on('host:cancel_request', ({ roomId, userId, requestId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const request = room.pendingHostRequest();
+      if (!request || request.id !== requestId) return cb && cb({ ok: false, error: 'request_not_found' });
+      if (request.fromId !== userId) return cb && cb({ ok: false, error: 'forbidden' });
+      resolveHostRequest(room, requestId, 'cancelled');
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // the host hands control to a chosen participant
+  socket.on('host:pass', async ({ roomId, userId, targetId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const user = room.getUser(userId);
+      const target = room.getUser(targetId);
+      if (!user || !target) return cb && cb({ ok: false, error: 'user_not_found' });
+      const error = await passHost(room, user, target);
+      cb && cb(error ? { ok: false, error } : { ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Subtitles: host sets the room-wide default track (trackId null = off)
+  socket.on('subtitles:set_default', ({ roomId, userId, trackId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      if (room.hostId !== userId) return cb && cb({ ok: false, error: 'not_host' });
+      if (!room.video) return cb && cb({ ok: false, error: 'no_video' });
+      const subtitles = room.video.subtitles || [];
+      const track = trackId ? subtitles.find(t => t.id === trackId) : null;
+      if (trackId && !track) return cb && cb({ ok: false, error: 'track_not_found' });
+
+      room.setVideo({ ...room.video, defaultSubtitleId: track ? track.id : null });
+      const log = room.addLog({ type: 'subtitle_default', text: track ? `Host set default subtitles to "${track.label}"` : 'Host turned default subtitles off', userId: room.hostId });
+      io.to(roomId).emit('subtitles:updated', { savedName: room.video.savedName, subtitles, defaultSubtitleId: room.video.defaultSubtitleId, log });
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Readiness: the player reports loading/buffering/ready and its position (see lib/readiness)
+  socket.on('player:status', ({ roomId, userId, state, time, entryId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      const user = room.getUser(userId);
+      // reports about a video that is no longer playing don't count
+      if ((room.video?.entryId || null) !== (entryId || null)) return cb && cb({ ok: true, stale: true });
+      readiness.report(room, user, { state, time, entryId });
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Local-file watch mode: the fingerprint of the file this user opened for the current entry
+  socket.on('player:local_file', ({ roomId, userId, entryId, fingerprint }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      const user = room.getUser(userId);
+      if (!room.video || !room.video.local || room.video.entryId !== entryId) return cb && cb({ ok: true, stale: true });
+      const before = room.localFileStatus(user);
+      room.setLocalFile(userId, { entryId, fingerprint });
+      const status = room.localFileStatus(user);
+      if (status !== before) io.to(room.id).emit('room:user_list', { users: room.userList() });
+      if (status !== before && status === 'mismatch') {
+        io.to(room.id).emit('chat:log', room.addLog({ type: 'local_file_mismatch', text: `${user.name}'s copy of ${room.video.filename} is a different file`, userId }));
       }
+      cb && cb({ ok: true, match: status === 'match' });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Sync mode: 'wait' pauses the room while anyone buffers, for up to maxWaitMs (host or settings permission)
+  socket.on('room:sync', ({ roomId, userId, mode, maxWaitMs }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      const user = room.getUser(userId);
+      if (room.hostId !== userId && !can(room, userId, 'changeSettings')) return cb && cb({ ok: false, error: 'forbidden' });
+
+      room.setSync({ mode, maxWaitMs: Math.min(MAX_SYNC_WAIT_MS, maxWaitMs ?? room.sync.maxWaitMs) });
+      const text = mode === 'wait'
+        ? `${user.name} turned on waiting for everyone (up to ${Math.round(room.sync.maxWaitMs / 1000)}s)`
+        : `${user.name} turned off waiting for everyone`;
+      const log = room.addLog({ type: 'sync_mode_changed', text, userId: user.id });
+      io.to(roomId).emit('room:sync', { sync: room.sync, log });
+      readiness.update(room);
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Ready check: the host asks everyone to confirm; playback starts when all are ready
+  socket.on('ready:start', ({ roomId, userId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (room.hostId !== userId) return cb && cb({ ok: false, error: 'not_host' });
+      if (!room.video) return cb && cb({ ok: false, error: 'no_video' });
+      const { check, error } = readiness.startCheck(room, room.getUser(userId));
+      cb && cb(error ? { ok: false, error } : { ok: true, check });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  socket.on('ready:respond', ({ roomId, userId, checkId, ready }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      const error = readiness.respond(room, room.getUser(userId), checkId, ready);
+      cb && cb(error ? { ok: false, error } : { ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
 
+  // whoever started the check (or the host) calls it off
+  socket.on('ready:cancel', ({ roomId, userId, checkId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      const check = room.readyCheck;
+      if (!check || check.id !== checkId) return cb && cb({ ok: false, error: 'check_not_found' });
+      if (check.byId !== userId && room.hostId !== userId) return cb && cb({ ok: false, error: 'forbidden' });
+      readiness.finishCheck(room, checkId, 'cancelled');
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Polls: anyone who may chat asks a question, or starts a vote to skip or pause
+  socket.on('poll:create', ({ roomId, userId, question, options, action, durationMs }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (room.muted[userId]) return cb && cb({ ok: false, error: 'muted' });
+      if (!can(room, userId, 'chat')) return cb && cb({ ok: false, error: 'forbidden' });
+      const { poll, error } = polls.open(room, room.getUser(userId), { question, options, action, durationMs });
+      cb && cb(error ? { ok: false, error } : { ok: true, poll });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // option: index into the poll's options (for votes, 0 = yes); none takes the vote back
+  socket.on('poll:vote', ({ roomId, userId, pollId, option }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (room.muted[userId]) return cb && cb({ ok: false, error: 'muted' });
+      if (!can(room, userId, 'chat')) return cb && cb({ ok: false, error: 'forbidden' });
+      const error = polls.vote(room, room.getUser(userId), pollId, option ?? null);
+      cb && cb(error ? { ok: false, error } : { ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // whoever opened the poll, the host or a moderator closes it early
+  socket.on('poll:close', ({ roomId, userId, pollId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      const poll = room.polls[pollId];
+      if (!poll) return cb && cb({ ok: false, error: 'poll_not_found' });
+      if (poll.byId !== userId && room.hostId !== userId && !can(room, userId, 'moderate')) return cb && cb({ ok: false, error: 'forbidden' });
+      polls.finish(room, pollId, 'closed');
       cb && cb({ ok: true });
     } catch (err) {
       console.error(err);
@@ -210,23 +975,277 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Request to take host
-  socket.on('host:take', ({ roomId, userId }, cb) => {
+  // Vote threshold: share of connected users a vote to skip/pause needs (host or settings permission)
+  socket.on('poll:settings', ({ roomId, userId, threshold }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      const user = room.getUser(userId);
+      if (room.hostId !== userId && !can(room, userId, 'changeSettings')) return cb && cb({ ok: false, error: 'forbidden' });
+
+      room.setVoteThreshold(threshold);
+      const log = room.addLog({ type: 'vote_threshold_changed', text: `${user.name} set votes to pass at ${Math.round(threshold * 100)}% of viewers`, userId: user.id });
+      io.to(roomId).emit('poll:settings', { threshold, log });
+      polls.update(room);
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Calls: join (or change camera/mic) and get the members to offer a connection to
+  socket.on('rtc:join', ({ roomId, userId, audio, video }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      const peers = calls.join(room, room.getUser(userId), { audio, video });
+      cb && cb({ ok: true, peers });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  socket.on('rtc:leave', ({ roomId, userId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      calls.leave(room, room.getUser(userId));
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // offer / answer / ICE candidate for another member of the room
+  socket.on('rtc:signal', ({ roomId, userId, targetId, channel, description, candidate }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!description && !candidate) return cb && cb({ ok: false, error: 'invalid_signal' });
+      const error = calls.signal(room, room.getUser(userId), { targetId, channel, description, candidate });
+      cb && cb(error ? { ok: false, error } : { ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Screen share: the host shares their screen instead of the video; the sharer or the host stops it
+  socket.on('rtc:screen', ({ roomId, userId, sharing }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      const user = room.getUser(userId);
+      const share = room.screenShare;
+      if (!sharing) {
+        if (!share) return cb && cb({ ok: true });
+        if (share.userId !== userId && room.hostId !== userId) return cb && cb({ ok: false, error: 'forbidden' });
+        calls.stopShare(room, room.getUser(share.userId));
+        return cb && cb({ ok: true });
+      }
+      if (room.hostId !== userId) return cb && cb({ ok: false, error: 'not_host' });
+      // the sharer is still in the room: leaving ends their share
+      if (share && share.userId !== userId) calls.stopShare(room, room.getUser(share.userId));
+      if (room.playbackState.playing) hostAction(room, 'pause');
+      cb && cb({ ok: true, screenShare: calls.startShare(room, user) });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Media library: videos uploaded to any room, for reuse with queue:add
+  socket.on('library:list', ({ roomId, userId, query }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      if (!room.getUser(userId)) return cb && cb({ ok: false, error: 'user_not_found' });
+      if (!can(room, userId, 'upload')) return cb && cb({ ok: false, error: 'forbidden' });
+      cb && cb({ ok: true, videos: library.list({ query }), usage: library.usage(roomId) });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Queue: add a library video (metadata as returned by /upload or library:list)
+  socket.on('queue:add', async ({ roomId, userId, video }, cb) => {
     try {
       const room = rooms.get(roomId);
       if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
       const user = room.getUser(userId);
       if (!user) return cb && cb({ ok: false, error: 'user_not_found' });
+      if (room.muted[userId]) return cb && cb({ ok: false, error: 'muted' });
+      if (!can(room, userId, 'upload')) return cb && cb({ ok: false, error: 'forbidden' });
+
+      // only trust the saved file name; the rest comes from the library
+      const savedName = path.basename(String(video?.savedName || ''));
+      const file = path.join(UPLOAD_DIR, savedName);
+      if (!savedName || !fs.existsSync(file)) return cb && cb({ ok: false, error: 'video_not_found' });
+      let meta = library.get(savedName)?.video;
+      if (meta) {
+        library.touch(savedName);
+      } else {
+        // uploaded before the library existed
+        ({ video: meta } = await library.add({
+          filename: String(video.filename || savedName).slice(0, 255),
+          savedName,
+          size: fs.statSync(file).size,
+          url: `${BASE_URL}/uploads/${savedName}`,
+          uploadedAt: video.uploadedAt || new Date().toISOString(),
+        }));
+      }
+
+      const entry = room.enqueue(meta, user.id, user.name);
+      const log = room.addLog({ type: 'queue_added', text: `${user.name} queued ${meta.filename}`, userId: user.id });
+      io.to(roomId).emit('queue:updated', { queue: room.queue, log });
+      if (!room.video) playNext(room);
+      cb && cb({ ok: true, entry });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Add a video by URL (see POST /upload/url)
+  socket.on('video:add_url', async ({ roomId, userId, url, mode }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const user = room.getUser(userId);
+      if (!user) return cb && cb({ ok: false, error: 'user_not_found' });
+      if (room.muted[userId]) return cb && cb({ ok: false, error: 'muted' });
+      if (!can(room, userId, 'upload')) return cb && cb({ ok: false, error: 'forbidden' });
+      cb && cb({ ok: true, ...await addVideoFromUrl(room, user, { url, mode }) });
+    } catch (err) {
+      if (!err.code) console.error(err);
+      cb && cb({ ok: false, error: err.code || 'add_url_failed' });
+    }
+  });
+
+  // Local-file watch mode: queue a file nobody uploads; everyone opens their own copy of it
+  socket.on('video:add_local', ({ roomId, userId, filename, size, fingerprint, duration }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      const user = room.getUser(userId);
+      if (room.muted[userId]) return cb && cb({ ok: false, error: 'muted' });
+      if (!can(room, userId, 'upload')) return cb && cb({ ok: false, error: 'forbidden' });
+      const video = {
+        filename,
+        savedName: `local-${crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 24)}`,
+        size,
+        local: true,
+        fingerprint,
+        uploadedAt: new Date().toISOString(),
+      };
+      if (duration) video.duration = duration;
+      room.enqueue(video, user.id, user.name);
+      const log = room.addLog({ type: 'video_added_local', text: `${user.name} queued ${filename} as a local file, everyone opens their own copy`, userId });
+      io.to(room.id).emit('queue:updated', { queue: room.queue, log });
+      if (!room.video) playNext(room);
+      cb && cb({ ok: true, video });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Queue: remove an entry (host, or whoever queued it)
+  socket.on('queue:remove', ({ roomId, userId, entryId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const user = room.getUser(userId);
+      if (!user) return cb && cb({ ok: false, error: 'user_not_found' });
+      const entry = room.getQueueEntry(entryId);
+      if (!entry) return cb && cb({ ok: false, error: 'entry_not_found' });
+      if (room.hostId !== userId && entry.addedById !== userId) return cb && cb({ ok: false, error: 'not_host' });
+
+      room.removeFromQueue(entryId);
+      const log = room.addLog({ type: 'queue_removed', text: `${user.name} removed ${entry.video.filename} from the queue`, userId: user.id });
+      io.to(roomId).emit('queue:updated', { queue: room.queue, log });
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Queue: reorder (host only). `index` is the new position; 0 = play next
+  socket.on('queue:move', ({ roomId, userId, entryId, index }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      if (room.hostId !== userId) return cb && cb({ ok: false, error: 'not_host' });
+      const user = room.getUser(userId);
+
+      const entry = room.moveInQueue(entryId, Number(index) || 0);
+      if (!entry) return cb && cb({ ok: false, error: 'entry_not_found' });
+      const position = room.queue.indexOf(entry) + 1;
+      const log = room.addLog({ type: 'queue_moved', text: `${user.name} moved ${entry.video.filename} to position ${position}`, userId: user.id });
+      io.to(roomId).emit('queue:updated', { queue: room.queue, log });
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Queue: skip to the next entry, or jump to a given entry (host only)
+  socket.on('queue:skip', ({ roomId, userId, entryId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      if (room.hostId !== userId) return cb && cb({ ok: false, error: 'not_host' });
+      const user = room.getUser(userId);
+
+      const entry = playNext(room, { entryId, playing: room.playbackState.playing, reason: `skipped by ${user.name}` });
+      if (!entry) return cb && cb({ ok: false, error: 'queue_empty' });
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // A client reached the end of the current video. Every client reports it,
+  // so only the first report for the current entry advances the room.
+  socket.on('video:ended', ({ roomId, entryId }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      if (!room.getUserBySocket(socket.id)) return cb && cb({ ok: false, error: 'user_not_found' });
+      if (!room.video || room.video.entryId !== entryId) return cb && cb({ ok: true });
 
-      // assign new host
-      const previousHostId = room.hostId;
-      room.setHost(userId);
+      if (!playNext(room, { playing: true })) {
+        // nothing queued: stop at the end
+        const state = room.setPlayback({ playing: false, time: room.currentTime() });
+        io.to(roomId).emit('host:pause', { time: state.time, updatedAt: state.updatedAt });
+      }
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Roles: owner promotes a guest to moderator or demotes a moderator
+  socket.on('user:set_role', ({ roomId, userId, targetId, role }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const actor = room.getUser(userId);
+      const target = room.getUser(targetId);
+      if (!actor || !target) return cb && cb({ ok: false, error: 'user_not_found' });
+      if (!['moderator', 'guest'].includes(role)) return cb && cb({ ok: false, error: 'invalid_role' });
+      if (!can(room, userId, 'assignRoles') || !outranks(room, userId, targetId)) return cb && cb({ ok: false, error: 'forbidden' });
+
+      room.setRole(targetId, role);
       const log = room.addLog({
-        type: 'host_changed',
-        text: `${user.name} took host control (previous host: ${previousHostId ? (room.getUser(previousHostId)?.name || previousHostId) : 'none'})`,
+        type: 'role_changed',
+        text: role === 'moderator' ? `${actor.name} made ${target.name} a moderator` : `${actor.name} removed ${target.name} as moderator`,
+        userId: actor.id,
+        targetId: target.id,
       });
-
-      io.to(roomId).emit('host:changed', { hostId: userId, log });
+      io.to(roomId).emit('chat:log', log);
       io.to(roomId).emit('room:user_list', { users: room.userList() });
       cb && cb({ ok: true });
     } catch (err) {
@@ -235,7 +1254,89 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Moderation: kick / ban / mute / unmute someone of lower rank
+  socket.on('user:moderate', ({ roomId, userId, targetId, action }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const actor = room.getUser(userId);
+      const target = room.getUser(targetId);
+      if (!actor || !target) return cb && cb({ ok: false, error: 'user_not_found' });
+      const error = moderateUser(room, actor, target, action);
+      cb && cb(error ? { ok: false, error } : { ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Settings: owner/moderators change which roles may take host, upload and chat
+  socket.on('room:settings', ({ roomId, userId, permissions }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const user = room.getUser(userId);
+      if (!user) return cb && cb({ ok: false, error: 'user_not_found' });
+      if (!can(room, userId, 'changeSettings')) return cb && cb({ ok: false, error: 'forbidden' });
+
+      room.setPermissions(mergePermissions(room.permissions, permissions));
+      const log = room.addLog({ type: 'settings_changed', text: `${user.name} changed room permissions`, userId: user.id });
+      io.to(roomId).emit('room:permissions', { permissions: room.permissions, log });
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Invites: signed link that lets the holder in until it expires (ttlMs, capped at INVITE_TTL_MS)
+  socket.on('room:invite', ({ roomId, userId, ttlMs }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      if (!room.getUser(userId)) return cb && cb({ ok: false, error: 'user_not_found' });
+      if (!can(room, userId, 'invite')) return cb && cb({ ok: false, error: 'forbidden' });
+      const ttl = Math.min(INVITE_TTL_MS, Number(ttlMs) > 0 ? Number(ttlMs) : INVITE_TTL_MS);
+      cb && cb({ ok: true, ...createInvite(INVITE_SECRET, roomId, ttl) });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
+  // Access: the owner makes the room open, password-protected or invite-only
+  socket.on('room:access', ({ roomId, userId, mode, password }, cb) => {
+    try {
+      const room = rooms.get(roomId);
+      if (!room) return cb && cb({ ok: false, error: 'room_not_found' });
+      const user = room.getUser(userId);
+      if (!user) return cb && cb({ ok: false, error: 'user_not_found' });
+      if (!can(room, userId, 'changeAccess')) return cb && cb({ ok: false, error: 'forbidden' });
+      if (!MODES.includes(mode)) return cb && cb({ ok: false, error: 'invalid_mode' });
+      if (password != null && (typeof password !== 'string' || password.length < 4 || password.length > 128)) {
+        return cb && cb({ ok: false, error: 'invalid_password' });
+      }
+
+      // switching to 'password' needs one, unless the room already has one
+      const hashed = password ? hashPassword(password) : room.access.password;
+      if (mode === 'password' && !hashed) return cb && cb({ ok: false, error: 'password_required' });
+      room.setAccess({ mode, password: hashed });
+      const text = {
+        open: `${user.name} opened the room to anyone with the link`,
+        password: `${user.name} ${password ? 'set a room password' : 'made the room password-protected'}`,
+        invite: `${user.name} made the room invite-only`,
+      }[mode];
+      const log = room.addLog({ type: 'access_changed', text, userId: user.id });
+      io.to(roomId).emit('room:access', { access: mode, log });
+      cb && cb({ ok: true });
+    } catch (err) {
+      console.error(err);
+      cb && cb({ ok: false });
+    }
+  });
+
   // upload via client (alternative to HTTP) - client may post using HTTP; we still include an event if desired
+  // a dropped user is kept as 'reconnecting' for RECONNECT_GRACE_MS before removeUser runs
   socket.on('disconnecting', () => {
     // before actual disconnect, get rooms socket is in
     const joinedRooms = Array.from(socket.rooms).filter(r => r !== socket.id);
@@ -243,25 +1344,7 @@ io.on('connection', (socket) => {
       const room = rooms.get(roomId);
       if (!room) return;
       const user = room.getUserBySocket(socket.id);
-      if (user) {
-        room.removeUser(user.id);
-        const log = room.addLog({ type: 'user_left', text: `${user.name} left` });
-        io.to(roomId).emit('room:user_left', { userId: user.id, log });
-        io.to(roomId).emit('room:user_list', { users: room.userList() });
-
-        // reassign host if necessary
-        if (room.hostId === user.id) {
-          const nextUser = room.anyUser();
-          if (nextUser) {
-            room.setHost(nextUser.id);
-            const hostLog = room.addLog({ type: 'host_assigned', text: `${nextUser.name} became host after disconnect` });
-            io.to(roomId).emit('host:changed', { hostId: nextUser.id, log: hostLog });
-            io.to(roomId).emit('room:user_list', { users: room.userList() });
-          } else {
-            room.hostId = null;
-          }
-        }
-      }
+      if (user) dropUser(room, user);
     });
   });
 
@@ -271,6 +1354,174 @@ io.on('connection', (socket) => {
   });
 });
 
+// play / pause / seek / rate / loop on behalf of the host (host:action and chat commands)
+function hostAction(room, action, time, { rate, loop } = {}) {
+  if (action === 'play') {
+    readiness.skipWaiting(room);
+    const state = room.setPlayback({ playing: true, time: time ?? room.currentTime() });
+    const log = room.addLog({ type: 'video_play', text: `Host played at ${formatTime(state.time)}`, userId: room.hostId });
+    io.to(room.id).emit('host:play', { time: state.time, updatedAt: state.updatedAt, log });
+    readiness.update(room); // wait mode pauses again if someone else is stalled
+  } else if (action === 'pause') {
+    const state = room.setPlayback({ playing: false, time: time ?? room.currentTime() });
+    const log = room.addLog({ type: 'video_pause', text: `Host paused at ${formatTime(state.time)}`, userId: room.hostId });
+    io.to(room.id).emit('host:pause', { time: state.time, updatedAt: state.updatedAt, log });
+  } else if (action === 'seek') {
+    // still waiting for the same people, if the room was
+    const state = room.setPlayback({ time, waitingFor: room.playbackState.waitingFor });
+    const log = room.addLog({ type: 'video_seek', text: `Host seeked to ${formatTime(state.time)}`, userId: room.hostId });
+    io.to(room.id).emit('host:seek', { time: state.time, updatedAt: state.updatedAt, log });
+  } else if (action === 'rate') {
+    // re-based to where we are now, so the new speed only applies from here on
+    const state = room.setPlayback({ time: room.currentTime(), rate, waitingFor: room.playbackState.waitingFor });
+    const log = room.addLog({ type: 'video_rate', text: `Host set playback speed to ${rate}x`, userId: room.hostId });
+    io.to(room.id).emit('host:rate', { rate, time: state.time, updatedAt: state.updatedAt, log });
+  } else if (action === 'loop') {
+    // starting a loop from outside it jumps to A
+    const now = room.currentTime();
+    const time = loop && (now < loop.start || now >= loop.end) ? loop.start : now;
+    const state = room.setPlayback({ time, loop: loop || null, waitingFor: room.playbackState.waitingFor });
+    const text = loop ? `Host looped ${formatTime(loop.start)}–${formatTime(loop.end)}` : 'Host cleared the loop';
+    const log = room.addLog({ type: 'video_loop', text, userId: room.hostId });
+    io.to(room.id).emit('host:loop', { loop: state.loop, time: state.time, updatedAt: state.updatedAt, log });
+  }
+}
+
+// the host hands control to `target`; resolves to an error code or null
+async function passHost(room, user, target) {
+  if (room.hostId !== user.id) return 'not_host';
+  if (target.id === user.id) return 'already_host';
+  if (!await rooms.claimHost(room, user.id, target.id)) return 'host_conflict';
+  const pending = room.pendingHostRequest();
+  if (pending) resolveHostRequest(room, pending.id, 'superseded');
+  const log = room.addLog({ type: 'host_changed', text: `${user.name} passed host control to ${target.name}`, userId: user.id, targetId: target.id });
+  io.to(room.id).emit('host:changed', { hostId: target.id, log });
+  io.to(room.id).emit('room:user_list', { users: room.userList() });
+  return null;
+}
+
+// mute / unmute / kick / ban `target` if `actor` may; returns an error code or null
+function moderateUser(room, actor, target, action) {
+  if (!can(room, actor.id, 'moderate') || !outranks(room, actor.id, target.id)) return 'forbidden';
+  let log;
+  if (action === 'mute' || action === 'unmute') {
+    room.setMuted(target.id, action === 'mute');
+    log = room.addLog({ type: `user_${action}d`, text: `${actor.name} ${action}d ${target.name}`, userId: actor.id, targetId: target.id });
+    io.to(room.id).emit('room:user_list', { users: room.userList() });
+  } else if (action === 'kick' || action === 'ban') {
+    if (action === 'ban') room.ban(target, actor.name);
+    log = room.addLog({ type: action === 'ban' ? 'user_banned' : 'user_kicked', text: `${actor.name} ${action === 'ban' ? 'banned' : 'kicked'} ${target.name}`, userId: actor.id, targetId: target.id });
+    // removed now rather than after the reconnect grace; the socket may live on another node
+    io.to(target.socketId).emit('room:kicked', { roomId: room.id, reason: action === 'ban' ? 'banned' : 'kicked' });
+    removeUser(room, target, { reason: action });
+    io.in(target.socketId).disconnectSockets();
+  } else {
+    return 'invalid_action';
+  }
+  io.to(room.id).emit('chat:log', log);
+  return null;
+}
+
+// a user's connection is gone: keep their place (and host) for RECONNECT_GRACE_MS, then remove them
+function dropUser(room, user) {
+  if (RECONNECT_GRACE_MS <= 0) return removeUser(room, user);
+  if (user.connected !== false) {
+    room.setConnected(user.id, false);
+    io.to(room.id).emit('room:user_list', { users: room.userList() });
+    readiness.update(room); // nobody waits for a dropped player
+    calls.drop(room, user); // peer connections don't survive a new socket
+    polls.update(room); // votes count the people still here
+  }
+  clearTimeout(graceTimers.get(user.id));
+  graceTimers.set(user.id, setTimeout(() => {
+    graceTimers.delete(user.id);
+    // still the same, still disconnected record? (they may have come back through another node)
+    const current = room.getUser(user.id);
+    if (current && current.socketId === user.socketId && current.connected === false) removeUser(room, current);
+  }, RECONNECT_GRACE_MS).unref());
+}
+
+/**
+ * Another instance is gone (no heartbeat, see lib/cluster/adapter), and the
+ * sockets of its users with it: drop them as if they had disconnected, so
+ * they leave and hand on host after the grace period. `liveNodes` are the
+ * other instances still heard from; the live one with the lowest id does
+ * it for the cluster.
+ */
+function dropDeadNodes(liveNodes) {
+  if (liveNodes.some(id => id < rooms.nodeId)) return;
+  rooms.orphanedUsers(liveNodes).forEach(({ room, user }) => dropUser(room, user));
+}
+
+// remove a user for good: close their host request, tell the room, hand host on
+function removeUser(room, user, { reason = 'left' } = {}) {
+  const roomId = room.id;
+  // a request from or to someone who is leaving can no longer be answered
+  const request = room.pendingHostRequest();
+  if (request && (request.fromId === user.id || request.toId === user.id)) resolveHostRequest(room, request.id, 'cancelled');
+
+  calls.drop(room, user);
+  room.removeUser(user.id);
+  readiness.forget(room, user.id);
+  const log = reason === 'left' ? room.addLog({ type: 'user_left', text: `${user.name} left`, userId: user.id }) : null;
+  io.to(roomId).emit('room:user_left', { userId: user.id, log });
+  io.to(roomId).emit('room:user_list', { users: room.userList() });
+  readiness.update(room);
+  polls.update(room);
+
+  // reassign host if necessary; the claim only wins if nobody (on any node) took host meanwhile
+  if (room.hostId === user.id) {
+    const nextUser = room.anyUser();
+    rooms.claimHost(room, user.id, nextUser ? nextUser.id : null).then((won) => {
+      if (!won || !nextUser) return;
+      const hostLog = room.addLog({ type: 'host_assigned', text: `${nextUser.name} became host after ${user.name} left`, userId: nextUser.id });
+      io.to(roomId).emit('host:changed', { hostId: nextUser.id, log: hostLog });
+      io.to(roomId).emit('room:user_list', { users: room.userList() });
+    });
+  }
+}
+
+const HOST_REQUEST_OUTCOMES = {
+  accepted: (from, to) => `${to} handed host control to ${from}`,
+  denied: (from, to) => `${to} denied ${from}'s host request`,
+  timeout: (from, to) => `${from}'s host request to ${to} timed out`,
+  cancelled: from => `${from}'s host request was cancelled`,
+  superseded: from => `${from}'s host request was closed (host passed control)`,
+  conflict: from => `${from}'s host request failed (host changed meanwhile)`,
+};
+
+/**
+ * Close a pending host request with `outcome` (see HOST_REQUEST_OUTCOMES),
+ * log it and tell the room. No-op if the request was already resolved.
+ */
+function resolveHostRequest(room, requestId, outcome) {
+  const request = room.clearHostRequest(requestId);
+  if (!request) return null;
+  const name = id => room.getUser(id)?.name || 'someone';
+  const log = room.addLog({
+    type: `host_request_${outcome}`,
+    text: HOST_REQUEST_OUTCOMES[outcome](name(request.fromId), name(request.toId)),
+    userId: request.fromId,
+    targetId: request.toId,
+  });
+  io.to(room.id).emit('host:request_resolved', { requestId, fromId: request.fromId, outcome, log });
+  return request;
+}
+
+// make the next queued entry (or `entryId`) the current video and tell the room
+function playNext(room, { entryId, playing = false, reason } = {}) {
+  const wasLocal = !!room.video?.local;
+  const entry = room.advance({ entryId, playing });
+  if (!entry) return null;
+  const log = room.addLog({ type: 'video_changed', text: `Now playing ${entry.video.filename}${reason ? ` (${reason})` : ''}` });
+  io.to(room.id).emit('video:changed', { video: room.video, playbackState: room.playbackState, annotations: room.annotationsFor(room.video), log });
+  io.to(room.id).emit('queue:updated', { queue: room.queue });
+  // local-file matches are per entry
+  if (wasLocal || room.video.local) io.to(room.id).emit('room:user_list', { users: room.userList() });
+  polls.videoChanged(room);
+  return entry;
+}
+
 // helper to format seconds to mm:ss
 function formatTime(sec = 0) {
   const s = Math.floor(sec % 60).toString().padStart(2, '0');
@@ -279,6 +1530,38 @@ function formatTime(sec = 0) {
   return h > 0 ? `${h}:${m}:${s}` : `${m}:${s}`;
 }
 
-server.listen(PORT, () => {
-  console.log(`Server listening on ${PORT}`);
+// reload persisted rooms (and join the cluster, if configured) before accepting connections
+async function boot() {
+  const count = await rooms.restore();
+  if (count) console.log(`Restored ${count} room(s) from store`);
+  await library.load();
+  setInterval(sweepMedia, MEDIA_SWEEP_INTERVAL_MS).unref();
+
+  const bus = await createBus();
+  if (bus) {
+    io.adapter(createBusAdapter(bus, { uid: rooms.nodeId, onNodeDown: (uid, liveNodes) => dropDeadNodes(liveNodes) }));
+    const live = await rooms.joinCluster(bus);
+    console.log(`Joined cluster as ${rooms.nodeId} (${live} live room(s) from peers)`);
+    // users left behind by instances that died before we joined, once we have heard from the live ones
+    const adapter = io.of('/').adapter;
+    setTimeout(() => dropDeadNodes(adapter.liveNodes()), adapter.heartbeatTimeout).unref();
+  }
+
+  server.listen(PORT, () => {
+    console.log(`Server listening on ${PORT}`);
+  });
+}
+
+boot().catch((err) => {
+  console.error('Failed to start server', err);
+  process.exit(1);
+});
+
+// flush pending store writes before exiting
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.on(signal, () => {
+    Promise.all([rooms.flush(), library.flush()])
+      .catch(err => console.error('Failed to flush room store', err))
+      .finally(() => process.exit(0));
+  });
 });